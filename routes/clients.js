@@ -0,0 +1,160 @@
+/**
+ * clients.js (router)
+ *
+ * REST endpoints for the API clients that call this service.
+ * Routes include:
+ *   - GET /clients - list every client
+ *   - POST /clients - register a client and issue its token
+ *   - GET /clients/:id - fetch a single client
+ *   - PUT /clients/:id - change a client's name, role, allowed pools or quotas
+ *   - POST /clients/:id/token - rotate a client's token
+ *   - DELETE /clients/:id - remove a client (its token stops working)
+ *   - GET /clients/:id/usage - grants against quotas and leases by status
+ *
+ * Every route requires the admin role.
+ */
+
+const express = require('express');
+const clientManager = require('../src/clientManager');
+const { requireRole } = require('../src/clientAuth');
+const logger = require('../src/logger');
+
+const router = express.Router();
+
+/**
+ * GET /clients
+ */
+router.get('/clients', requireRole('admin'), async (_req, res) => {
+  try {
+    const clients = await clientManager.listClients();
+    return res.json(clients);
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /clients', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /clients
+ *
+ * Registers a client.  The body must include `clientId`; `name`, `role`
+ * (consumer, viewer or admin; default consumer), `allowedPools` (empty for
+ * every pool), `quotaPerMinute` and `quotaPerDay` (null for unlimited) are
+ * optional.  The response carries the client's token, which is not stored
+ * and cannot be retrieved again.
+ */
+router.post('/clients', requireRole('admin'), async (req, res) => {
+  const { client, error } = clientManager.validateClient(req.body || {});
+  if (!client) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const created = await clientManager.createClient(client);
+    if (!created) {
+      return res.status(409).json({ error: `Client ${client.clientId} already exists` });
+    }
+    return res.status(201).json(created);
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /clients', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /clients/:id
+ */
+router.get('/clients/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const client = await clientManager.getClient(id);
+    if (!client) {
+      return res.status(404).json({ error: `Client ${id} not found` });
+    }
+    return res.json(client);
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /clients/:id', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /clients/:id
+ *
+ * Updates the supplied fields (`name`, `role`, `allowedPools`,
+ * `quotaPerMinute`, `quotaPerDay`); the rest are left unchanged.
+ */
+router.put('/clients/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { client: changes, error } = clientManager.validateClient(req.body || {}, { partial: true });
+  if (!changes) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const client = await clientManager.updateClient(id, changes);
+    if (!client) {
+      return res.status(404).json({ error: `Client ${id} not found` });
+    }
+    return res.json(client);
+  } catch (err) {
+    logger.error({ msg: 'Error in PUT /clients/:id', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /clients/:id/token
+ *
+ * Issues a new token for the client; the previous token stops working.
+ */
+router.post('/clients/:id/token', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const token = await clientManager.rotateToken(id);
+    if (!token) {
+      return res.status(404).json({ error: `Client ${id} not found` });
+    }
+    return res.json({ clientId: id, token });
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /clients/:id/token', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /clients/:id
+ */
+router.delete('/clients/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const deleted = await clientManager.deleteClient(id);
+    if (!deleted) {
+      return res.status(404).json({ error: `Client ${id} not found` });
+    }
+    return res.json({ message: `Client ${id} deleted` });
+  } catch (err) {
+    logger.error({ msg: 'Error in DELETE /clients/:id', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /clients/:id/usage
+ *
+ * Reports the client's grants in the sliding minute and day against its
+ * quotas, its lifetime grants, and its retained leases by status.
+ */
+router.get('/clients/:id/usage', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const usage = await clientManager.getUsage(id);
+    if (!usage) {
+      return res.status(404).json({ error: `Client ${id} not found` });
+    }
+    return res.json(usage);
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /clients/:id/usage', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+/**
+ * jobs.js (router)
+ *
+ * REST endpoints for bulk email verification jobs (see bulkJobs.js).
+ * Routes include:
+ *   - POST /jobs - upload a list of addresses (JSON or CSV) to verify
+ *   - GET /jobs/:id - job status and progress
+ *   - GET /jobs/:id/results - stream the verified results as CSV or JSONL
+ *   - POST /jobs/:id/pause, /resume, /cancel - control a job
+ *
+ * Jobs need a consumer token; clients see and control only their own jobs,
+ * admins every job.  Verifications count against the client's quota as the
+ * job runs.  This router parses its own request bodies, because address
+ * lists outgrow the server's default JSON limit.
+ */
+
+const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const bulkJobs = require('../src/bulkJobs');
+const keyManager = require('../src/keyManager');
+const keySelection = require('../src/keySelection');
+const verificationCache = require('../src/verificationCache');
+const { rejectRequest, requireRole, resolveClientPool } = require('../src/clientAuth');
+const { enqueueJob } = require('../src/verificationQueue');
+const logger = require('../src/logger');
+
+const router = express.Router();
+const DEFAULT_MAX_BODY = '10mb';
+const CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', jsonl: 'application/x-ndjson; charset=utf-8' };
+
+const bodyLimit = process.env.BULK_JOB_MAX_BODY || DEFAULT_MAX_BODY;
+const parseJobBody = [
+  express.json({ limit: bodyLimit }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: bodyLimit })
+];
+
+// Loads the job named in the URL if the client may see it; sends a 404
+// (also for other clients' jobs) and returns null otherwise.
+async function loadJob(req, res) {
+  const job = await bulkJobs.getJob(req.params.id);
+  if (!job || (job.clientId !== req.client.clientId && req.client.role !== 'admin')) {
+    res.status(404).json({ error: `Job ${req.params.id} not found` });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * POST /jobs
+ *
+ * Creates a job from a JSON body `{ emails: [...], pool?, strategy?,
+ * concurrency?, fresh? }` or a CSV body (`Content-Type: text/csv`, options
+ * in the query string).  A CSV with an `email` header column is read from
+ * that column, otherwise from the first column.  Entries that are not email
+ * addresses are skipped and counted in `rejected`.  `concurrency` caps the
+ * verifications the job runs at once (default BULK_JOB_DEFAULT_CONCURRENCY,
+ * at most BULK_JOB_MAX_CONCURRENCY); `fresh` skips the verification cache.
+ * Responds 201 with the queued job.
+ */
+router.post('/jobs', requireRole('consumer'), parseJobBody, async (req, res) => {
+  const isCsv = typeof req.body === 'string';
+  const params = isCsv ? req.query : req.body || {};
+  const { emails, rejected, error } = bulkJobs.parseEmailList(isCsv ? req.body : params.emails);
+  if (!emails) {
+    return res.status(400).json({ error });
+  }
+  let strategy;
+  if (params.strategy !== undefined && params.strategy !== '') {
+    strategy = String(params.strategy).trim().toLowerCase();
+    if (!keySelection.isValidStrategy(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of ${keySelection.listStrategies().join(', ')}` });
+    }
+  }
+  let pool;
+  if (params.pool !== undefined && params.pool !== '') {
+    pool = keyManager.normalizePoolName(params.pool);
+    if (!pool) {
+      return res.status(400).json({ error: 'pool must be 1-64 lowercase letters, digits, "-" or "_"' });
+    }
+  }
+  const concurrency = bulkJobs.parseConcurrency(params.concurrency);
+  if (concurrency === false) {
+    return res.status(400).json({ error: 'concurrency must be an integer between 1 and BULK_JOB_MAX_CONCURRENCY' });
+  }
+  const fresh = verificationCache.parseFresh(params.fresh);
+  if (fresh === null) {
+    return res.status(400).json({ error: 'fresh must be true or false' });
+  }
+  const access = resolveClientPool(req.client, pool);
+  if (access.error) {
+    return rejectRequest(req, res, 403, access.error);
+  }
+  try {
+    const job = await bulkJobs.createJob({
+      clientId: req.client.clientId,
+      emails,
+      rejected,
+      pool: access.pool,
+      strategy,
+      concurrency,
+      fresh
+    });
+    await enqueueJob(job);
+    return res.status(201).json(bulkJobs.toPublicJob(job));
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /jobs', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /jobs/:id
+ *
+ * Returns the job's status, progress and result counts.
+ */
+router.get('/jobs/:id', requireRole('consumer'), async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) {
+      return res;
+    }
+    return res.json(bulkJobs.toPublicJob(job));
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /jobs/:id', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /jobs/:id/results?format=csv|jsonl
+ *
+ * Streams the results verified so far in list order, as CSV (default) or
+ * JSON lines.  Works while the job is still running.
+ */
+router.get('/jobs/:id/results', requireRole('consumer'), async (req, res) => {
+  const format = String(req.query.format || 'csv').trim().toLowerCase();
+  if (!bulkJobs.isValidFormat(format)) {
+    return res.status(400).json({ error: `format must be one of ${bulkJobs.FORMATS.join(', ')}` });
+  }
+  try {
+    const job = await loadJob(req, res);
+    if (!job) {
+      return res;
+    }
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${job.jobId}.${format}"`);
+    await pipeline(Readable.from(bulkJobs.iterateResultLines(job.jobId, format)), res);
+    return res;
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /jobs/:id/results', error: err.message });
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+function controlRoute(action) {
+  return async (req, res) => {
+    try {
+      const job = await loadJob(req, res);
+      if (!job) {
+        return res;
+      }
+      const outcome = await bulkJobs.transitionJob(job.jobId, action);
+      if (outcome.result === 'not_found') {
+        return res.status(404).json({ error: `Job ${job.jobId} not found` });
+      }
+      if (outcome.result === 'conflict') {
+        return res.status(409).json({ error: `Job ${job.jobId} cannot ${action} while ${outcome.job.status}`, status: outcome.job.status });
+      }
+      if (action === 'resume') {
+        await enqueueJob(outcome.job);
+      }
+      return res.json(bulkJobs.toPublicJob(outcome.job));
+    } catch (err) {
+      logger.error({ msg: `Error in POST /jobs/:id/${action}`, error: err.message });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * POST /jobs/:id/pause, /resume, /cancel
+ *
+ * Pausing stops a queued or running job after its in-flight verifications;
+ * resuming continues a paused or failed job with the addresses still
+ * pending; cancelling stops it for good (the results so far stay
+ * available).  A job in a status that does not allow the action is a 409.
+ */
+router.post('/jobs/:id/pause', requireRole('consumer'), controlRoute('pause'));
+router.post('/jobs/:id/resume', requireRole('consumer'), controlRoute('resume'));
+router.post('/jobs/:id/cancel', requireRole('consumer'), controlRoute('cancel'));
+
+module.exports = router;
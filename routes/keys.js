@@ -4,22 +4,57 @@
  * Defines REST endpoints for interacting with MailTester subscription keys.
  * Routes include:
  *   - GET /key/available - obtain an available key within rate limits
- *   - GET /status - list status and counters for all keys
+ *     (or `?count=N` to reserve a batch of request slots; `?pool=` restricts
+ *     any key route to one pool)
+ *   - POST /key/reservations - reserve a batch of request slots
+ *   - GET /key/available/queued - wait in the key queue for a key
+ *   - POST /key/requests - queue a key request and get a ticket back;
+ *     GET /key/requests/:id polls it, GET /key/requests/:id/events streams
+ *     it as Server-Sent Events
+ *   - POST /key/leases/:leaseId/release - release a key grant as used or unused
+ *   - GET/POST /verify - verify an email address through MailTester with a
+ *     key from the rotation
+ *   - GET /status - list status and counters for all keys (or one pool)
+ *   - GET /capacity - pool-wide remaining grants, throughput and forecast
  *   - POST /keys - register or update a key
  *   - DELETE /keys/:id - remove a key
+ *   - PATCH /keys/:id - pause, drain, ban or reactivate a key
+ *   - POST /keys/:id/reset - clear a key's window and daily counters
+ *   - POST /keys/:id/outcome - report what MailTester returned for a key
+ *
+ * Every route requires a client token with a suitable role (see
+ * clientAuth.js): consumers take keys, viewers read status with masked
+ * subscription IDs, and admins register and delete keys.  Grants are charged
+ * to the client's quotas and attributed to it.
  *
  * Each handler delegates core logic to the keyManager and provides
  * comprehensive error handling and consistent JSON responses.
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const keyManager = require('../src/keyManager');
+const leaseManager = require('../src/leaseManager');
+const keySelection = require('../src/keySelection');
+const planManager = require('../src/planManager');
+const clientManager = require('../src/clientManager');
+const mailtesterClient = require('../src/mailtesterClient');
+const verificationCache = require('../src/verificationCache');
+const queueFairness = require('../src/queueFairness');
+const keyTickets = require('../src/keyTickets');
+const usageHistory = require('../src/usageHistory');
+const metrics = require('../src/metrics');
+const { maskSubscriptionId, rejectRequest, requireRole, resolveClientPool } = require('../src/clientAuth');
 const { keyQueue, keyQueueEvents } = require('../src/keyQueue');
 const logger = require('../src/logger');
 
 const router = express.Router();
-const DEFAULT_PRO_INTERVAL_MS = 860;
-const DEFAULT_ULTIMATE_INTERVAL_MS = 170;
+const DEFAULT_BATCH_MAX_COUNT = 500;
+const DEFAULT_TICKET_HEARTBEAT_MS = 15_000;
+// Settle the race between a queued request, its caller hanging up and
+// KEY_QUEUE_REQUEST_TIMEOUT_MS.
+const CLIENT_GONE = Symbol('client gone');
+const TIMED_OUT = Symbol('timed out');
 
 function resolveIntervalMs(rawValue, fallback) {
   const numeric = Number(rawValue);
@@ -29,30 +64,172 @@ function resolveIntervalMs(rawValue, fallback) {
   return fallback;
 }
 
-function getDefaultWaitMs() {
-  const proInterval = resolveIntervalMs(
-    process.env.MAILTESTER_PRO_INTERVAL_MS,
-    DEFAULT_PRO_INTERVAL_MS
-  );
-  const ultimateInterval = resolveIntervalMs(
-    process.env.MAILTESTER_ULTIMATE_INTERVAL_MS,
-    DEFAULT_ULTIMATE_INTERVAL_MS
-  );
-  return Math.min(proInterval, ultimateInterval);
+// Sends a "wait" response with the hint from keyManager.getWaitHint() and a
+// Retry-After header (left out when no key will become available).
+function sendWait(res, hint, statusCode = 200) {
+  if (hint.waitMs !== null) {
+    res.set('Retry-After', String(Math.ceil(hint.waitMs / 1000)));
+  }
+  return res.status(statusCode).json({ status: 'wait', ...hint });
+}
+
+function getBatchMaxCount() {
+  return resolveIntervalMs(process.env.KEY_BATCH_MAX_COUNT, DEFAULT_BATCH_MAX_COUNT);
+}
+
+// Parses a requested slot count; returns null when it is not a positive
+// integer within KEY_BATCH_MAX_COUNT.
+function parseSlotCount(rawValue) {
+  const numeric = Number(rawValue);
+  if (!Number.isInteger(numeric) || numeric < 1 || numeric > getBatchMaxCount()) {
+    return null;
+  }
+  return numeric;
+}
+
+// Reads the optional `?strategy=` override; returns false when it is invalid.
+function parseStrategy(rawValue) {
+  if (rawValue === undefined || rawValue === '') {
+    return undefined;
+  }
+  const normalized = String(rawValue).trim().toLowerCase();
+  return keySelection.isValidStrategy(normalized) ? normalized : false;
+}
+
+function sendInvalidStrategy(res) {
+  return res.status(400).json({ error: `strategy must be one of ${keySelection.listStrategies().join(', ')}` });
+}
+
+// Reads the optional `?pool=` filter; returns false when it is invalid.
+function parsePool(rawValue) {
+  if (rawValue === undefined || rawValue === '') {
+    return undefined;
+  }
+  return keyManager.normalizePoolName(rawValue) || false;
+}
+
+function sendInvalidPool(res) {
+  return res.status(400).json({ error: 'pool must be 1-64 lowercase letters, digits, "-" or "_"' });
+}
+
+function maskForViewer(req, entries) {
+  if (req.client.role !== 'viewer') {
+    return entries;
+  }
+  return entries.map((entry) => ({ ...entry, subscriptionId: maskSubscriptionId(entry.subscriptionId) }));
+}
+
+function sendQuotaExceeded(res, retryAt) {
+  const retryAfterMs = Math.max(0, retryAt - Date.now());
+  res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(429).json({ status: 'quota_exceeded', error: 'Client quota exceeded', retryAt, retryAfterMs });
+}
+
+async function sendReservation(req, res, count, pool) {
+  const { client } = req;
+  const quota = await clientManager.consumeQuota(client.clientId, count);
+  if (!quota) {
+    return rejectRequest(req, res, 401, 'A valid client token is required');
+  }
+  if (!quota.granted) {
+    metrics.recordKeyResponse('batch', 'quota_exceeded');
+    return sendQuotaExceeded(res, quota.retryAt);
+  }
+  let reservation = null;
+  try {
+    reservation = await keyManager.reserveSlots(quota.granted, { pool, clientId: client.clientId });
+  } finally {
+    const unused = quota.granted - (reservation ? reservation.slots.length : 0);
+    await clientManager.refundQuota(client.clientId, { at: quota.at, count: unused });
+  }
+  const { slots } = reservation;
+  let { retryAt } = reservation;
+  const quotaLimited = quota.granted < count;
+  // A null retryAt with slots missing means no key will ever have headroom.
+  if (quotaLimited && !(slots.length < quota.granted && retryAt === null)) {
+    retryAt = Math.max(retryAt || 0, quota.retryAt);
+  }
+  let status = 'ok';
+  if (!slots.length) {
+    status = 'wait';
+    usageHistory.recordWaits();
+  } else if (slots.length < count) {
+    status = 'partial';
+  }
+  metrics.recordKeyResponse('batch', status);
+  const body = { status, requested: count, granted: slots.length, slots };
+  if (slots.length < count) {
+    body.retryAt = retryAt;
+    body.retryAfterMs = retryAt === null ? null : Math.max(0, retryAt - Date.now());
+    if (quotaLimited) {
+      body.quotaLimited = true;
+    }
+  }
+  return res.json(body);
 }
 
 /**
  * GET /key/available
  *
  * Returns a single reserved MailTester key within rate limits. If none are
- * currently available the client receives a wait hint.
+ * currently available the client receives a wait hint computed from the
+ * keys' state (see keyManager.getWaitHint()) and a Retry-After header.
+ * `?strategy=` overrides the configured key selection strategy and `?pool=`
+ * only draws from keys in that pool.  With `?count=N` the route reserves a
+ * batch of slots instead; see POST /key/reservations.  Requires a client
+ * token: the grant counts against the client's quotas (429 once
+ * exhausted), only uses pools the client may use (403 otherwise) and its
+ * lease is attributed to the client.
  */
-router.get('/key/available', async (_req, res) => {
+router.get('/key/available', requireRole('consumer'), async (req, res) => {
+  const pool = parsePool(req.query.pool);
+  if (pool === false) {
+    return sendInvalidPool(res);
+  }
+  const access = resolveClientPool(req.client, pool);
+  if (access.error) {
+    return rejectRequest(req, res, 403, access.error);
+  }
+  if (req.query.count !== undefined) {
+    const count = parseSlotCount(req.query.count);
+    if (!count) {
+      return res.status(400).json({ error: `count must be an integer between 1 and ${getBatchMaxCount()}` });
+    }
+    try {
+      return await sendReservation(req, res, count, access.pool);
+    } catch (err) {
+      logger.error({ msg: 'Error in /key/available?count', error: err?.message || err });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+  const strategy = parseStrategy(req.query.strategy);
+  if (strategy === false) {
+    return sendInvalidStrategy(res);
+  }
+  const { clientId } = req.client;
   try {
-    const key = await keyManager.getAvailableKey();
+    const quota = await clientManager.consumeQuota(clientId, 1);
+    if (!quota) {
+      return rejectRequest(req, res, 401, 'A valid client token is required');
+    }
+    if (!quota.granted) {
+      metrics.recordKeyResponse('single', 'quota_exceeded');
+      return sendQuotaExceeded(res, quota.retryAt);
+    }
+    let key = null;
+    try {
+      key = await keyManager.getAvailableKey({ strategy, pool: access.pool, clientId });
+    } finally {
+      if (!key) {
+        await clientManager.refundQuota(clientId, { at: quota.at, count: 1 });
+      }
+    }
     if (!key) {
-      return res.json({ status: 'wait', waitMs: getDefaultWaitMs() });
+      usageHistory.recordWaits();
+      metrics.recordKeyResponse('single', 'wait');
+      return sendWait(res, await keyManager.getWaitHint({ pool: access.pool }));
     }
+    metrics.recordKeyResponse('single', 'ok');
     return res.json({ status: 'ok', key });
   } catch (err) {
     logger.error({ msg: 'Error in /key/available', error: err?.message || err });
@@ -60,25 +237,530 @@ router.get('/key/available', async (_req, res) => {
   }
 });
 
+/**
+ * POST /key/reservations
+ *
+ * Reserves up to `count` request slots spread across active keys.  Each slot
+ * carries the key, its lease and the `notBefore` time it may be used.  When
+ * fewer slots than requested are available the response status is "partial"
+ * (or "wait" when none are) with `retryAt`/`retryAfterMs` for the remainder.
+ * An optional `pool` in the body restricts the slots to that pool.  Requires
+ * a client token; slots beyond the client's remaining quota are not granted
+ * (`quotaLimited` is set) and 429 is returned when no quota is left.
+ */
+router.post('/key/reservations', requireRole('consumer'), async (req, res) => {
+  const body = req.body || {};
+  const count = parseSlotCount(body.count);
+  if (!count) {
+    return res.status(400).json({ error: `count must be an integer between 1 and ${getBatchMaxCount()}` });
+  }
+  const pool = parsePool(body.pool);
+  if (pool === false) {
+    return sendInvalidPool(res);
+  }
+  const access = resolveClientPool(req.client, pool);
+  if (access.error) {
+    return rejectRequest(req, res, 403, access.error);
+  }
+  try {
+    return await sendReservation(req, res, count, access.pool);
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /key/reservations', error: err?.message || err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Queued requests held open by GET /key/available/queued, by job ID (see
+// watchQueuedJob()).
+const queuedWatches = new Map();
+
+/**
+ * Follow a queued request's job until it ends.  `ended` resolves with
+ * `{ status: 'completed', key }`, `{ status: 'failed', reason }` or
+ * `{ status: 'removed' }` as the queue reports it, or with null once
+ * finish(null) stops following; `outcome` keeps the result.  Register the
+ * watch before the job is added so no event is missed.
+ */
+function watchQueuedJob(jobId) {
+  const watch = { outcome: null };
+  watch.ended = new Promise((resolve) => {
+    watch.finish = (outcome) => {
+      if (queuedWatches.get(jobId) !== watch) {
+        return;
+      }
+      queuedWatches.delete(jobId);
+      watch.outcome = outcome;
+      resolve(outcome);
+    };
+  });
+  queuedWatches.set(jobId, watch);
+  return watch;
+}
+
+/**
+ * Take a queued request out of the queue after its caller went away.  A key
+ * that reached the request meanwhile is released as unused.  Otherwise a
+ * job still waiting is removed, and a job a worker already holds is
+ * flagged, so the worker drops it without taking a key (see keyQueue.js);
+ * a key granted before the worker saw the flag is released here.  The job
+ * is followed for at most KEY_LEASE_TTL_MS, after which such a key's lease
+ * has expired anyway.
+ */
+async function abandonQueuedJob(job, watch) {
+  if (!watch.outcome) {
+    try {
+      await job.remove();
+      watch.finish(null);
+      return;
+    } catch (err) {
+      // Held by a worker, or finished (and removed) just now.
+    }
+    try {
+      await job.updateData({ ...job.data, abandoned: true });
+    } catch (err) {
+      // Already finished: the watch reports how.
+    }
+  }
+  let timer = null;
+  const outcome = await Promise.race([
+    watch.ended,
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, leaseManager.getLeaseTtlMs(), null);
+    })
+  ]);
+  clearTimeout(timer);
+  watch.finish(null);
+  const key = outcome?.status === 'completed' ? outcome.key : null;
+  if (key?.leaseId) {
+    await keyManager.releaseLease(key.leaseId, { used: false });
+    logger.info({ msg: 'Released key granted to an abandoned queued request', jobId: job.id, subscriptionId: key.subscriptionId });
+  }
+}
+
+function abandonInBackground(job, watch) {
+  abandonQueuedJob(job, watch).catch((err) => {
+    logger.error({ msg: 'Failed to abandon queued key request', jobId: job.id, error: err.message });
+  });
+}
+
 /**
  * GET /key/available/queued
  *
- * Enqueues the caller to wait for the next available key.
+ * Enqueues the caller to wait for the next available key.  Accepts the same
+ * `?strategy=` and `?pool=` options and client token as GET /key/available;
+ * the quota is charged when the request is queued and refunded unless a key
+ * reaches the caller.  `?priority=interactive|normal|bulk` picks the queue
+ * lane (default normal); within a lane callers take turns by weight (see
+ * queueFairness.js).
+ * When KEY_QUEUE_REQUEST_TIMEOUT_MS elapses first the response is a 429 with
+ * the same wait hint as GET /key/available.  A request whose caller
+ * disconnects or times out leaves the queue (see abandonQueuedJob()).  A
+ * request an admin takes out of the queue gets a 503 with status
+ * `cancelled`.
  */
-router.get('/key/available/queued', async (_req, res) => {
+router.get('/key/available/queued', requireRole('consumer'), async (req, res) => {
+  const strategy = parseStrategy(req.query.strategy);
+  if (strategy === false) {
+    return sendInvalidStrategy(res);
+  }
+  const pool = parsePool(req.query.pool);
+  if (pool === false) {
+    return sendInvalidPool(res);
+  }
+  const lane = queueFairness.parseLane(req.query.priority);
+  if (lane === false) {
+    return res.status(400).json({ error: `priority must be one of ${queueFairness.LANES.join(', ')}` });
+  }
+  const access = resolveClientPool(req.client, pool);
+  if (access.error) {
+    return rejectRequest(req, res, 403, access.error);
+  }
+  const { clientId } = req.client;
+  const clientGone = new Promise((resolve) => {
+    res.on('close', () => resolve(CLIENT_GONE));
+  });
+  let quota = null;
+  let ticket = null;
+  let job = null;
+  let watch = null;
+  let timer = null;
+  let handedOver = false;
   try {
+    quota = await clientManager.consumeQuota(clientId, 1);
+    if (!quota) {
+      return rejectRequest(req, res, 401, 'A valid client token is required');
+    }
+    if (!quota.granted) {
+      metrics.recordKeyResponse('queued', 'quota_exceeded');
+      return sendQuotaExceeded(res, quota.retryAt);
+    }
     const timeoutMs = Number(process.env.KEY_QUEUE_REQUEST_TIMEOUT_MS || 0);
-    const waitTimeout = Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : undefined;
+    const timedOut = new Promise((resolve) => {
+      if (Number.isFinite(timeoutMs) && timeoutMs > 0) {
+        timer = setTimeout(resolve, timeoutMs, TIMED_OUT);
+      }
+    });
 
-    const job = await keyQueue.add('key-request', {}, { removeOnComplete: true, removeOnFail: true });
-    const key = await job.waitUntilFinished(keyQueueEvents, waitTimeout);
-    return res.json({ status: 'ok', key });
+    ticket = await queueFairness.admit({ lane, clientId, pool: access.pool });
+    const jobId = crypto.randomUUID();
+    watch = watchQueuedJob(jobId);
+    job = await keyQueue.add(
+      'key-request',
+      { strategy, pool: access.pool, clientId, priority: lane, virtualStart: ticket.virtualStart },
+      { jobId, priority: ticket.priority }
+    );
+    const outcome = await Promise.race([watch.ended, clientGone, timedOut]);
+    if (outcome === CLIENT_GONE) {
+      metrics.recordKeyResponse('queued', 'abandoned');
+      return res;
+    }
+    if (outcome?.status === 'completed' && outcome.key) {
+      handedOver = true;
+      metrics.recordKeyResponse('queued', 'ok');
+      return res.json({ status: 'ok', key: outcome.key });
+    }
+    if (outcome?.status === 'removed') {
+      metrics.recordKeyResponse('queued', 'cancelled');
+      return res.status(503).json({ status: 'cancelled', error: 'The queued request was cancelled' });
+    }
+    if (outcome === TIMED_OUT || outcome?.reason === 'QUEUE_TIMEOUT') {
+      usageHistory.recordWaits();
+      metrics.recordKeyResponse('queued', 'wait');
+      return sendWait(res, await keyManager.getWaitHint({ pool: access.pool }), 429);
+    }
+    throw new Error(outcome?.reason || 'Queued key request ended without a key');
+  } catch (err) {
+    logger.error({ msg: 'Error in /key/available/queued', error: err?.message || String(err) });
+    return res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    clearTimeout(timer);
+    ticket?.release();
+    if (job && !handedOver) {
+      abandonInBackground(job, watch);
+    } else {
+      watch?.finish(null);
+    }
+    if (quota?.granted && !handedOver) {
+      await clientManager.refundQuota(clientId, { at: quota.at, count: 1 }).catch((refundErr) => {
+        logger.error({ msg: 'Failed to refund client quota', clientId, error: refundErr.message });
+      });
+    }
+  }
+});
+
+// Fairness tickets of queued key requests and the event streams following
+// them, by ticket ID.  Both are settled when the request's queue job ends
+// or is removed.
+const fairnessTickets = new Map();
+const ticketWatchers = new Map();
+
+function settleTicketJob({ jobId }) {
+  fairnessTickets.get(jobId)?.release();
+  fairnessTickets.delete(jobId);
+  for (const notify of [...(ticketWatchers.get(jobId) || [])]) {
+    notify();
+  }
+}
+
+keyQueueEvents.on('completed', ({ jobId, returnvalue }) => {
+  settleTicketJob({ jobId });
+  queuedWatches.get(jobId)?.finish({ status: 'completed', key: returnvalue });
+});
+keyQueueEvents.on('failed', ({ jobId, failedReason }) => {
+  settleTicketJob({ jobId });
+  queuedWatches.get(jobId)?.finish({ status: 'failed', reason: failedReason });
+});
+keyQueueEvents.on('removed', ({ jobId }) => {
+  settleTicketJob({ jobId });
+  queuedWatches.get(jobId)?.finish({ status: 'removed' });
+});
+
+// Resolves when the ticket's queue job ends, after `timeoutMs`, or when
+// `signal` aborts, whichever comes first.
+function waitForTicketUpdate(ticketId, timeoutMs, signal) {
+  return new Promise((resolve) => {
+    const watchers = ticketWatchers.get(ticketId) || new Set();
+    ticketWatchers.set(ticketId, watchers);
+    const done = () => {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', done);
+      watchers.delete(done);
+      if (!watchers.size && ticketWatchers.get(ticketId) === watchers) {
+        ticketWatchers.delete(ticketId);
+      }
+      resolve();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    signal.addEventListener('abort', done);
+    watchers.add(done);
+  });
+}
+
+// Loads the ticket named in the URL, collecting it if it was granted, when
+// it belongs to the client; sends a 404 (also for other clients' tickets)
+// and returns null otherwise.
+async function loadTicket(req, res) {
+  const ticket = await keyTickets.getTicket(req.params.id);
+  if (!ticket || ticket.clientId !== req.client.clientId) {
+    res.status(404).json({ error: `Key request ${req.params.id} not found` });
+    return null;
+  }
+  return keyTickets.collectTicket(ticket.ticketId);
+}
+
+function sendTicketEvent(res, ticket) {
+  const body = keyTickets.toPublicTicket(ticket);
+  res.write(`event: ${body.status}\ndata: ${JSON.stringify(body)}\n\n`);
+}
+
+/**
+ * POST /key/requests
+ *
+ * Queues a key request like GET /key/available/queued but answers straight
+ * away with a `pending` ticket (202) instead of holding the connection open.
+ * Takes the optional `pool`, `strategy` and `priority` in the body.  The
+ * quota is charged now and refunded when the request times out or its key
+ * is never collected.  Follow the ticket with GET /key/requests/:id or
+ * GET /key/requests/:id/events.
+ */
+router.post('/key/requests', requireRole('consumer'), async (req, res) => {
+  const body = req.body || {};
+  const strategy = parseStrategy(body.strategy);
+  if (strategy === false) {
+    return sendInvalidStrategy(res);
+  }
+  const pool = parsePool(body.pool);
+  if (pool === false) {
+    return sendInvalidPool(res);
+  }
+  const lane = queueFairness.parseLane(body.priority);
+  if (lane === false) {
+    return res.status(400).json({ error: `priority must be one of ${queueFairness.LANES.join(', ')}` });
+  }
+  const access = resolveClientPool(req.client, pool);
+  if (access.error) {
+    return rejectRequest(req, res, 403, access.error);
+  }
+  const { clientId } = req.client;
+  let quota = null;
+  let ticket = null;
+  let fairness = null;
+  try {
+    quota = await clientManager.consumeQuota(clientId, 1);
+    if (!quota) {
+      return rejectRequest(req, res, 401, 'A valid client token is required');
+    }
+    if (!quota.granted) {
+      metrics.recordKeyResponse('ticket', 'quota_exceeded');
+      return sendQuotaExceeded(res, quota.retryAt);
+    }
+    ticket = await keyTickets.createTicket({ clientId, pool: access.pool, strategy, priority: lane, quotaAt: quota.at });
+    fairness = await queueFairness.admit({ lane, clientId, pool: access.pool });
+    fairnessTickets.set(ticket.ticketId, fairness);
+    await keyQueue.add(
+      'key-request',
+      { strategy, pool: access.pool, clientId, priority: lane, ticketId: ticket.ticketId, virtualStart: fairness.virtualStart },
+      { jobId: ticket.ticketId, priority: fairness.priority }
+    );
+    metrics.recordKeyResponse('ticket', 'ok');
+    return res.status(202).json(keyTickets.toPublicTicket(ticket));
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /key/requests', error: err?.message || err });
+    if (ticket) {
+      fairnessTickets.delete(ticket.ticketId);
+      fairness?.release();
+      await keyTickets.discardTicket(ticket.ticketId).catch(() => {});
+    }
+    if (quota?.granted) {
+      await clientManager.refundQuota(clientId, { at: quota.at, count: 1 }).catch((refundErr) => {
+        logger.error({ msg: 'Failed to refund client quota', clientId, error: refundErr.message });
+      });
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /key/requests/:id
+ *
+ * Returns the ticket: `pending` while queued, `granted` with the key (the
+ * first read collects it), `timeout` with a wait hint, `cancelled` when an
+ * admin took it out of the queue, or `expired` when the key was not
+ * collected within KEY_TICKET_COLLECT_MS and went back to the pool.
+ * Clients only see their own tickets.
+ */
+router.get('/key/requests/:id', requireRole('consumer'), async (req, res) => {
+  try {
+    const ticket = await loadTicket(req, res);
+    if (!ticket) {
+      return res;
+    }
+    return res.json(keyTickets.toPublicTicket(ticket));
   } catch (err) {
-    const message = err?.message || String(err);
-    if (message.includes('QUEUE_TIMEOUT') || message.toLowerCase().includes('timed out')) {
-      return res.status(429).json({ status: 'wait', waitMs: getDefaultWaitMs() });
+    logger.error({ msg: 'Error in GET /key/requests/:id', error: err?.message || err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /key/requests/:id/events
+ *
+ * Streams the ticket as Server-Sent Events: a `pending` event straight away
+ * (for a ticket still queued), then one `granted`, `timeout`, `cancelled` or
+ * `expired` event once it is settled, after which the stream ends.  A
+ * granted key is collected as it is sent.  A comment line every
+ * KEY_TICKET_HEARTBEAT_MS keeps proxies from closing the idle stream.
+ */
+router.get('/key/requests/:id/events', requireRole('consumer'), async (req, res) => {
+  const heartbeatMs = resolveIntervalMs(process.env.KEY_TICKET_HEARTBEAT_MS, DEFAULT_TICKET_HEARTBEAT_MS);
+  const stop = new AbortController();
+  res.on('close', () => stop.abort());
+  try {
+    let ticket = await loadTicket(req, res);
+    if (!ticket) {
+      return res;
+    }
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    sendTicketEvent(res, ticket);
+    while (ticket.status === 'pending' && !stop.signal.aborted) {
+      // Listen before reading, so a job ending in between is not missed.
+      const update = waitForTicketUpdate(ticket.ticketId, heartbeatMs, stop.signal);
+      ticket = await keyTickets.collectTicket(ticket.ticketId);
+      if (ticket.status !== 'pending') {
+        sendTicketEvent(res, ticket);
+        break;
+      }
+      await update;
+      res.write(': heartbeat\n\n');
+    }
+    stop.abort();
+    return res.end();
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /key/requests/:id/events', error: err?.message || err });
+    stop.abort();
+    if (res.headersSent) {
+      return res.end();
+    }
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+async function sendVerification(req, res, params) {
+  const email = mailtesterClient.normalizeEmail(params.email);
+  if (!email) {
+    return res.status(400).json({ error: 'email must be an email address' });
+  }
+  const strategy = parseStrategy(params.strategy);
+  if (strategy === false) {
+    return sendInvalidStrategy(res);
+  }
+  const pool = parsePool(params.pool);
+  if (pool === false) {
+    return sendInvalidPool(res);
+  }
+  const fresh = verificationCache.parseFresh(params.fresh);
+  if (fresh === null) {
+    return res.status(400).json({ error: 'fresh must be true or false' });
+  }
+  const access = resolveClientPool(req.client, pool);
+  if (access.error) {
+    return rejectRequest(req, res, 403, access.error);
+  }
+  const { clientId } = req.client;
+  const quota = await clientManager.consumeQuota(clientId, 1);
+  if (!quota) {
+    return rejectRequest(req, res, 401, 'A valid client token is required');
+  }
+  if (!quota.granted) {
+    metrics.recordKeyResponse('verify', 'quota_exceeded');
+    return sendQuotaExceeded(res, quota.retryAt);
+  }
+  let verification = null;
+  try {
+    verification = await mailtesterClient.verifyEmail(email, { strategy, pool: access.pool, clientId, fresh });
+  } finally {
+    if (!verification || !verification.attempts) {
+      await clientManager.refundQuota(clientId, { at: quota.at, count: 1 });
+    }
+  }
+  metrics.recordKeyResponse('verify', verification.status);
+  if (verification.status === 'wait') {
+    usageHistory.recordWaits();
+    return sendWait(res, verification.hint, 503);
+  }
+  if (verification.status === 'error') {
+    const { outcome, httpStatus, attempts } = verification;
+    return res.status(502).json({ status: 'error', error: 'MailTester request failed', outcome, httpStatus, attempts });
+  }
+  return res.json(verification);
+}
+
+/**
+ * GET /verify?email= / POST /verify
+ *
+ * Verifies an address through MailTester: the service takes a key, calls
+ * MailTester with it, feeds the outcome back into the key's state and
+ * returns the normalised result.  Throttled (429) and rejected (401/403)
+ * calls are retried on another key (see mailtesterClient.verifyEmail()).
+ * Cached results are returned without calling MailTester unless `fresh` is
+ * true.  POST takes `email` (and the optional `pool`, `strategy` and
+ * `fresh`) in the body, GET in the query.  Like GET /key/available the
+ * request needs a consumer token and counts against the client's quota once
+ * a key was used.  When no key is free the response is a 503 with a wait
+ * hint; a MailTester failure is a 502.
+ */
+router.get('/verify', requireRole('consumer'), async (req, res) => {
+  try {
+    return await sendVerification(req, res, req.query);
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /verify', error: err?.message || err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/verify', requireRole('consumer'), async (req, res) => {
+  try {
+    return await sendVerification(req, res, req.body || {});
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /verify', error: err?.message || err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /key/leases/:leaseId/release
+ *
+ * Closes the lease attached to a key grant.  The body must include a boolean
+ * `used`; releasing with `used: false` refunds the slot to the key.  Clients
+ * can only release their own leases; admins can release any.
+ */
+router.post('/key/leases/:leaseId/release', requireRole('consumer'), async (req, res) => {
+  const { leaseId } = req.params;
+  const { used } = req.body || {};
+  if (typeof used !== 'boolean') {
+    return res.status(400).json({ error: 'used must be a boolean' });
+  }
+  try {
+    const clientId = req.client.role === 'admin' ? undefined : req.client.clientId;
+    const outcome = await keyManager.releaseLease(leaseId, { used, clientId });
+    if (outcome.result === 'not_found') {
+      return res.status(404).json({ error: `Lease ${leaseId} not found` });
+    }
+    if (outcome.result === 'expired') {
+      return res.status(409).json({ error: `Lease ${leaseId} has expired` });
     }
-    logger.error({ msg: 'Error in /key/available/queued', error: message });
+    if (outcome.result === 'already_settled') {
+      return res.status(409).json({ error: `Lease ${leaseId} was already released`, status: outcome.lease.status });
+    }
+    return res.json({ status: 'released', leaseId, used, refunded: outcome.refunded });
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /key/leases/:leaseId/release', error: err.message });
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -86,47 +768,86 @@ router.get('/key/available/queued', async (_req, res) => {
 /**
  * GET /status
  *
- * Returns the status and usage metrics for all keys in the system.
+ * Returns the status and usage metrics for all keys in the system, or only
+ * the keys in `?pool=`.  Subscription IDs are masked for viewers.
  */
-router.get('/status', async (req, res) => {
+router.get('/status', requireRole('viewer'), async (req, res) => {
+  const pool = parsePool(req.query.pool);
+  if (pool === false) {
+    return sendInvalidPool(res);
+  }
   try {
-    const status = await keyManager.getAllKeysStatus();
-    return res.json(status);
+    const status = await keyManager.getAllKeysStatus({ pool });
+    return res.json(maskForViewer(req, status));
   } catch (err) {
     logger.error({ msg: 'Error in /status', error: err.message });
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-router.get('/limits', async (_req, res) => {
+/**
+ * GET /limits
+ *
+ * Returns the rate-limit metadata of every key.  Subscription IDs are masked
+ * for viewers.
+ */
+router.get('/limits', requireRole('viewer'), async (req, res) => {
   try {
     const limits = await keyManager.getKeyLimits();
-    return res.json(limits);
+    return res.json(maskForViewer(req, limits));
   } catch (err) {
     logger.error({ msg: 'Error in /limits', error: err.message });
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+/**
+ * GET /capacity
+ *
+ * Returns the remaining window and daily grants, sustained throughput,
+ * burn rate and projected daily exhaustion of the keys, in total and by
+ * pool and plan.  `?pool=` restricts the summary to one pool.
+ */
+router.get('/capacity', requireRole('viewer'), async (req, res) => {
+  const pool = parsePool(req.query.pool);
+  if (pool === false) {
+    return sendInvalidPool(res);
+  }
+  try {
+    const capacity = await keyManager.getCapacity({ pool });
+    return res.json(capacity);
+  } catch (err) {
+    logger.error({ msg: 'Error in /capacity', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * POST /keys
  *
  * Registers a new key or updates an existing one.  The request body must
- * include a `subscriptionId` and a valid `plan` ("pro" or "ultimate").
+ * include a `subscriptionId` and a `plan` that exists in the plan catalogue,
+ * and may set the key's `pool` and `tags` (omitted labels are left as they
+ * are; new keys default to the "default" pool).
  */
-router.post('/keys', async (req, res) => {
+router.post('/keys', requireRole('admin'), async (req, res) => {
   // Accept either "subscriptionId" or "id" to support multiple naming conventions.
-  const { subscriptionId, id, plan } = req.body || {};
-  const subId = (subscriptionId || id || '').trim();
+  const { subscriptionId, id, plan, pool, tags } = req.body || {};
+  const subId = String(subscriptionId || id || '').trim();
   if (!subId) {
     return res.status(400).json({ error: 'subscriptionId or id is required' });
   }
-  const normalizedPlan = String(plan || '').toLowerCase();
-  if (!['pro', 'ultimate'].includes(normalizedPlan)) {
-    return res.status(400).json({ error: 'plan must be "pro" or "ultimate"' });
+  const { labels, error } = keyManager.validateKeyLabels({ pool, tags });
+  if (!labels) {
+    return res.status(400).json({ error });
   }
+  const normalizedPlan = planManager.normalizePlanName(plan);
   try {
-    await keyManager.registerKey(subId, normalizedPlan);
+    if (!normalizedPlan || !(await planManager.getPlan(normalizedPlan))) {
+      const known = (await planManager.listPlans()).map((entry) => entry.name);
+      return res.status(400).json({ error: `plan must be one of: ${known.join(', ')}` });
+    }
+    await keyManager.registerKey(subId, normalizedPlan, labels);
     return res.status(201).json({ message: `Key ${subId} registered` });
   } catch (err) {
     logger.error({ msg: 'Error in POST /keys', error: err.message });
@@ -140,7 +861,7 @@ router.post('/keys', async (req, res) => {
  * Deletes a key by subscription ID.  Returns a 200 status even if the key did
  * not previously exist.
  */
-router.delete('/keys/:id', async (req, res) => {
+router.delete('/keys/:id', requireRole('admin'), async (req, res) => {
   const { id } = req.params;
   if (!id) {
     return res.status(400).json({ error: 'id parameter is required' });
@@ -154,4 +875,84 @@ router.delete('/keys/:id', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /keys/:id
+ *
+ * Takes a key out of rotation without touching its counters.  The body must
+ * include `status` (`paused`, `draining`, `banned`, or `active` to return
+ * the key to rotation) and may include a `reason` and an `expiresAt`
+ * timestamp or ISO date after which the key is reactivated automatically.
+ */
+router.patch('/keys/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { state, error } = keyManager.validateKeyState(req.body || {});
+  if (!state) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const result = await keyManager.setKeyState(id, state, { changedBy: req.client.clientId });
+    if (!result) {
+      return res.status(404).json({ error: `Key ${id} not found` });
+    }
+    return res.json(result);
+  } catch (err) {
+    logger.error({ msg: 'Error in PATCH /keys/:id', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /keys/:id/reset
+ *
+ * Clears the key's sliding 30-second log and daily buckets.  Exhausted keys
+ * become active again; manual statuses are kept.
+ */
+router.post('/keys/:id/reset', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await keyManager.resetKeyUsage(id);
+    if (!result) {
+      return res.status(404).json({ error: `Key ${id} not found` });
+    }
+    return res.json(result);
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /keys/:id/reset', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /keys/:id/outcome
+ *
+ * Reports what MailTester returned for a request made with the key.  The body
+ * accepts an `outcome` ("ok", "unauthorized", "forbidden", "rate_limited",
+ * "timeout", "error"), or the raw `httpStatus` received, plus an optional
+ * MailTester error `code`.  Auth failures ban the key and 429s cool it down.
+ * Clients can only report on keys they were granted a slot on within
+ * KEY_LEASE_RETENTION_MS; admins can report on any key.
+ */
+router.post('/keys/:id/outcome', requireRole('consumer'), async (req, res) => {
+  const { id } = req.params;
+  const { outcome, httpStatus, code } = req.body || {};
+  const normalized = keyManager.normalizeOutcome({ outcome, httpStatus, code });
+  if (!normalized) {
+    return res.status(400).json({
+      error: 'outcome must be one of ok, unauthorized, forbidden, rate_limited, timeout, error (or provide httpStatus/code)'
+    });
+  }
+  try {
+    if (req.client.role !== 'admin' && !(await keyManager.hasClientLease(req.client.clientId, id))) {
+      return rejectRequest(req, res, 403, `Client ${req.client.clientId} holds no lease on key ${id}`);
+    }
+    const result = await keyManager.reportOutcome(id, { outcome: normalized, code });
+    if (!result) {
+      return res.status(404).json({ error: `Key ${id} not found` });
+    }
+    return res.json(result);
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /keys/:id/outcome', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
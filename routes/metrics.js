@@ -0,0 +1,43 @@
+/**
+ * metrics.js (router)
+ *
+ * Prometheus scrape endpoint (see src/metrics.js).
+ * Routes include:
+ *   - GET /metrics - service metrics in the Prometheus text format
+ *
+ * Scraping requires the viewer role; configure Prometheus with a viewer
+ * client's token as its bearer token.
+ */
+
+const express = require('express');
+const metrics = require('../src/metrics');
+const { requireRole } = require('../src/clientAuth');
+const { keyQueue } = require('../src/keyQueue');
+const logger = require('../src/logger');
+
+const router = express.Router();
+
+/**
+ * GET /metrics
+ *
+ * Refreshes the per-key usage and queue depth gauges, then renders every
+ * metric.  A queue that cannot be read is logged and leaves its gauges at
+ * their previous values rather than failing the scrape.
+ */
+router.get('/metrics', requireRole('viewer'), async (_req, res) => {
+  try {
+    await metrics.collectKeyMetrics();
+    try {
+      metrics.setQueueJobCounts(await keyQueue.getJobCounts('waiting', 'active', 'delayed', 'prioritized'));
+    } catch (err) {
+      logger.warn({ msg: 'Failed to read key queue depth', error: err.message });
+    }
+    res.set('Content-Type', metrics.register.contentType);
+    return res.send(await metrics.register.metrics());
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /metrics', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+/**
+ * plans.js (router)
+ *
+ * REST endpoints for the MailTester plan catalogue.
+ * Routes include:
+ *   - GET /plans - list every plan
+ *   - GET /plans/:name - fetch a single plan
+ *   - PUT /plans/:name - create or update a plan (applied to its keys)
+ *   - DELETE /plans/:name - remove a plan no key uses
+ *
+ * Reading the catalogue requires the viewer role; changing it requires admin.
+ */
+
+const express = require('express');
+const keyManager = require('../src/keyManager');
+const planManager = require('../src/planManager');
+const { requireRole } = require('../src/clientAuth');
+const logger = require('../src/logger');
+
+const router = express.Router();
+
+/**
+ * GET /plans
+ *
+ * Lists every plan with its 30-second limit, daily limit and spacing.
+ */
+router.get('/plans', requireRole('viewer'), async (_req, res) => {
+  try {
+    const plans = await planManager.listPlans();
+    return res.json(plans);
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /plans', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /plans/:name
+ */
+router.get('/plans/:name', requireRole('viewer'), async (req, res) => {
+  const { name } = req.params;
+  try {
+    const plan = await planManager.getPlan(name);
+    if (!plan) {
+      return res.status(404).json({ error: `Plan ${name} not found` });
+    }
+    return res.json(plan);
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /plans/:name', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /plans/:name
+ *
+ * Creates or replaces a plan.  The body must include `rateLimit30s` and
+ * `dailyLimit`; `avgRequestIntervalMs` defaults to an even spread over the
+ * 30-second window.  Every key on the plan picks up the new limits.
+ */
+router.put('/plans/:name', requireRole('admin'), async (req, res) => {
+  const { plan, error } = planManager.validatePlan({ ...(req.body || {}), name: req.params.name });
+  if (!plan) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const { created, keysUpdated } = await keyManager.savePlan(plan);
+    return res.status(created ? 201 : 200).json({ plan, keysUpdated });
+  } catch (err) {
+    logger.error({ msg: 'Error in PUT /plans/:name', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /plans/:name
+ *
+ * Removes a plan.  Plans still referenced by keys cannot be deleted.
+ */
+router.delete('/plans/:name', requireRole('admin'), async (req, res) => {
+  const { name } = req.params;
+  try {
+    const outcome = await keyManager.deletePlan(name);
+    if (outcome.result === 'not_found') {
+      return res.status(404).json({ error: `Plan ${name} not found` });
+    }
+    if (outcome.result === 'in_use') {
+      return res.status(409).json({ error: `Plan ${name} is used by ${outcome.keyCount} key(s)` });
+    }
+    return res.json({ message: `Plan ${name} deleted` });
+  } catch (err) {
+    logger.error({ msg: 'Error in DELETE /plans/:name', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+/**
+ * queue.js (router)
+ *
+ * Introspection and administration of the `key-requests` queue (see
+ * keyQueue.js).  Routes include:
+ *   - GET /queue/stats - job counts, the oldest waiter and recent wait-time
+ *     percentiles
+ *   - GET /queue/jobs - waiting (or active) requests in the order they are
+ *     served
+ *   - POST /queue/drain - cancel every waiting request
+ *   - DELETE /queue/jobs/:id - cancel one request
+ *
+ * Reading the queue requires the viewer role, cancelling requests the admin
+ * role.  Cancelled requests leave the queue: callers of
+ * GET /key/available/queued get a 503, tickets become `cancelled`, and
+ * their quota is refunded.
+ */
+
+const express = require('express');
+const keyTickets = require('../src/keyTickets');
+const queueStats = require('../src/queueStats');
+const { requireRole } = require('../src/clientAuth');
+const { keyQueue } = require('../src/keyQueue');
+const logger = require('../src/logger');
+
+const router = express.Router();
+const WAITING_STATES = ['waiting', 'prioritized'];
+const QUEUED_STATES = [...WAITING_STATES, 'active'];
+const LIST_STATES = ['waiting', 'active'];
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+// Jobs per state scanned for the oldest waiter.
+const MAX_SCANNED_JOBS = 1000;
+const DRAIN_BATCH = 100;
+
+// Reads `?limit=`/`?offset=`; returns false when either is invalid.
+function parsePage(query) {
+  const limit = query.limit === undefined || query.limit === '' ? DEFAULT_LIST_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined || query.offset === '' ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT || !Number.isInteger(offset) || offset < 0) {
+    return false;
+  }
+  return { limit, offset };
+}
+
+function toPublicQueueJob(job, now = Date.now()) {
+  const data = job.data || {};
+  return {
+    jobId: job.id,
+    clientId: data.clientId ?? null,
+    pool: data.pool ?? null,
+    strategy: data.strategy ?? null,
+    priority: data.priority || 'normal',
+    queuePriority: job.opts?.priority ?? null,
+    ticketId: data.ticketId ?? null,
+    abandoned: Boolean(data.abandoned),
+    enqueuedAt: job.timestamp,
+    startedAt: job.processedOn ?? null,
+    waitedMs: Math.max(0, now - job.timestamp)
+  };
+}
+
+// Jobs `start` to `end` of one state, in the order the worker picks them
+// up.  BullMQ applies a range to every state it is given separately, so
+// states are always read one at a time.
+async function getJobs(state, start, end) {
+  return (await keyQueue.getJobs([state], start, end, true)).filter(Boolean);
+}
+
+// One page of the jobs in `states`, taken as one list in that order (the
+// worker picks up plain waiting jobs before prioritized ones).
+async function getJobPage(states, counts, { offset, limit }) {
+  const jobs = [];
+  let skip = offset;
+  for (const state of states) {
+    const count = counts[state] || 0;
+    if (skip >= count) {
+      skip -= count;
+      continue;
+    }
+    jobs.push(...await getJobs(state, skip, skip + limit - jobs.length - 1));
+    skip = 0;
+    if (jobs.length >= limit) {
+      break;
+    }
+  }
+  return jobs.slice(0, limit);
+}
+
+/**
+ * Take a request out of the queue.  A ticket is cancelled first, so its
+ * event streams see the final status once the removal is announced; if a
+ * worker picked the request up meanwhile, the worker hands the key back
+ * (see keyTickets.recordGrant()).  A request held open by
+ * GET /key/available/queued can only be removed while it waits.
+ *
+ * @returns {Promise<'cancelled'|'active'|'settled'>} `active` when a worker
+ *   is serving the request, `settled` when its ticket already finished
+ */
+async function cancelQueuedJob(job) {
+  const ticketId = job.data?.ticketId;
+  if (ticketId && !(await keyTickets.cancelTicket(ticketId))) {
+    return 'settled';
+  }
+  try {
+    await job.remove();
+  } catch (err) {
+    return ticketId ? 'cancelled' : 'active';
+  }
+  return 'cancelled';
+}
+
+/**
+ * GET /queue/stats
+ *
+ * Returns the queue's job counts (`waiting` includes prioritized jobs,
+ * `failed` the requests that timed out within the last hour), the oldest
+ * request still waiting or being served, and percentiles of how long
+ * granted requests waited over the last KEY_QUEUE_STATS_WINDOW_MS (see
+ * queueStats.js).
+ */
+router.get('/queue/stats', requireRole('viewer'), async (req, res) => {
+  try {
+    const counts = await keyQueue.getJobCounts(...WAITING_STATES, 'active', 'delayed', 'failed');
+    const now = Date.now();
+    let oldest = null;
+    for (const state of QUEUED_STATES) {
+      for (const job of await getJobs(state, 0, MAX_SCANNED_JOBS - 1)) {
+        if (!oldest || job.timestamp < oldest.timestamp) {
+          oldest = job;
+        }
+      }
+    }
+    return res.json({
+      counts: {
+        waiting: WAITING_STATES.reduce((sum, state) => sum + (counts[state] || 0), 0),
+        active: counts.active || 0,
+        delayed: counts.delayed || 0,
+        failed: counts.failed || 0
+      },
+      oldestWaiter: oldest ? toPublicQueueJob(oldest, now) : null,
+      waits: queueStats.getWaitStats(now)
+    });
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /queue/stats', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /queue/jobs?state=waiting|active&limit=&offset=
+ *
+ * Lists waiting requests (default) in the order the worker picks them up,
+ * or the active ones a worker is serving, with their client, pool and
+ * priority lane.  `limit` defaults to 50 (at most 500).
+ */
+router.get('/queue/jobs', requireRole('viewer'), async (req, res) => {
+  const state = String(req.query.state || 'waiting').trim().toLowerCase();
+  if (!LIST_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of ${LIST_STATES.join(', ')}` });
+  }
+  const page = parsePage(req.query);
+  if (!page) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIST_LIMIT} and offset a non-negative integer` });
+  }
+  try {
+    const states = state === 'active' ? ['active'] : WAITING_STATES;
+    const counts = await keyQueue.getJobCounts(...states);
+    const jobs = await getJobPage(states, counts, page);
+    const now = Date.now();
+    return res.json({
+      state,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      ...page,
+      jobs: jobs.map((job) => toPublicQueueJob(job, now))
+    });
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /queue/jobs', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /queue/drain
+ *
+ * Cancels every waiting request.  Requests a worker is already serving are
+ * left alone.  Responds with the number cancelled.
+ */
+router.post('/queue/drain', requireRole('admin'), async (req, res) => {
+  try {
+    let cancelled = 0;
+    for (const state of WAITING_STATES) {
+      // Cancelled jobs leave the list; the ones that stay are skipped over.
+      let skipped = 0;
+      for (;;) {
+        const jobs = await getJobs(state, skipped, skipped + DRAIN_BATCH - 1);
+        for (const job of jobs) {
+          if (await cancelQueuedJob(job) === 'cancelled') {
+            cancelled += 1;
+          } else {
+            skipped += 1;
+          }
+        }
+        if (jobs.length < DRAIN_BATCH) {
+          break;
+        }
+      }
+    }
+    logger.info({ msg: 'Drained key queue', cancelled, changedBy: req.client.clientId });
+    return res.json({ cancelled });
+  } catch (err) {
+    logger.error({ msg: 'Error in POST /queue/drain', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /queue/jobs/:id
+ *
+ * Cancels one request.  A ticket's request can be cancelled until it is
+ * granted; a request held open by GET /key/available/queued only while it
+ * waits (409 once a worker serves it).
+ */
+router.delete('/queue/jobs/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const job = await keyQueue.getJob(req.params.id);
+    if (!job || !QUEUED_STATES.includes(await job.getState())) {
+      return res.status(404).json({ error: `Queue job ${req.params.id} not found` });
+    }
+    const result = await cancelQueuedJob(job);
+    if (result !== 'cancelled') {
+      return res.status(409).json({ error: `Queue job ${job.id} can no longer be cancelled` });
+    }
+    logger.info({ msg: 'Cancelled queued key request', jobId: job.id, clientId: job.data?.clientId, changedBy: req.client.clientId });
+    return res.json({ jobId: job.id, status: 'cancelled' });
+  } catch (err) {
+    logger.error({ msg: 'Error in DELETE /queue/jobs/:id', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * usage.js (router)
+ *
+ * REST endpoint for the usage history (see usageHistory.js).
+ * Routes include:
+ *   - GET /usage - grants, refunds, wait responses, exhaustions and cache
+ *     hits per minute, hour or day, for one key or every key
+ *
+ * Reading the history requires the viewer role.
+ */
+
+const express = require('express');
+const usageHistory = require('../src/usageHistory');
+const { requireRole } = require('../src/clientAuth');
+const logger = require('../src/logger');
+
+const router = express.Router();
+
+/**
+ * GET /usage?keyId=&from=&to=&granularity=
+ *
+ * Returns the usage buckets between `from` and `to` (timestamps or ISO
+ * dates; default the last 24 hours) at `minute`, `hour` (default) or `day`
+ * granularity, plus their totals.  Without `keyId` the buckets are summed
+ * over every key and include wait responses and cache hits.
+ */
+router.get('/usage', requireRole('viewer'), async (req, res) => {
+  const { query, error } = usageHistory.parseUsageQuery(req.query);
+  if (!query) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const usage = await usageHistory.queryUsage(query);
+    return res.json(usage);
+  } catch (err) {
+    logger.error({ msg: 'Error in GET /usage', error: err.message });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
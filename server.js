@@ -17,17 +17,38 @@ const express = require('express');
 const logger = require('./src/logger');
 const mongoClient = require('./src/mongoClient');
 const keyManager = require('./src/keyManager');
+const leaseManager = require('./src/leaseManager');
+const clientManager = require('./src/clientManager');
+const usageHistory = require('./src/usageHistory');
+const bulkJobs = require('./src/bulkJobs');
+const verificationCache = require('./src/verificationCache');
+const keyTickets = require('./src/keyTickets');
+const redisKeyStore = require('./src/redisKeyStore');
 const scheduler = require('./src/scheduler');
 const envWatcher = require('./src/envWatcher');
 const keyHealthChecker = require('./src/keyHealthChecker');
 const { shutdownKeyQueue } = require('./src/keyQueue');
+const { resumeInterruptedJobs, shutdownVerificationQueue } = require('./src/verificationQueue');
 const keysRoutes = require('./routes/keys');
+const plansRoutes = require('./routes/plans');
+const clientsRoutes = require('./routes/clients');
+const usageRoutes = require('./routes/usage');
+const metricsRoutes = require('./routes/metrics');
+const jobsRoutes = require('./routes/jobs');
+const queueRoutes = require('./routes/queue');
 
 const app = express();
+// Bulk job uploads exceed the default JSON limit; that router parses its own bodies.
+app.use(jobsRoutes);
 app.use(express.json());
 
 // Routes
 app.use(keysRoutes);
+app.use(plansRoutes);
+app.use(clientsRoutes);
+app.use(usageRoutes);
+app.use(queueRoutes);
+app.use(metricsRoutes);
 
 // Basic health check
 app.get('/health', (_req, res) => res.json({ status: 'ok' }));
@@ -38,6 +59,18 @@ async function start() {
   try {
     // Connect to MongoDB
     await mongoClient.connectMongo();
+    await leaseManager.ensureIndexes();
+    await clientManager.ensureIndexes();
+    await usageHistory.ensureIndexes();
+    await bulkJobs.ensureIndexes();
+    await verificationCache.ensureIndexes();
+    await keyTickets.ensureIndexes();
+    if (![...clientManager.getConfigClients().values()].some((client) => client.role === 'admin')) {
+      logger.warn({ msg: 'AUTH_TOKENS_JSON defines no admin token; only admin clients stored in MongoDB can manage the service' });
+    }
+
+    // Seed the plan catalogue before keys reference it
+    await keyManager.initializePlans();
 
     // Preload keys from env / JSON file
     await keyManager.initializeKeysFromEnv();
@@ -51,6 +84,9 @@ async function start() {
     // Start cron jobs
     scheduler.startSchedulers();
 
+    // Pick up bulk verification jobs interrupted by the last shutdown
+    await resumeInterruptedJobs();
+
     const port = Number(process.env.PORT) || 3000;
     const server = app.listen(port, () => {
       logger.info({ msg: `MailTester Key Manager listening on port ${port}` });
@@ -60,6 +96,26 @@ async function start() {
     const shutdown = async () => {
       logger.info({ msg: 'Shutting down server...' });
       server.close(async () => {
+        try {
+          await shutdownVerificationQueue();
+        } catch (err) {
+          logger.error({ msg: 'Error shutting down verification queue', error: err.message });
+        }
+        try {
+          await keyManager.flushKeyUsage();
+        } catch (err) {
+          logger.error({ msg: 'Error flushing key usage', error: err.message });
+        }
+        try {
+          await usageHistory.flush();
+        } catch (err) {
+          logger.error({ msg: 'Error flushing usage history', error: err.message });
+        }
+        try {
+          await redisKeyStore.close();
+        } catch (err) {
+          logger.error({ msg: 'Error closing Redis key store', error: err.message });
+        }
         try {
           await mongoClient.disconnectMongo();
         } catch (err) {
@@ -0,0 +1,554 @@
+/**
+ * bulkJobs.js
+ *
+ * Bulk email verification jobs (collections: `jobs` and `jobResults`).  A
+ * job verifies a list of addresses; each address is stored as a result
+ * document that starts out `pending` and is filled in once verified:
+ *
+ *   jobs:       { jobId, clientId, status, pool, strategy, concurrency,
+ *                 fresh, total, processed, rejected, counts, cacheHits,
+ *                 run, error, createdAt, updatedAt, startedAt, finishedAt }
+ *   jobResults: { jobId, index, email, status, result, code, message, mx,
+ *                 outcome, cached, attempts, verifiedAt }
+ *
+ * `counts` tallies the processed addresses by result (valid, invalid,
+ * catch_all, unknown, or error when MailTester failed) and `cacheHits` the
+ * ones answered from the verification cache, which a `fresh` job skips.  A
+ * job moves from `queued` to `running` to `completed`; it can be paused
+ * (and resumed), cancelled, and is `failed` when it stopped on an error (it
+ * can be resumed from there too).
+ *
+ * runJob() is called by the verification queue worker (see
+ * verificationQueue.js).  It works through the pending addresses in order
+ * with up to `concurrency` verifications in flight, each taking a key from
+ * the rotation through mailtesterClient.verifyEmail() and being charged to
+ * the job's client quota.  When no key (or no quota) is free it waits for
+ * the wait hint, so a job runs as fast as its pool allows.  Results are
+ * saved one address at a time, so a run that is interrupted (by a restart,
+ * a pause, or a failure) continues where it stopped.  Each resume starts a
+ * new `run`; a run that notices it is no longer the current one stops.
+ */
+const crypto = require('crypto');
+const mongoClient = require('./mongoClient');
+const clientManager = require('./clientManager');
+const mailtesterClient = require('./mailtesterClient');
+const logger = require('./logger');
+
+const RESULTS = ['valid', 'invalid', 'catch_all', 'unknown', 'error'];
+const FORMATS = ['csv', 'jsonl'];
+const RESULT_FIELDS = ['email', 'result', 'code', 'message', 'mx', 'outcome', 'cached', 'attempts', 'verifiedAt'];
+// Statuses each action applies to and the status it leads to.
+const TRANSITIONS = {
+  pause: { from: ['queued', 'running'], to: 'paused' },
+  resume: { from: ['paused', 'failed'], to: 'queued' },
+  cancel: { from: ['queued', 'running', 'paused'], to: 'cancelled' }
+};
+const DEFAULT_MAX_EMAILS = 100_000;
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_MAX_CONCURRENCY = 20;
+const DEFAULT_POLL_MS = 5000;
+const MIN_WAIT_MS = 50;
+const STATUS_CHECK_MS = 1000;
+const INSERT_CHUNK_SIZE = 1000;
+const BATCH_PER_SLOT = 10;
+
+// Set on shutdown so running jobs stop after their current verifications.
+let stopping = false;
+
+function resolvePositive(rawValue, fallback) {
+  const numeric = Number(rawValue);
+  if (Number.isFinite(numeric) && numeric > 0) {
+    return Math.floor(numeric);
+  }
+  return fallback;
+}
+
+function getMaxConcurrency() {
+  return resolvePositive(process.env.BULK_JOB_MAX_CONCURRENCY, DEFAULT_MAX_CONCURRENCY);
+}
+
+function getDefaultConcurrency() {
+  return Math.min(resolvePositive(process.env.BULK_JOB_DEFAULT_CONCURRENCY, DEFAULT_CONCURRENCY), getMaxConcurrency());
+}
+
+async function getJobsCollection() {
+  await mongoClient.connectMongo();
+  return mongoClient.getJobsCollection();
+}
+
+async function getJobResultsCollection() {
+  await mongoClient.connectMongo();
+  return mongoClient.getJobResultsCollection();
+}
+
+/**
+ * Create the job lookup indexes and the index runs read pending addresses
+ * from.
+ */
+async function ensureIndexes() {
+  const jobs = await getJobsCollection();
+  await jobs.createIndex({ jobId: 1 }, { unique: true });
+  await jobs.createIndex({ status: 1 });
+  const results = await getJobResultsCollection();
+  await results.createIndex({ jobId: 1, index: 1 }, { unique: true });
+  await results.createIndex({ jobId: 1, status: 1, index: 1 });
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let position = 0; position < line.length; position += 1) {
+    const char = line[position];
+    if (quoted) {
+      if (char === '"' && line[position + 1] === '"') {
+        cell += '"';
+        position += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+// Internal helper: read the addresses from CSV text.  A header row with an
+// `email` column selects that column; otherwise the first column is used.
+function readCsvEmails(text) {
+  const rows = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter((line) => line.trim()).map(splitCsvLine);
+  if (!rows.length) {
+    return [];
+  }
+  const column = rows[0].map((cell) => cell.trim().toLowerCase()).indexOf('email');
+  if (column >= 0) {
+    return rows.slice(1).map((row) => row[column] ?? '');
+  }
+  return rows.map((row) => row[0]);
+}
+
+/**
+ * Read the addresses for a job from a JSON array or CSV text.  Entries that
+ * are not email addresses are skipped and counted in `rejected`.
+ *
+ * @returns {{emails: string[]|null, rejected?: number, error?: string}}
+ */
+function parseEmailList(input) {
+  let values;
+  if (Array.isArray(input)) {
+    values = input;
+  } else if (typeof input === 'string') {
+    values = readCsvEmails(input);
+  } else {
+    return { emails: null, error: 'emails must be an array of email addresses or a CSV body' };
+  }
+  const emails = [];
+  let rejected = 0;
+  for (const value of values) {
+    const email = mailtesterClient.normalizeEmail(value);
+    if (email) {
+      emails.push(email);
+    } else {
+      rejected += 1;
+    }
+  }
+  if (!emails.length) {
+    return { emails: null, error: 'The list holds no valid email addresses' };
+  }
+  const maxEmails = resolvePositive(process.env.BULK_JOB_MAX_EMAILS, DEFAULT_MAX_EMAILS);
+  if (emails.length > maxEmails) {
+    return { emails: null, error: `A job may hold at most ${maxEmails} email addresses` };
+  }
+  return { emails, rejected };
+}
+
+// Reads an optional concurrency cap; returns false when it is not an
+// integer between 1 and BULK_JOB_MAX_CONCURRENCY.
+function parseConcurrency(rawValue) {
+  if (rawValue === undefined || rawValue === '') {
+    return undefined;
+  }
+  const numeric = Number(rawValue);
+  if (!Number.isInteger(numeric) || numeric < 1 || numeric > getMaxConcurrency()) {
+    return false;
+  }
+  return numeric;
+}
+
+function isValidFormat(format) {
+  return FORMATS.includes(format);
+}
+
+/**
+ * The job as returned by the API, with its progress.
+ */
+function toPublicJob(doc) {
+  return {
+    jobId: doc.jobId,
+    clientId: doc.clientId,
+    status: doc.status,
+    pool: doc.pool,
+    strategy: doc.strategy,
+    concurrency: doc.concurrency,
+    fresh: doc.fresh,
+    total: doc.total,
+    processed: doc.processed,
+    pending: doc.total - doc.processed,
+    rejected: doc.rejected,
+    progress: doc.total ? Math.round((doc.processed / doc.total) * 1000) / 1000 : 1,
+    counts: doc.counts,
+    cacheHits: doc.cacheHits,
+    error: doc.error,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    startedAt: doc.startedAt,
+    finishedAt: doc.finishedAt
+  };
+}
+
+/**
+ * Store a new job and its addresses.  The job is `queued`; the caller hands
+ * it to the verification queue.
+ *
+ * @param {{clientId: string, emails: string[], rejected?: number, pool?: string|string[],
+ *   strategy?: string, concurrency?: number, fresh?: boolean}} params
+ * @returns {Promise<object>} the job document
+ */
+async function createJob({ clientId, emails, rejected = 0, pool, strategy, concurrency, fresh = false }) {
+  const jobId = crypto.randomUUID();
+  const results = await getJobResultsCollection();
+  // The addresses go in first so a run never sees a job with missing ones.
+  for (let start = 0; start < emails.length; start += INSERT_CHUNK_SIZE) {
+    const chunk = emails.slice(start, start + INSERT_CHUNK_SIZE)
+      .map((email, offset) => ({ jobId, index: start + offset, email, status: 'pending' }));
+    await results.insertMany(chunk);
+  }
+  const now = Date.now();
+  const job = {
+    jobId,
+    clientId,
+    status: 'queued',
+    pool: pool ?? null,
+    strategy: strategy ?? null,
+    concurrency: concurrency || getDefaultConcurrency(),
+    fresh,
+    total: emails.length,
+    processed: 0,
+    rejected,
+    counts: Object.fromEntries(RESULTS.map((result) => [result, 0])),
+    cacheHits: 0,
+    run: 1,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+  const jobs = await getJobsCollection();
+  await jobs.insertOne({ ...job });
+  logger.info({ msg: 'Created bulk verification job', jobId, clientId, total: job.total, rejected });
+  return job;
+}
+
+async function getJob(jobId) {
+  const jobs = await getJobsCollection();
+  return jobs.findOne({ jobId });
+}
+
+/**
+ * Jobs that were queued or running, so the server can hand them to the
+ * verification queue again on startup.
+ */
+async function listResumableJobs() {
+  const jobs = await getJobsCollection();
+  const queued = await jobs.find({ status: 'queued' }).toArray();
+  const running = await jobs.find({ status: 'running' }).toArray();
+  return [...queued, ...running];
+}
+
+/**
+ * Pause, resume or cancel a job.  Resuming starts a new run, which the
+ * caller hands to the verification queue.
+ *
+ * @param {string} jobId
+ * @param {'pause'|'resume'|'cancel'} action
+ * @returns {Promise<{result: 'ok'|'not_found'|'conflict', job?: object}>}
+ *   `conflict` when the job's status does not allow the action
+ */
+async function transitionJob(jobId, action) {
+  const { from, to } = TRANSITIONS[action];
+  const jobs = await getJobsCollection();
+  const doc = await jobs.findOne({ jobId });
+  if (!doc) {
+    return { result: 'not_found' };
+  }
+  if (!from.includes(doc.status)) {
+    return { result: 'conflict', job: doc };
+  }
+  const now = Date.now();
+  const fields = { status: to, updatedAt: now };
+  if (action === 'cancel') {
+    fields.finishedAt = now;
+  }
+  if (action === 'resume') {
+    Object.assign(fields, { run: doc.run + 1, error: null, finishedAt: null });
+  }
+  const result = await jobs.findOneAndUpdate(
+    { jobId, status: doc.status, run: doc.run },
+    { $set: fields },
+    { returnDocument: 'after' }
+  );
+  const updated = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+  if (!updated) {
+    return { result: 'conflict', job: await jobs.findOne({ jobId }) };
+  }
+  logger.info({ msg: 'Changed bulk verification job status', jobId, from: doc.status, status: to });
+  return { result: 'ok', job: updated };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Internal helper: whether the run is still the job's current, running one.
+// The job is re-read at most once per STATUS_CHECK_MS.
+async function isCurrentRun(context) {
+  if (stopping) {
+    context.stopped = true;
+  }
+  if (context.stopped) {
+    return false;
+  }
+  const now = Date.now();
+  if (now - context.checkedAt < STATUS_CHECK_MS) {
+    return true;
+  }
+  context.checkedAt = now;
+  const jobs = await getJobsCollection();
+  const doc = await jobs.findOne({ jobId: context.job.jobId }, { projection: { status: 1, run: 1 } });
+  context.stopped = !doc || doc.status !== 'running' || doc.run !== context.job.run;
+  return !context.stopped;
+}
+
+// Sleeps until `waitMs` has passed (at most BULK_JOB_POLL_MS at a time) and
+// reports whether the run should carry on.
+async function waitForRun(context, waitMs) {
+  const pollMs = resolvePositive(process.env.BULK_JOB_POLL_MS, DEFAULT_POLL_MS);
+  await delay(Math.min(Math.max(waitMs ?? pollMs, MIN_WAIT_MS), pollMs));
+  return isCurrentRun(context);
+}
+
+async function saveResult(job, item, verification) {
+  const now = Date.now();
+  const fields = verification.status === 'ok'
+    ? {
+      result: verification.result,
+      code: verification.code,
+      message: verification.message,
+      mx: verification.mx,
+      outcome: 'ok',
+      cached: verification.cached
+    }
+    : { result: 'error', code: null, message: null, mx: null, outcome: verification.outcome, cached: false };
+  const results = await getJobResultsCollection();
+  const saved = await results.updateOne(
+    { jobId: job.jobId, index: item.index, status: 'pending' },
+    { $set: { ...fields, status: 'done', attempts: verification.attempts, verifiedAt: now } }
+  );
+  if (saved.matchedCount) {
+    const jobs = await getJobsCollection();
+    await jobs.updateOne(
+      { jobId: job.jobId },
+      {
+        $inc: { processed: 1, [`counts.${fields.result}`]: 1, cacheHits: fields.cached ? 1 : 0 },
+        $set: { updatedAt: now }
+      }
+    );
+  }
+}
+
+// Verifies one address, waiting for quota and keys as needed.  Returns
+// false when the run stopped before the address was verified.
+async function verifyItem(context, item) {
+  const { job } = context;
+  const { clientId } = job;
+  for (;;) {
+    const quota = await clientManager.consumeQuota(clientId, 1);
+    if (!quota) {
+      throw new Error(`Client ${clientId} no longer exists`);
+    }
+    if (!quota.granted) {
+      if (!(await waitForRun(context, quota.retryAt - Date.now()))) {
+        return false;
+      }
+      continue;
+    }
+    let verification = null;
+    try {
+      verification = await mailtesterClient.verifyEmail(item.email, {
+        strategy: job.strategy || undefined,
+        pool: job.pool || undefined,
+        clientId,
+        fresh: job.fresh
+      });
+    } finally {
+      if (!verification || !verification.attempts) {
+        await clientManager.refundQuota(clientId, { at: quota.at, count: 1 });
+      }
+    }
+    if (verification.status !== 'wait') {
+      await saveResult(job, item, verification);
+      return true;
+    }
+    if (!(await waitForRun(context, verification.hint.waitMs))) {
+      return false;
+    }
+  }
+}
+
+// Works through the pending addresses a batch at a time.  Returns true when
+// none are left, false when the run stopped.
+async function processPending(context) {
+  const { job } = context;
+  const results = await getJobResultsCollection();
+  for (;;) {
+    if (!(await isCurrentRun(context))) {
+      return false;
+    }
+    const batch = await results.find(
+      { jobId: job.jobId, status: 'pending' },
+      { sort: { index: 1 }, limit: job.concurrency * BATCH_PER_SLOT, projection: { index: 1, email: 1 } }
+    ).toArray();
+    if (!batch.length) {
+      return true;
+    }
+    let next = 0;
+    const slots = Array.from({ length: Math.min(job.concurrency, batch.length) }, async () => {
+      while (next < batch.length && (await isCurrentRun(context))) {
+        const item = batch[next];
+        next += 1;
+        if (!(await verifyItem(context, item))) {
+          return;
+        }
+      }
+    });
+    await Promise.all(slots);
+  }
+}
+
+/**
+ * Run a job: claim it if it is queued (or carry on when it was already
+ * running, e.g. before a restart), verify its pending addresses and mark it
+ * completed.  A run for an older `run` number, or for a job that is paused
+ * or cancelled, does nothing.  An error marks the job failed and is
+ * rethrown.
+ *
+ * @param {string} jobId
+ * @param {number} run the run number the job was queued with
+ * @returns {Promise<object|null>} the job document after the run
+ */
+async function runJob(jobId, run) {
+  const jobs = await getJobsCollection();
+  const doc = await jobs.findOne({ jobId });
+  if (!doc || doc.run !== run || !['queued', 'running'].includes(doc.status)) {
+    return doc;
+  }
+  if (doc.status === 'queued') {
+    const now = Date.now();
+    const claimed = await jobs.updateOne(
+      { jobId, run, status: 'queued' },
+      { $set: { status: 'running', startedAt: doc.startedAt || now, updatedAt: now } }
+    );
+    if (!claimed.matchedCount) {
+      return jobs.findOne({ jobId });
+    }
+  }
+  logger.info({ msg: 'Running bulk verification job', jobId, run, resumed: doc.status === 'running' });
+  const context = { job: doc, stopped: false, checkedAt: 0 };
+  try {
+    if (await processPending(context)) {
+      const now = Date.now();
+      await jobs.updateOne(
+        { jobId, run, status: 'running' },
+        { $set: { status: 'completed', finishedAt: now, updatedAt: now } }
+      );
+      logger.info({ msg: 'Bulk verification job completed', jobId, total: doc.total });
+    }
+  } catch (err) {
+    const now = Date.now();
+    await jobs.updateOne(
+      { jobId, run, status: 'running' },
+      { $set: { status: 'failed', error: err.message, finishedAt: now, updatedAt: now } }
+    );
+    logger.error({ msg: 'Bulk verification job failed', jobId, error: err.message });
+    throw err;
+  }
+  return jobs.findOne({ jobId });
+}
+
+/**
+ * Stop running jobs after their current verifications (on shutdown).  They
+ * stay `running` and continue when the server starts again.
+ */
+function stopRuns() {
+  stopping = true;
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Yield a job's verified results in list order as CSV lines (after a
+ * header) or JSON lines.
+ *
+ * @param {string} jobId
+ * @param {'csv'|'jsonl'} format
+ */
+async function* iterateResultLines(jobId, format) {
+  const results = await getJobResultsCollection();
+  if (format === 'csv') {
+    yield `${RESULT_FIELDS.join(',')}\n`;
+  }
+  const cursor = results.find(
+    { jobId, status: 'done' },
+    { sort: { index: 1 }, projection: Object.fromEntries(RESULT_FIELDS.map((field) => [field, 1])) }
+  );
+  for await (const doc of cursor) {
+    const values = RESULT_FIELDS.map((field) => doc[field] ?? null);
+    if (format === 'csv') {
+      yield `${values.map(toCsvCell).join(',')}\n`;
+    } else {
+      yield `${JSON.stringify(Object.fromEntries(RESULT_FIELDS.map((field, position) => [field, values[position]])))}\n`;
+    }
+  }
+}
+
+module.exports = {
+  FORMATS,
+  ensureIndexes,
+  parseEmailList,
+  parseConcurrency,
+  isValidFormat,
+  toPublicJob,
+  createJob,
+  getJob,
+  listResumableJobs,
+  transitionJob,
+  runJob,
+  stopRuns,
+  iterateResultLines
+};
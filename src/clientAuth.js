@@ -0,0 +1,84 @@
+/**
+ * clientAuth.js
+ *
+ * Express middleware that identifies the API client behind a request and
+ * checks its role.  The token is read from `Authorization: Bearer <token>`
+ * or the `X-Api-Key` header and looked up in the client registry (see
+ * clientManager.js); the matching client is stored on `req.client`.
+ *
+ * Roles: "consumer" may take keys, "viewer" may read key status, and
+ * "admin" may call every route.  Every rejected call is logged with the
+ * caller's identity.
+ */
+const clientManager = require('./clientManager');
+const logger = require('./logger');
+
+function extractToken(req) {
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header.trim());
+  if (match) {
+    return match[1].trim();
+  }
+  return String(req.get('x-api-key') || '').trim() || null;
+}
+
+// Viewers see only the last four characters of each subscription ID.
+function maskSubscriptionId(subscriptionId) {
+  const id = String(subscriptionId || '');
+  return `****${id.length > 4 ? id.slice(-4) : ''}`;
+}
+
+/**
+ * Log a rejected call and send the error response.
+ */
+function rejectRequest(req, res, status, error) {
+  logger.warn({
+    msg: 'Rejected request',
+    method: req.method,
+    path: req.originalUrl,
+    status,
+    clientId: req.client?.clientId || null,
+    role: req.client?.role || null,
+    ip: req.ip,
+    error
+  });
+  return res.status(status).json({ error });
+}
+
+/**
+ * Reject requests without a valid client token (401) or whose client holds
+ * none of `roles` (403).  Admins pass every check.
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const client = await clientManager.authenticate(extractToken(req));
+      if (!client) {
+        return rejectRequest(req, res, 401, 'A valid client token is required');
+      }
+      req.client = client;
+      if (client.role !== 'admin' && !roles.includes(client.role)) {
+        return rejectRequest(req, res, 403, `Role ${client.role} may not call this route`);
+      }
+      return next();
+    } catch (err) {
+      logger.error({ msg: 'Error authenticating client', error: err.message });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Narrows the requested pool to the pools the client may use.  Returns
+// { pool } (a name, a list of names, or undefined for any pool) or { error }.
+function resolveClientPool(client, pool) {
+  const allowed = client.allowedPools || [];
+  if (!allowed.length) {
+    return { pool };
+  }
+  if (!pool) {
+    return { pool: allowed };
+  }
+  return allowed.includes(pool) ? { pool } : { error: `Client ${client.clientId} may not use pool ${pool}` };
+}
+
+module.exports = { extractToken, maskSubscriptionId, rejectRequest, requireRole, resolveClientPool };
@@ -0,0 +1,477 @@
+/**
+ * clientManager.js
+ *
+ * Registry of API clients (collection: `clients`).  Each client document
+ * holds:
+ *
+ *   { clientId, name, role, tokenHash, allowedPools, quotaPerMinute,
+ *     quotaPerDay, minuteBuckets, dayBuckets, totalGrants, lastGrantAt }
+ *
+ * The role decides what the client may call (see clientAuth.js): a
+ * "consumer" takes keys, a "viewer" reads key status with masked
+ * subscription IDs, and an "admin" may do everything.  Clients can also be
+ * defined in AUTH_TOKENS_JSON so that an admin exists before MongoDB holds
+ * any; config clients have no pool restriction or quotas.
+ *
+ * Tokens are only ever returned when a client is created or its token is
+ * rotated; MongoDB stores their SHA-256 hash.  Grant quotas are enforced
+ * with sliding counters (see slidingWindow.js): per-second buckets for the
+ * minute quota and hourly buckets for the daily quota.  A null quota means
+ * unlimited; a client with neither quota is not charged at all, so its
+ * grant counters stay at zero.  An empty `allowedPools` list allows every
+ * pool.
+ */
+const crypto = require('crypto');
+const mongoClient = require('./mongoClient');
+const leaseManager = require('./leaseManager');
+const keyManager = require('./keyManager');
+const slidingWindow = require('./slidingWindow');
+const logger = require('./logger');
+
+const MINUTE_MS = 60_000;
+const MINUTE_BUCKET_MS = 1000;
+const { DAY_MS, DAILY_BUCKET_MS } = slidingWindow;
+const CLIENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_NAME_LENGTH = 128;
+const TOKEN_PREFIX = 'mtc_';
+const ROLES = ['consumer', 'viewer', 'admin'];
+const DEFAULT_ROLE = 'consumer';
+// Charges lost to concurrent grants before consumeQuota() gives up.
+const MAX_CHARGE_ATTEMPTS = 5;
+
+let configClientsCache = { raw: null, byTokenHash: new Map() };
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateToken() {
+  return `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+async function getClientsCollection() {
+  await mongoClient.connectMongo();
+  return mongoClient.getClientsCollection();
+}
+
+async function ensureIndexes() {
+  const collection = await getClientsCollection();
+  await collection.createIndex({ clientId: 1 }, { unique: true });
+  await collection.createIndex({ tokenHash: 1 }, { unique: true });
+}
+
+/**
+ * Parse AUTH_TOKENS_JSON: an array of `{ clientId, role, token }` entries
+ * (`name` is optional).  Invalid entries are logged and skipped.  The parsed
+ * result is cached until the variable changes.
+ *
+ * @returns {Map<string, object>} public clients keyed by token hash
+ */
+function getConfigClients() {
+  const raw = process.env.AUTH_TOKENS_JSON || '';
+  if (configClientsCache.raw === raw) {
+    return configClientsCache.byTokenHash;
+  }
+  const byTokenHash = new Map();
+  if (raw.trim()) {
+    let entries = [];
+    try {
+      entries = JSON.parse(raw);
+    } catch (err) {
+      logger.error({ msg: 'Failed to parse AUTH_TOKENS_JSON', error: err.message });
+    }
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const clientId = String(entry?.clientId || '').trim().toLowerCase();
+      const role = String(entry?.role || '').trim().toLowerCase();
+      const token = String(entry?.token || '').trim();
+      if (!CLIENT_ID_PATTERN.test(clientId) || !ROLES.includes(role) || !token) {
+        logger.error({ msg: 'Skipping invalid AUTH_TOKENS_JSON entry', clientId: clientId || null });
+        continue;
+      }
+      byTokenHash.set(hashToken(token), {
+        clientId,
+        name: String(entry.name || clientId),
+        role,
+        allowedPools: [],
+        quotaPerMinute: null,
+        quotaPerDay: null,
+        source: 'config'
+      });
+    }
+  }
+  configClientsCache = { raw, byTokenHash };
+  return byTokenHash;
+}
+
+function isConfigClient(clientId) {
+  return [...getConfigClients().values()].some((client) => client.clientId === clientId);
+}
+
+function toPublicClient(doc) {
+  if (!doc) {
+    return null;
+  }
+  return {
+    clientId: doc.clientId,
+    name: doc.name,
+    role: doc.role || DEFAULT_ROLE,
+    allowedPools: doc.allowedPools || [],
+    quotaPerMinute: doc.quotaPerMinute ?? null,
+    quotaPerDay: doc.quotaPerDay ?? null,
+    totalGrants: doc.totalGrants || 0,
+    lastGrantAt: doc.lastGrantAt ?? null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+function parseQuota(value, field) {
+  if (value === null) {
+    return { value: null };
+  }
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric < 1) {
+    return { error: `${field} must be a positive integer or null` };
+  }
+  return { value: numeric };
+}
+
+/**
+ * Validate a client definition.  With `partial` only the supplied fields
+ * are validated and returned (for updates); otherwise `clientId` is required
+ * and omitted settings get their defaults (consumer role, no pool
+ * restriction, unlimited quotas).
+ *
+ * @returns {{client: object|null, error: string|null}}
+ */
+function validateClient(input = {}, { partial = false } = {}) {
+  const client = {};
+  if (!partial) {
+    client.clientId = String(input.clientId || '').trim().toLowerCase();
+    if (!CLIENT_ID_PATTERN.test(client.clientId)) {
+      return { client: null, error: 'clientId must be 1-64 lowercase letters, digits, "-" or "_"' };
+    }
+  }
+  if (input.name !== undefined || !partial) {
+    client.name = String(input.name ?? client.clientId).trim();
+    if (!client.name || client.name.length > MAX_NAME_LENGTH) {
+      return { client: null, error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+  }
+  if (input.role !== undefined || !partial) {
+    client.role = String(input.role ?? DEFAULT_ROLE).trim().toLowerCase();
+    if (!ROLES.includes(client.role)) {
+      return { client: null, error: `role must be one of: ${ROLES.join(', ')}` };
+    }
+  }
+  if (input.allowedPools !== undefined || !partial) {
+    const pools = input.allowedPools ?? [];
+    if (!Array.isArray(pools)) {
+      return { client: null, error: 'allowedPools must be an array of pool names' };
+    }
+    const normalized = pools.map((pool) => keyManager.normalizePoolName(pool));
+    if (normalized.includes(null)) {
+      return { client: null, error: 'allowedPools must only contain valid pool names' };
+    }
+    client.allowedPools = [...new Set(normalized)];
+  }
+  for (const field of ['quotaPerMinute', 'quotaPerDay']) {
+    if (input[field] !== undefined || !partial) {
+      const { value, error } = parseQuota(input[field] ?? null, field);
+      if (error) {
+        return { client: null, error };
+      }
+      client[field] = value;
+    }
+  }
+  return { client, error: null };
+}
+
+async function listClients() {
+  const collection = await getClientsCollection();
+  const docs = await collection.find().toArray();
+  return docs.map(toPublicClient).sort((a, b) => a.clientId.localeCompare(b.clientId));
+}
+
+async function getClient(clientId) {
+  const collection = await getClientsCollection();
+  return toPublicClient(await collection.findOne({ clientId }));
+}
+
+/**
+ * Create a client.  The input must already be validated.
+ *
+ * @returns {Promise<null|{client: object, token: string}>} null when the
+ *   client ID is taken (in MongoDB or AUTH_TOKENS_JSON); `token` is the only
+ *   copy of the plain token
+ */
+async function createClient(client) {
+  const collection = await getClientsCollection();
+  if (isConfigClient(client.clientId) || await collection.findOne({ clientId: client.clientId })) {
+    return null;
+  }
+  const token = generateToken();
+  const now = Date.now();
+  const doc = {
+    ...client,
+    tokenHash: hashToken(token),
+    minuteBuckets: {},
+    dayBuckets: {},
+    totalGrants: 0,
+    lastGrantAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await collection.insertOne(doc);
+  logger.info({ msg: 'Created API client', clientId: client.clientId });
+  return { client: toPublicClient(doc), token };
+}
+
+/**
+ * Apply validated changes (see validateClient() with `partial`).
+ *
+ * @returns {Promise<object|null>} the updated client, or null when missing
+ */
+async function updateClient(clientId, changes) {
+  const collection = await getClientsCollection();
+  const result = await collection.findOneAndUpdate(
+    { clientId },
+    { $set: { ...changes, updatedAt: Date.now() } },
+    { returnDocument: 'after' }
+  );
+  const updated = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+  if (updated) {
+    logger.info({ msg: 'Updated API client', clientId });
+  }
+  return toPublicClient(updated);
+}
+
+/**
+ * Replace a client's token; the old token stops working immediately.
+ *
+ * @returns {Promise<string|null>} the new token, or null when the client is missing
+ */
+async function rotateToken(clientId) {
+  const collection = await getClientsCollection();
+  const token = generateToken();
+  const result = await collection.updateOne(
+    { clientId },
+    { $set: { tokenHash: hashToken(token), updatedAt: Date.now() } }
+  );
+  if (!result.matchedCount) {
+    return null;
+  }
+  logger.info({ msg: 'Rotated API client token', clientId });
+  return token;
+}
+
+async function deleteClient(clientId) {
+  const collection = await getClientsCollection();
+  const existing = await collection.findOne({ clientId });
+  if (!existing) {
+    return false;
+  }
+  await collection.deleteOne({ clientId });
+  logger.info({ msg: 'Deleted API client', clientId });
+  return true;
+}
+
+/**
+ * Look up the client owning a plain token, in AUTH_TOKENS_JSON first and
+ * then in MongoDB.
+ *
+ * @returns {Promise<object|null>} the public client view, or null
+ */
+async function authenticate(token) {
+  if (!token) {
+    return null;
+  }
+  const configClient = getConfigClients().get(hashToken(token));
+  if (configClient) {
+    return { ...configClient };
+  }
+  const collection = await getClientsCollection();
+  return toPublicClient(await collection.findOne({ tokenHash: hashToken(token) }));
+}
+
+// Internal helper: the client's grants in the sliding minute and day.
+function evaluateClientUsage(doc, now) {
+  const minuteBuckets = slidingWindow.pruneBuckets(doc.minuteBuckets, now, MINUTE_MS, MINUTE_BUCKET_MS);
+  const dayBuckets = slidingWindow.pruneBuckets(doc.dayBuckets, now, DAY_MS, DAILY_BUCKET_MS);
+  return {
+    minuteBuckets,
+    dayBuckets,
+    minuteCount: slidingWindow.countBuckets(minuteBuckets),
+    dayCount: slidingWindow.countBuckets(dayBuckets)
+  };
+}
+
+// Internal helper: earliest time both quotas have headroom again.
+function getQuotaRetryAt(doc, usage, now) {
+  let retryAt = now;
+  if (doc.quotaPerMinute) {
+    retryAt = Math.max(retryAt, slidingWindow.bucketsFreeAt(usage.minuteBuckets, doc.quotaPerMinute, now, MINUTE_MS, MINUTE_BUCKET_MS));
+  }
+  if (doc.quotaPerDay) {
+    retryAt = Math.max(retryAt, slidingWindow.bucketsFreeAt(usage.dayBuckets, doc.quotaPerDay, now, DAY_MS, DAILY_BUCKET_MS));
+  }
+  return retryAt;
+}
+
+/**
+ * Charge up to `requested` grants against a client's quotas.  Fewer may be
+ * granted when a quota runs out; `retryAt` then reports when the quota has
+ * headroom again.  Hand grants that were not used back with refundQuota().
+ * Config clients and clients without quotas are not charged: they are
+ * always granted in full and `at` is null.
+ *
+ * The charge is a conditional `$inc` on the current minute and hour buckets
+ * that only matches while they leave the quotas room, so concurrent grants
+ * for one client never exceed them and never have to retry one another's
+ * writes.  Only grants racing across a bucket boundary can see stale
+ * counts.  Losing the race to another grant is retried; if the quota still
+ * looks free after MAX_CHARGE_ATTEMPTS the call throws instead of
+ * reporting the quota as used up.
+ *
+ * @returns {Promise<null|{granted: number, at: number|null, retryAt: number|null}>}
+ *   null when the client does not exist
+ */
+async function consumeQuota(clientId, requested) {
+  if (isConfigClient(clientId)) {
+    return { granted: requested, at: null, retryAt: null };
+  }
+  const collection = await getClientsCollection();
+  for (let attemptIndex = 0; attemptIndex < MAX_CHARGE_ATTEMPTS; attemptIndex += 1) {
+    const doc = await collection.findOne({ clientId });
+    if (!doc) {
+      return null;
+    }
+    if (!doc.quotaPerMinute && !doc.quotaPerDay) {
+      return { granted: requested, at: null, retryAt: null };
+    }
+    const now = Date.now();
+    const usage = evaluateClientUsage(doc, now);
+    const minuteHeadroom = doc.quotaPerMinute ? doc.quotaPerMinute - usage.minuteCount : Infinity;
+    const dayHeadroom = doc.quotaPerDay ? doc.quotaPerDay - usage.dayCount : Infinity;
+    const granted = Math.max(0, Math.min(requested, minuteHeadroom, dayHeadroom));
+    if (!granted) {
+      return { granted: 0, at: now, retryAt: getQuotaRetryAt(doc, usage, now) };
+    }
+    const minuteBucket = String(slidingWindow.getBucketStart(now, MINUTE_BUCKET_MS));
+    const dayBucket = String(slidingWindow.getBucketStart(now, DAILY_BUCKET_MS));
+    const conditions = [];
+    if (doc.quotaPerMinute) {
+      const limit = (usage.minuteBuckets[minuteBucket] || 0) + minuteHeadroom - granted;
+      conditions.push(bucketHasRoom(`minuteBuckets.${minuteBucket}`, limit));
+    }
+    if (doc.quotaPerDay) {
+      const limit = (usage.dayBuckets[dayBucket] || 0) + dayHeadroom - granted;
+      conditions.push(bucketHasRoom(`dayBuckets.${dayBucket}`, limit));
+    }
+    const update = {
+      $inc: { [`minuteBuckets.${minuteBucket}`]: granted, [`dayBuckets.${dayBucket}`]: granted, totalGrants: granted },
+      $set: { lastGrantAt: now }
+    };
+    const expired = [
+      ...listExpiredBuckets('minuteBuckets', doc.minuteBuckets, usage.minuteBuckets, minuteBucket),
+      ...listExpiredBuckets('dayBuckets', doc.dayBuckets, usage.dayBuckets, dayBucket)
+    ];
+    if (expired.length) {
+      update.$unset = Object.fromEntries(expired.map((path) => [path, '']));
+    }
+    const result = await collection.updateOne({ clientId, $and: conditions }, update);
+    if (result.matchedCount) {
+      const charged = {
+        minuteBuckets: slidingWindow.addToBuckets(usage.minuteBuckets, new Array(granted).fill(now), MINUTE_BUCKET_MS),
+        dayBuckets: slidingWindow.addToBuckets(usage.dayBuckets, new Array(granted).fill(now), DAILY_BUCKET_MS)
+      };
+      return { granted, at: now, retryAt: granted < requested ? getQuotaRetryAt(doc, charged, now) : null };
+    }
+  }
+  throw new Error(`Could not charge client ${clientId}: its quota kept changing under concurrent grants`);
+}
+
+// Internal helper: filter matching while the bucket at `path` holds at most
+// `limit` grants (a missing bucket holds none).
+function bucketHasRoom(path, limit) {
+  return { $or: [{ [path]: { $exists: false } }, { [path]: { $lte: limit } }] };
+}
+
+// Internal helper: paths of stored buckets that no longer count, so a charge
+// can drop them.  The bucket being charged is kept even when empty.
+function listExpiredBuckets(field, stored, live, chargedBucket) {
+  return Object.keys(stored || {})
+    .filter((bucketStart) => !(bucketStart in live) && bucketStart !== chargedBucket)
+    .map((bucketStart) => `${field}.${bucketStart}`);
+}
+
+/**
+ * Give back `count` grants charged by consumeQuota() at `at`, with one
+ * atomic `$inc`.  Grants that were never charged (`at` is null) or whose
+ * bucket has left the day window are not refunded.
+ */
+async function refundQuota(clientId, { at, count }) {
+  if (!count || at === null || at === undefined || isConfigClient(clientId)) {
+    return;
+  }
+  const collection = await getClientsCollection();
+  const dayPath = `dayBuckets.${slidingWindow.getBucketStart(at, DAILY_BUCKET_MS)}`;
+  const refund = { [dayPath]: -count, totalGrants: -count };
+  // A minute bucket that has expired is left alone rather than made negative.
+  if (at > Date.now() - MINUTE_MS - MINUTE_BUCKET_MS) {
+    refund[`minuteBuckets.${slidingWindow.getBucketStart(at, MINUTE_BUCKET_MS)}`] = -count;
+  }
+  const result = await collection.updateOne({ clientId, [dayPath]: { $gte: count } }, { $inc: refund });
+  if (!result.matchedCount) {
+    logger.warn({ msg: 'Client quota refund matched no charge', clientId, at, count });
+  }
+}
+
+/**
+ * Report a client's consumption: grants in the sliding minute and day against
+ * its quotas, lifetime grants, and its retained leases by status.
+ *
+ * @returns {Promise<object|null>} null when the client does not exist
+ */
+async function getUsage(clientId) {
+  const collection = await getClientsCollection();
+  const doc = await collection.findOne({ clientId });
+  if (!doc) {
+    return null;
+  }
+  const now = Date.now();
+  const usage = evaluateClientUsage(doc, now);
+  return {
+    clientId,
+    quotas: { perMinute: doc.quotaPerMinute ?? null, perDay: doc.quotaPerDay ?? null },
+    grants: {
+      lastMinute: usage.minuteCount,
+      lastDay: usage.dayCount,
+      total: doc.totalGrants || 0,
+      lastGrantAt: doc.lastGrantAt ?? null
+    },
+    remaining: {
+      minute: doc.quotaPerMinute ? Math.max(0, doc.quotaPerMinute - usage.minuteCount) : null,
+      day: doc.quotaPerDay ? Math.max(0, doc.quotaPerDay - usage.dayCount) : null
+    },
+    leases: await leaseManager.countClientLeases(clientId)
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashToken,
+  getConfigClients,
+  ensureIndexes,
+  validateClient,
+  listClients,
+  getClient,
+  createClient,
+  updateClient,
+  rotateToken,
+  deleteClient,
+  authenticate,
+  consumeQuota,
+  refundQuota,
+  getUsage
+};
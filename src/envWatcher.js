@@ -28,6 +28,15 @@ function parseEnvFile(envPath) {
   }
 }
 
+// Validate the optional pool/tags of an entry; invalid entries are logged and dropped.
+function parseLabels(id, raw) {
+  const { labels, error } = keyManager.validateKeyLabels(raw);
+  if (!labels) {
+    logger.error({ msg: 'Watcher: skipping key with invalid labels', subscriptionId: id, error });
+  }
+  return labels;
+}
+
 function parseKeysFromEnv(envVars, envDir) {
   if (!envVars) {
     return { keys: [], jsonPath: null };
@@ -35,7 +44,8 @@ function parseKeysFromEnv(envVars, envDir) {
 
   const result = { keys: [], jsonPath: null };
   const defaultPlan = String(envVars.MAILTESTER_DEFAULT_PLAN || 'ultimate').toLowerCase();
-  const normalizePlan = (plan) => (String(plan || '').toLowerCase() === 'pro' ? 'pro' : 'ultimate');
+  // Plan names are passed through as-is; registerKey rejects plans missing from the catalogue.
+  const normalizePlan = (plan) => String(plan || '').trim().toLowerCase();
 
   let rawJson = envVars.MAILTESTER_KEYS_JSON || '';
   const jsonPath = envVars.MAILTESTER_KEYS_JSON_PATH;
@@ -57,7 +67,9 @@ function parseKeysFromEnv(envVars, envDir) {
         for (const entry of parsed) {
           const id = String(entry?.id || '').trim();
           if (!id) continue;
-          jsonKeys.push({ id, plan: normalizePlan(entry?.plan || defaultPlan) });
+          const labels = parseLabels(id, { pool: entry?.pool, tags: entry?.tags });
+          if (!labels) continue;
+          jsonKeys.push({ id, plan: normalizePlan(entry?.plan || defaultPlan), ...labels });
         }
       }
     } catch (err) {
@@ -74,10 +86,12 @@ function parseKeysFromEnv(envVars, envDir) {
     const csvKeys = [];
     const entries = csvRaw.split(',').map((pair) => pair.trim()).filter(Boolean);
     for (const entry of entries) {
-      const [idPart, planPart] = entry.split(':');
+      const [idPart, planPart, poolPart] = entry.split(':');
       const id = String(idPart || '').trim();
       if (!id) continue;
-      csvKeys.push({ id, plan: normalizePlan(planPart || defaultPlan) });
+      const labels = parseLabels(id, { pool: poolPart || undefined });
+      if (!labels) continue;
+      csvKeys.push({ id, plan: normalizePlan(planPart || defaultPlan), ...labels });
     }
     if (csvKeys.length) {
       result.keys = csvKeys;
@@ -99,6 +113,27 @@ function parseKeysFromEnv(envVars, envDir) {
   return result;
 }
 
+// Labels the .env entry leaves out are not compared, matching registerKey().
+// Status is not compared either: registerKey() never changes it, so keys an
+// operator paused, drained or banned keep that status across syncs.
+function isInDesiredState(current, { plan, pool, tags }) {
+  if (!current || current.plan !== plan) {
+    return false;
+  }
+  if (pool !== undefined && current.pool !== pool) {
+    return false;
+  }
+  if (tags !== undefined && !sameTags(current.tags || {}, tags)) {
+    return false;
+  }
+  return true;
+}
+
+function sameTags(a, b) {
+  const aEntries = Object.entries(a);
+  return aEntries.length === Object.keys(b).length && aEntries.every(([name, value]) => b[name] === value);
+}
+
 async function performSync(envPath) {
   const envDir = path.dirname(envPath);
   const envVars = parseEnvFile(envPath);
@@ -106,20 +141,19 @@ async function performSync(envPath) {
 
   const desiredMap = new Map();
   for (const key of desiredKeys) {
-    desiredMap.set(key.id, key.plan);
+    desiredMap.set(key.id, key);
   }
   const existing = await keyManager.getAllKeysStatus();
-  const existingMap = new Map(existing.map((entry) => [entry.subscriptionId, entry.plan]));
+  const existingMap = new Map(existing.map((entry) => [entry.subscriptionId, entry]));
 
-  for (const [subscriptionId, plan] of desiredMap.entries()) {
+  for (const [subscriptionId, { plan, pool, tags }] of desiredMap.entries()) {
     try {
-      const currentPlan = existingMap.get(subscriptionId);
-      if (currentPlan && currentPlan === plan) {
+      if (isInDesiredState(existingMap.get(subscriptionId), { plan, pool, tags })) {
         logger.debug({ msg: 'Watcher: key already in desired state', subscriptionId });
         continue;
       }
-      await keyManager.registerKey(subscriptionId, plan);
-      logger.info({ msg: 'Watcher: applied key from .env', subscriptionId, plan });
+      await keyManager.registerKey(subscriptionId, plan, { pool, tags });
+      logger.info({ msg: 'Watcher: applied key from .env', subscriptionId, plan, pool });
     } catch (err) {
       logger.error({ msg: 'Watcher: failed to register key', subscriptionId, error: err.message });
     }
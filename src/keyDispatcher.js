@@ -0,0 +1,179 @@
+/**
+ * keyDispatcher.js
+ *
+ * Hands keys to the requests waiting in the key queue (see keyQueue.js)
+ * without polling.  Waiters line up in the order the worker picked them up,
+ * which is the queue's priority order, and each pool is served first come,
+ * first served: only the waiter at the head of a pool's line asks for a key,
+ * and once it is served the next one asks straight away, so a pool hands out
+ * keys as fast as its keys allow.
+ *
+ * When a pool has no key to give, the dispatcher sleeps until the earliest
+ * time one frees up according to the keys' wait hint (the next spacing
+ * slot, window rollover, daily reset, cooldown or breaker expiry).  It wakes
+ * early when this instance frees capacity (see keyManager.onCapacityFreed())
+ * and at least every KEY_QUEUE_BACKOFF_MS, which also catches capacity freed
+ * by other instances and pools without any grantable key.
+ *
+ * A waiter whose request was cancelled meanwhile (its caller hung up) leaves
+ * the line when its turn comes instead of taking a key, so it never holds
+ * up the waiters behind it.
+ */
+const keyManager = require('./keyManager');
+const logger = require('./logger');
+
+const DEFAULT_MAX_SLEEP_MS = 1000;
+// Shortest sleep, so a hint that keeps saying "now" while other callers win
+// the race does not spin.
+const MIN_SLEEP_MS = 5;
+
+// Waiters in arrival order: { request, deadline, isCancelled, resolve }.
+const waiters = [];
+let timer = null;
+let wakeAt = Infinity;
+let dispatching = false;
+let dispatchAgain = false;
+let unsubscribe = null;
+
+function getMaxSleepMs() {
+  const numeric = Number(process.env.KEY_QUEUE_BACKOFF_MS);
+  return Number.isFinite(numeric) && numeric > 0 ? Math.floor(numeric) : DEFAULT_MAX_SLEEP_MS;
+}
+
+function getPoolSignature(pool) {
+  if (!pool) {
+    return '*';
+  }
+  return Array.isArray(pool) ? [...pool].sort().join(',') : pool;
+}
+
+function removeWaiter(waiter) {
+  const index = waiters.indexOf(waiter);
+  if (index >= 0) {
+    waiters.splice(index, 1);
+  }
+}
+
+// Internal helper: run dispatch() at `at` unless a wakeup is already due
+// sooner.  Nothing is scheduled while no one waits.
+function scheduleWakeup(at) {
+  if (!waiters.length || at >= wakeAt) {
+    return;
+  }
+  clearTimeout(timer);
+  wakeAt = at;
+  timer = setTimeout(() => {
+    timer = null;
+    wakeAt = Infinity;
+    dispatch();
+  }, Math.max(0, at - Date.now()));
+}
+
+function wakeNow() {
+  if (waiters.length) {
+    scheduleWakeup(Date.now());
+  }
+}
+
+/**
+ * Serve waiters in order.  For each pool the head waiter asks for a key;
+ * waiters behind it in the same pool wait their turn.  Afterwards a wakeup
+ * is scheduled for the earliest time a blocked pool or a deadline needs
+ * attention.
+ */
+async function dispatch() {
+  if (dispatching) {
+    dispatchAgain = true;
+    return;
+  }
+  dispatching = true;
+  try {
+    do {
+      dispatchAgain = false;
+      const maxSleepMs = getMaxSleepMs();
+      const blockedPools = new Set();
+      let nextWakeAt = Infinity;
+      for (const waiter of [...waiters]) {
+        const now = Date.now();
+        if (waiter.deadline <= now) {
+          removeWaiter(waiter);
+          waiter.resolve(null);
+          continue;
+        }
+        const signature = getPoolSignature(waiter.request.pool);
+        if (blockedPools.has(signature)) {
+          nextWakeAt = Math.min(nextWakeAt, waiter.deadline);
+          continue;
+        }
+        try {
+          if (waiter.isCancelled && await waiter.isCancelled()) {
+            removeWaiter(waiter);
+            waiter.resolve(null);
+            continue;
+          }
+          const key = await keyManager.getAvailableKey(waiter.request);
+          if (key) {
+            removeWaiter(waiter);
+            waiter.resolve(key);
+            continue;
+          }
+          blockedPools.add(signature);
+          const hint = await keyManager.getWaitHint({ pool: waiter.request.pool });
+          const sleepMs = hint.waitMs === null ? maxSleepMs : Math.min(Math.max(hint.waitMs, MIN_SLEEP_MS), maxSleepMs);
+          nextWakeAt = Math.min(nextWakeAt, Date.now() + sleepMs, waiter.deadline);
+        } catch (err) {
+          logger.error({ msg: 'Error dispatching queued key request', pool: waiter.request.pool, error: err.message });
+          blockedPools.add(signature);
+          nextWakeAt = Math.min(nextWakeAt, Date.now() + maxSleepMs, waiter.deadline);
+        }
+      }
+      if (!dispatchAgain) {
+        scheduleWakeup(nextWakeAt);
+      }
+    } while (dispatchAgain);
+  } finally {
+    dispatching = false;
+  }
+}
+
+/**
+ * Wait for a key in line with the other waiters.
+ *
+ * @param {{strategy?: string, pool?: string|string[], clientId?: string}} request
+ *   passed to keyManager.getAvailableKey()
+ * @param {{deadline?: number, isCancelled?: function(): Promise<boolean>}} [options]
+ *   give up at this time (default never), or when `isCancelled` resolves to
+ *   true on the waiter's turn
+ * @returns {Promise<object|null>} the granted key, or null at the deadline or
+ *   once cancelled
+ */
+function waitForKey(request, { deadline = Infinity, isCancelled } = {}) {
+  if (!unsubscribe) {
+    unsubscribe = keyManager.onCapacityFreed(wakeNow);
+  }
+  return new Promise((resolve) => {
+    waiters.push({ request, deadline, isCancelled, resolve });
+    wakeNow();
+  });
+}
+
+/**
+ * Stop dispatching: pending waiters get null, as at their deadline.
+ */
+function stopDispatcher() {
+  clearTimeout(timer);
+  timer = null;
+  wakeAt = Infinity;
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  for (const waiter of waiters.splice(0)) {
+    waiter.resolve(null);
+  }
+}
+
+module.exports = {
+  waitForKey,
+  stopDispatcher
+};
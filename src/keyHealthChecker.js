@@ -1,8 +1,10 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const cron = require('node-cron');
 const keyManager = require('./keyManager');
+const mailtesterClient = require('./mailtesterClient');
+const metrics = require('./metrics');
+const notifier = require('./notifier');
 const logger = require('./logger');
 
 const TEST_EMAIL = 'contact@daddy-leads.com';
@@ -117,26 +119,21 @@ function removeSubscriptionFromEnv(envContent, id) {
 }
 
 async function validateKey(subscriptionId) {
-  try {
-    const url = `https://happy.mailtester.ninja/ninja?email=${encodeURIComponent(TEST_EMAIL)}&key=${encodeURIComponent(subscriptionId)}`;
-    const response = await axios.get(url, { timeout: 10000 });
-    if (response.status === 200 && response.data) {
-      const code = response.data.code;
-      return code === 'ok';
-    }
-    return false;
-  } catch (err) {
-    if (err.response && (err.response.status === 401 || err.response.status === 403)) {
-      return false;
-    }
-    logger.warn({ msg: 'HealthChecker: API request error', subscriptionId, error: err.message });
-    return false;
+  const response = await mailtesterClient.callMailTester(TEST_EMAIL, subscriptionId);
+  if (response.outcome === 'ok') {
+    return response.data.code === 'ok';
+  }
+  if (response.outcome !== 'unauthorized') {
+    logger.warn({ msg: 'HealthChecker: API request error', subscriptionId, error: response.error || `HTTP ${response.httpStatus}` });
   }
+  return false;
 }
 
 async function performHealthCheck(envPath) {
+  const startedAt = Date.now();
   const keys = await keyManager.getAllKeysStatus();
   if (!keys.length) {
+    metrics.recordHealthCheckRun(startedAt);
     return;
   }
   let envContent = readEnv(envPath);
@@ -147,6 +144,7 @@ async function performHealthCheck(envPath) {
   for (const key of keys) {
     const subscriptionId = key.subscriptionId;
     const isValid = await validateKey(subscriptionId);
+    metrics.recordHealthCheckResult(isValid);
     if (!isValid) {
       try {
         await keyManager.deleteKey(subscriptionId);
@@ -156,6 +154,11 @@ async function performHealthCheck(envPath) {
           envContent = result.content;
         }
         logger.warn({ msg: 'HealthChecker: removed inactive key', subscriptionId });
+        notifier.notify('key_removed', {
+          subscriptionId,
+          pool: key.pool,
+          reason: 'failed the MailTester health check'
+        });
       } catch (err) {
         logger.error({ msg: 'HealthChecker: failed to delete key', subscriptionId, error: err.message });
       }
@@ -165,6 +168,7 @@ async function performHealthCheck(envPath) {
   if (cleanedIds.length) {
     writeEnv(envPath, envContent);
   }
+  metrics.recordHealthCheckRun(startedAt);
 }
 
 function startScheduler(dotenvPath) {
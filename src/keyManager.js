@@ -8,23 +8,59 @@
  * daily quotas.
  *
  * Key metadata is stored in MongoDB (collection: `keys`).  Each document
- * contains the plan, counters, and rate limits for a subscription ID.  All
- * operations funnel through this module to keep the data model consistent.
+ * contains the plan, usage, and rate limits for a subscription ID; the
+ * limits are copied from the plan catalogue (see planManager.js) and kept in
+ * sync when a plan changes.  Keys belong to one pool (`pool`, default
+ * "default") and may carry free-form `tags`; selection can be restricted to
+ * a pool so one workload cannot drain keys another depends on.  Usage is
+ * tracked in sliding windows (see slidingWindow.js) that are evaluated
+ * whenever a key is selected, so no periodic reset is needed.  Operators
+ * can take a key out of rotation with a manual status (`paused`, `draining`
+ * or `banned`, optionally until an expiry); only `active` and `exhausted`
+ * keys are ever selected, and the automatic active/exhausted transitions
+ * never touch the manual ones.  A per-key circuit breaker, fed by reported
+ * outcomes, additionally keeps failing keys out of rotation with
+ * exponentially growing cooldowns.  All operations funnel through this
+ * module to keep the data model consistent.
+ *
+ * With KEY_STORE_BACKEND=redis the usage is served from Redis instead (see
+ * redisKeyStore.js) and written back to MongoDB periodically by
+ * flushKeyUsage(); everything else still lives in MongoDB.
+ *
+ * Grants, refunds and exhaustions are also recorded in the usage history
+ * (see usageHistory.js), which outlives the sliding windows.  Exhausted and
+ * banned keys are announced through the notifier (see notifier.js).
+ * Changes that free capacity early (refunds, new or reactivated keys, usage
+ * resets) are signalled to onCapacityFreed() listeners.
  */
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
 const mongoClient = require('./mongoClient');
+const leaseManager = require('./leaseManager');
+const keySelection = require('./keySelection');
+const planManager = require('./planManager');
+const redisKeyStore = require('./redisKeyStore');
+const slidingWindow = require('./slidingWindow');
+const usageHistory = require('./usageHistory');
+const notifier = require('./notifier');
 
-const WINDOW_MS = 30_000;
-const DAY_MS = 86_400_000;
+const { WINDOW_MS, DAY_MS, DAILY_BUCKET_MS } = slidingWindow;
 
-const PRO_RATE_LIMIT_30S = 35;
-const PRO_DAILY_LIMIT = 100_000;
-const PRO_DEFAULT_INTERVAL_MS = 860;
-const ULTIMATE_RATE_LIMIT_30S = 170;
-const ULTIMATE_DAILY_LIMIT = 500_000;
-const ULTIMATE_DEFAULT_INTERVAL_MS = 170;
+const DEFAULT_RATE_LIMIT_COOLDOWN_MS = WINDOW_MS;
+const DEFAULT_KEY_STORE_REFRESH_MS = 1000;
+const OUTCOME_KINDS = ['ok', 'unauthorized', 'rate_limited', 'timeout', 'error'];
+const BREAKER_FAILURE_OUTCOMES = ['timeout', 'error'];
+const DEFAULT_BREAKER_FAILURE_THRESHOLD = 5;
+const DEFAULT_BREAKER_BASE_COOLDOWN_MS = WINDOW_MS;
+const DEFAULT_BREAKER_MAX_COOLDOWN_MS = 3_600_000;
+const DEFAULT_POOL = 'default';
+const LABEL_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_TAGS = 20;
+const MAX_TAG_VALUE_LENGTH = 256;
+const MANUAL_STATUSES = ['paused', 'draining', 'banned'];
+const MAX_STATUS_REASON_LENGTH = 256;
 
 function resolveInterval(overrideValue, fallback) {
   if (typeof overrideValue === 'number' && Number.isFinite(overrideValue) && overrideValue > 0) {
@@ -33,32 +69,354 @@ function resolveInterval(overrideValue, fallback) {
   return fallback;
 }
 
-// Internal helper: compute rate limits based on plan
-function getRateLimits(plan) {
-  const normalized = String(plan || '').toLowerCase();
-  if (normalized === 'pro') {
-    const rateLimit30s = PRO_RATE_LIMIT_30S;
-    const dailyLimit = PRO_DAILY_LIMIT;
-    const avgRequestIntervalMs = resolveInterval(
-      Number(process.env.MAILTESTER_PRO_INTERVAL_MS),
-      PRO_DEFAULT_INTERVAL_MS
-    );
-    return { rateLimit30s, dailyLimit, avgRequestIntervalMs };
-  }
-  // default to ultimate
-  const rateLimit30s = ULTIMATE_RATE_LIMIT_30S;
-  const dailyLimit = ULTIMATE_DAILY_LIMIT;
-  const avgRequestIntervalMs = resolveInterval(
-    Number(process.env.MAILTESTER_ULTIMATE_INTERVAL_MS),
-    ULTIMATE_DEFAULT_INTERVAL_MS
-  );
+// Internal helper: look up the limits of a plan in the plan catalogue
+async function getRateLimits(plan) {
+  const definition = await planManager.getPlan(plan);
+  if (!definition) {
+    throw new Error(`Unknown plan "${plan}"`);
+  }
+  const { rateLimit30s, dailyLimit, avgRequestIntervalMs } = definition;
   return { rateLimit30s, dailyLimit, avgRequestIntervalMs };
 }
 
+function getRateLimitCooldownMs() {
+  return resolveInterval(Number(process.env.KEY_RATE_LIMIT_COOLDOWN_MS), DEFAULT_RATE_LIMIT_COOLDOWN_MS);
+}
+
+// Keys that MailTester throttled are skipped until their cooldown passes.
+function isCoolingDown(doc, now) {
+  return typeof doc.cooldownUntil === 'number' && doc.cooldownUntil > now;
+}
+
+function getBreakerSettings() {
+  return {
+    failureThreshold: resolveInterval(Number(process.env.KEY_BREAKER_FAILURE_THRESHOLD), DEFAULT_BREAKER_FAILURE_THRESHOLD),
+    baseCooldownMs: resolveInterval(Number(process.env.KEY_BREAKER_BASE_COOLDOWN_MS), DEFAULT_BREAKER_BASE_COOLDOWN_MS),
+    maxCooldownMs: resolveInterval(Number(process.env.KEY_BREAKER_MAX_COOLDOWN_MS), DEFAULT_BREAKER_MAX_COOLDOWN_MS)
+  };
+}
+
+// Internal helper: effective circuit breaker state of a key at `now`.  The
+// stored state is only `closed` or `open`; an open breaker turns half-open
+// once its cooldown (`breakerOpenUntil`) has passed.
+function getBreakerState(doc, now) {
+  if (doc.breakerState !== 'open') {
+    return 'closed';
+  }
+  return now < doc.breakerOpenUntil ? 'open' : 'half_open';
+}
+
+// Internal helper: whether the single probe grant of a half-open breaker is
+// still out.  A probe nobody reports on stops counting when its lease would
+// have expired.
+function isProbeInFlight(doc, now) {
+  return typeof doc.breakerProbeAt === 'number'
+    && doc.breakerProbeAt >= doc.breakerOpenUntil
+    && now - doc.breakerProbeAt < leaseManager.getLeaseTtlMs();
+}
+
+/**
+ * Internal helper: the breaker as reported by /status, /limits and outcome
+ * reports.  `nextProbeAt` is when the key may next be granted as a probe
+ * (null while closed).
+ */
+function describeBreaker(doc, now) {
+  const state = getBreakerState(doc, now);
+  const probeInFlight = state === 'half_open' && isProbeInFlight(doc, now);
+  let nextProbeAt = null;
+  if (state !== 'closed') {
+    nextProbeAt = probeInFlight ? doc.breakerProbeAt + leaseManager.getLeaseTtlMs() : doc.breakerOpenUntil;
+  }
+  return {
+    state,
+    consecutiveFailures: doc.breakerFailures || 0,
+    trips: doc.breakerTrips || 0,
+    openedAt: doc.breakerOpenedAt ?? null,
+    nextProbeAt,
+    nextProbeInMs: nextProbeAt === null ? null : Math.max(0, nextProbeAt - now),
+    probeInFlight
+  };
+}
+
+function usesRedisStore() {
+  return String(process.env.KEY_STORE_BACKEND || 'mongo').trim().toLowerCase() === 'redis';
+}
+
+// Internal helper: a key just moved from active to exhausted.
+function recordExhaustion(doc, at) {
+  usageHistory.recordExhaustion(doc.subscriptionId, at);
+  notifier.notify('key_exhausted', { subscriptionId: doc.subscriptionId, pool: getKeyPool(doc) });
+}
+
+// Internal helper: whether a key may be considered for grants at all.
+// `exhausted` is re-checked against the sliding daily window on every
+// selection, so those keys stay eligible until their usage is evaluated.
+// Open breakers block the key; half-open ones allow one probe at a time.
+function isSelectable(doc, now) {
+  if (isCoolingDown(doc, now)) {
+    return false;
+  }
+  const breaker = getBreakerState(doc, now);
+  if (breaker === 'open' || (breaker === 'half_open' && isProbeInFlight(doc, now))) {
+    return false;
+  }
+  return doc.status === 'active' || doc.status === 'exhausted';
+}
+
+/**
+ * Internal helper: derive the effective usage of a key document at `now`.
+ * The returned `windowLog` and `dailyBuckets` are pruned copies that usage
+ * updates build on.
+ */
+function evaluateKeyUsage(doc, now) {
+  const windowLog = slidingWindow.pruneWindowLog(doc.windowLog, now);
+  const dailyBuckets = slidingWindow.pruneBuckets(doc.dailyBuckets, now);
+  const windowCount = windowLog.length;
+  const dayCount = slidingWindow.countBuckets(dailyBuckets);
+  const avgInterval = Number(doc.avgRequestIntervalMs) || Math.floor(WINDOW_MS / Math.max(doc.rateLimit30s || 1, 1));
+  const lastUsed = typeof doc.lastUsed === 'number' ? doc.lastUsed : 0;
+  return {
+    windowLog,
+    dailyBuckets,
+    windowCount,
+    dayCount,
+    avgInterval,
+    lastUsed,
+    rateLimit30s: doc.rateLimit30s,
+    dailyLimit: doc.dailyLimit,
+    spacingExpired: avgInterval <= 0 || now - lastUsed >= avgInterval,
+    dailyExhausted: dayCount >= doc.dailyLimit,
+    windowCapped: windowCount >= doc.rateLimit30s
+  };
+}
+
+function getKeyPool(doc) {
+  return doc.pool || DEFAULT_POOL;
+}
+
+// Internal helper: whether a key belongs to the requested pool, or to one of
+// a list of pools (any pool when none was requested).
+function isInPool(doc, pool) {
+  if (!pool) {
+    return true;
+  }
+  return Array.isArray(pool) ? pool.includes(getKeyPool(doc)) : getKeyPool(doc) === pool;
+}
+
+/**
+ * Normalise a pool name; returns null when it is not 1-64 lowercase letters,
+ * digits, "-" or "_".
+ */
+function normalizePoolName(pool) {
+  const normalized = String(pool ?? '').trim().toLowerCase();
+  return LABEL_NAME_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Validate the optional `pool` and `tags` labels of a key.  Omitted labels
+ * stay undefined so registerKey() leaves the stored value alone.  Tag names
+ * follow the pool name rules and values are stored as strings.
+ *
+ * @returns {{labels: {pool?: string, tags?: object}|null, error: string|null}}
+ */
+function validateKeyLabels({ pool, tags } = {}) {
+  const labels = {};
+  if (pool !== undefined && pool !== null) {
+    labels.pool = normalizePoolName(pool);
+    if (!labels.pool) {
+      return { labels: null, error: 'pool must be 1-64 lowercase letters, digits, "-" or "_"' };
+    }
+  }
+  if (tags !== undefined && tags !== null) {
+    if (typeof tags !== 'object' || Array.isArray(tags)) {
+      return { labels: null, error: 'tags must be an object of name/value pairs' };
+    }
+    const entries = Object.entries(tags);
+    if (entries.length > MAX_TAGS) {
+      return { labels: null, error: `tags may hold at most ${MAX_TAGS} entries` };
+    }
+    labels.tags = {};
+    for (const [rawName, rawValue] of entries) {
+      const name = rawName.trim().toLowerCase();
+      if (name === 'pool') {
+        return { labels: null, error: 'set the pool with pool, not as a tag' };
+      }
+      if (!LABEL_NAME_PATTERN.test(name)) {
+        return { labels: null, error: `tag name "${rawName}" must be 1-64 lowercase letters, digits, "-" or "_"` };
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof rawValue)) {
+        return { labels: null, error: `tag "${name}" must have a string value` };
+      }
+      const value = String(rawValue).trim();
+      if (!value || value.length > MAX_TAG_VALUE_LENGTH) {
+        return { labels: null, error: `tag "${name}" must have a value of 1-${MAX_TAG_VALUE_LENGTH} characters` };
+      }
+      labels.tags[name] = value;
+    }
+  }
+  return { labels, error: null };
+}
+
+/**
+ * Validate a manual status change.  `status` is `paused`, `draining`,
+ * `banned`, or `active` to return the key to rotation; `reason` is an
+ * optional note and `expiresAt` (a future timestamp or ISO date, not allowed
+ * with `active`) reactivates the key automatically.
+ *
+ * @returns {{state: {status: string, reason: string|null, expiresAt: number|null}|null, error: string|null}}
+ */
+function validateKeyState({ status, reason, expiresAt } = {}, now = Date.now()) {
+  const normalizedStatus = String(status ?? '').trim().toLowerCase();
+  if (normalizedStatus !== 'active' && !MANUAL_STATUSES.includes(normalizedStatus)) {
+    return { state: null, error: `status must be one of: active, ${MANUAL_STATUSES.join(', ')}` };
+  }
+  let normalizedReason = null;
+  if (reason !== undefined && reason !== null) {
+    normalizedReason = String(reason).trim();
+    if (normalizedReason.length > MAX_STATUS_REASON_LENGTH) {
+      return { state: null, error: `reason must be at most ${MAX_STATUS_REASON_LENGTH} characters` };
+    }
+    normalizedReason = normalizedReason || null;
+  }
+  let expiry = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    if (normalizedStatus === 'active') {
+      return { state: null, error: 'expiresAt cannot be set when reactivating a key' };
+    }
+    expiry = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+    if (!Number.isFinite(expiry) || expiry <= now) {
+      return { state: null, error: 'expiresAt must be a future timestamp or ISO date' };
+    }
+  }
+  return { state: { status: normalizedStatus, reason: normalizedReason, expiresAt: expiry }, error: null };
+}
+
+// Internal helper: compare-and-set filter matching a key document as it was
+// read.  Every usage update bumps `revision`.
+function getRevisionFilter(doc) {
+  return { subscriptionId: doc.subscriptionId, revision: doc.revision, status: doc.status };
+}
+
+/**
+ * Map a reported MailTester result onto one of OUTCOME_KINDS.  Callers may
+ * send an explicit `outcome`, the HTTP status they received, or a MailTester
+ * error code; returns null when nothing usable was supplied.
+ */
+function normalizeOutcome({ outcome, httpStatus, code } = {}) {
+  const named = String(outcome || '').trim().toLowerCase();
+  if (named) {
+    if (named === 'forbidden' || named === 'auth') {
+      return 'unauthorized';
+    }
+    return OUTCOME_KINDS.includes(named) ? named : null;
+  }
+  const statusCode = Number(httpStatus);
+  if (Number.isInteger(statusCode) && statusCode > 0) {
+    if (statusCode === 401 || statusCode === 403) {
+      return 'unauthorized';
+    }
+    if (statusCode === 429) {
+      return 'rate_limited';
+    }
+    if (statusCode === 408 || statusCode === 504) {
+      return 'timeout';
+    }
+    return statusCode >= 200 && statusCode < 300 && !code ? 'ok' : 'error';
+  }
+  return code ? 'error' : null;
+}
+
+/**
+ * Seed the plan catalogue: built-in plans are inserted when missing, then any
+ * plans listed in the JSON file at MAILTESTER_PLANS_JSON_PATH are created or
+ * updated (and applied to their keys).  Called once on server startup before
+ * keys are loaded.
+ */
+async function initializePlans() {
+  await planManager.ensureBuiltInPlans();
+  const plansPath = process.env.MAILTESTER_PLANS_JSON_PATH;
+  if (!plansPath) {
+    return;
+  }
+  // Example plans.json:
+  //   [
+  //     { "name": "ultimate", "rateLimit30s": 170, "dailyLimit": 500000, "avgRequestIntervalMs": 170 },
+  //     { "name": "starter", "rateLimit30s": 10, "dailyLimit": 10000 }
+  //   ]
+  let parsed;
+  try {
+    const filePath = path.resolve(process.cwd(), plansPath);
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    logger.error({ msg: 'Failed to read MAILTESTER_PLANS_JSON_PATH', path: plansPath, error: err.message });
+    return;
+  }
+  if (!Array.isArray(parsed)) {
+    logger.warn({ msg: 'MAILTESTER_PLANS_JSON_PATH file does not contain an array', path: plansPath });
+    return;
+  }
+  for (const entry of parsed) {
+    const { plan, error } = planManager.validatePlan(entry);
+    if (!plan) {
+      logger.error({ msg: 'Skipping invalid plan from file', plan: entry?.name, error });
+      continue;
+    }
+    try {
+      await savePlan(plan);
+    } catch (err) {
+      logger.error({ msg: 'Failed to load plan from file', plan: plan.name, error: err.message });
+    }
+  }
+}
+
+/**
+ * Create or replace a plan and copy its limits onto every key registered on
+ * it.  The plan must already be validated (see planManager.validatePlan()).
+ *
+ * @returns {Promise<{plan: object, created: boolean, keysUpdated: number}>}
+ */
+async function savePlan(plan) {
+  const { created } = await planManager.savePlan(plan);
+  const collection = await getKeysCollection();
+  const result = await collection.updateMany(
+    { plan: plan.name },
+    {
+      $set: {
+        rateLimit30s: plan.rateLimit30s,
+        dailyLimit: plan.dailyLimit,
+        avgRequestIntervalMs: plan.avgRequestIntervalMs
+      }
+    }
+  );
+  const keysUpdated = result?.modifiedCount || 0;
+  invalidateKeyCache();
+  if (keysUpdated) {
+    logger.info({ msg: 'Applied plan limits to keys', plan: plan.name, keysUpdated });
+  }
+  return { plan, created, keysUpdated };
+}
+
+/**
+ * Delete a plan unless keys still use it.
+ *
+ * @returns {Promise<{result: 'deleted'|'not_found'|'in_use', keyCount?: number}>}
+ */
+async function deletePlan(name) {
+  const normalized = planManager.normalizePlanName(name);
+  const collection = await getKeysCollection();
+  const keys = await collection.find({ plan: normalized }, { projection: { subscriptionId: 1 } }).toArray();
+  if (keys.length) {
+    return { result: 'in_use', keyCount: keys.length };
+  }
+  const removed = await planManager.removePlan(normalized);
+  return { result: removed ? 'deleted' : 'not_found' };
+}
+
 /**
  * Initialise keys defined in the MAILTESTER_KEYS environment variable.  If
  * subscription IDs are supplied they are inserted into MongoDB with a default
- * plan of "ultimate".  Existing keys are left untouched.  This helper is
+ * plan of "ultimate".  Existing keys are left untouched.  Keys naming a plan
+ * that is not in the catalogue are logged and skipped.  This helper is
  * typically called once on server startup.
  */
 async function initializeKeysFromEnv() {
@@ -67,13 +425,19 @@ async function initializeKeysFromEnv() {
   } catch (err) {
     logger.warn({ msg: 'Failed to remove legacy token fields', error: err.message });
   }
+  try {
+    await migrateFixedWindowCounters();
+  } catch (err) {
+    logger.warn({ msg: 'Failed to migrate fixed-window counters', error: err.message });
+  }
   // Optionally load keys from an external JSON file.  If
   // MAILTESTER_KEYS_JSON_PATH is defined, the file at that path should
-  // contain a JSON array of objects with the shape { id: string, plan: string }.
+  // contain a JSON array of objects with the shape
+  // { id: string, plan: string, pool?: string, tags?: object }.
   // Example keys.json:
   //   [
-  //     { "id": "sub_abc123", "plan": "ultimate" },
-  //     { "id": "sub_def456", "plan": "pro" }
+  //     { "id": "sub_abc123", "plan": "ultimate", "pool": "enrichment" },
+  //     { "id": "sub_def456", "plan": "pro", "tags": { "team": "sales" } }
   //   ]
   const jsonPath = process.env.MAILTESTER_KEYS_JSON_PATH;
   if (jsonPath) {
@@ -94,21 +458,18 @@ async function initializeKeysFromEnv() {
   }
   // Support three ways of loading keys and plans from the environment, in order
   // of precedence:
-  // 1. MAILTESTER_KEYS_JSON: JSON array of { id, plan }
-  //    Example: '[{"id":"sub_aaa","plan":"pro"},{"id":"sub_bbb","plan":"ultimate"}]'
-  // 2. MAILTESTER_KEYS_WITH_PLAN: comma-separated list of id:plan pairs
-  //    Example: 'sub_aaa:ultimate,sub_bbb:pro'
+  // 1. MAILTESTER_KEYS_JSON: JSON array of { id, plan, pool?, tags? }
+  //    Example: '[{"id":"sub_aaa","plan":"pro"},{"id":"sub_bbb","plan":"ultimate","pool":"enrichment"}]'
+  // 2. MAILTESTER_KEYS_WITH_PLAN: comma-separated list of id:plan or id:plan:pool entries
+  //    Example: 'sub_aaa:ultimate,sub_bbb:pro:enrichment'
+  // Labels left out of an entry keep their stored values.
   // 3. MAILTESTER_KEYS: comma-separated list of IDs, using MAILTESTER_DEFAULT_PLAN for the plan
   const rawJson = process.env.MAILTESTER_KEYS_JSON || '';
   const rawCsvMap = process.env.MAILTESTER_KEYS_WITH_PLAN || '';
   const rawList = process.env.MAILTESTER_KEYS || '';
   const defaultPlan = String(process.env.MAILTESTER_DEFAULT_PLAN || 'ultimate').toLowerCase();
 
-  // normalise plan values
-  function normalizePlan(plan) {
-    const p = String(plan || '').toLowerCase();
-    return p === 'pro' ? 'pro' : 'ultimate';
-  }
+  const normalizePlan = planManager.normalizePlanName;
 
   // 1) JSON input takes highest priority
   if (rawJson.trim()) {
@@ -119,10 +480,15 @@ async function initializeKeysFromEnv() {
           const id = String(item?.id || '').trim();
           if (!id) continue;
           const plan = normalizePlan(item?.plan || defaultPlan);
+          const { labels, error } = validateKeyLabels({ pool: item?.pool, tags: item?.tags });
+          if (!labels) {
+            logger.error({ msg: 'Skipping key with invalid labels (JSON)', subscriptionId: id, error });
+            continue;
+          }
           try {
-            // registerKey handles both new and existing keys; it updates plan and limits
-            await registerKey(id, plan);
-            logger.info({ msg: 'Preloaded/updated key (JSON)', subscriptionId: id, plan });
+            // registerKey handles both new and existing keys; it updates plan, limits and labels
+            await registerKey(id, plan, labels);
+            logger.info({ msg: 'Preloaded/updated key (JSON)', subscriptionId: id, plan, pool: labels.pool });
           } catch (err) {
             logger.error({ msg: 'Failed to preload key (JSON)', subscriptionId: id, error: err.message });
           }
@@ -138,13 +504,18 @@ async function initializeKeysFromEnv() {
   if (rawCsvMap.trim()) {
     const entries = rawCsvMap.split(',').map((pair) => pair.trim()).filter(Boolean);
     for (const entry of entries) {
-      const [idRaw, planRaw] = entry.split(':');
+      const [idRaw, planRaw, poolRaw] = entry.split(':');
       const id = String(idRaw || '').trim();
       if (!id) continue;
       const plan = normalizePlan(planRaw || defaultPlan);
+      const { labels, error } = validateKeyLabels({ pool: poolRaw || undefined });
+      if (!labels) {
+        logger.error({ msg: 'Skipping key with invalid pool (CSV)', subscriptionId: id, error });
+        continue;
+      }
       try {
-        await registerKey(id, plan);
-        logger.info({ msg: 'Preloaded/updated key (CSV)', subscriptionId: id, plan });
+        await registerKey(id, plan, labels);
+        logger.info({ msg: 'Preloaded/updated key (CSV)', subscriptionId: id, plan, pool: labels.pool });
       } catch (err) {
         logger.error({ msg: 'Failed to preload key (CSV)', subscriptionId: id, error: err.message });
       }
@@ -171,6 +542,60 @@ async function getKeysCollection() {
   return mongoClient.getKeysCollection();
 }
 
+let keyDocCache = null;
+
+function invalidateKeyCache() {
+  keyDocCache = null;
+}
+
+const capacityEvents = new EventEmitter();
+capacityEvents.setMaxListeners(0);
+
+// Internal helper: tell listeners that a key may be grantable earlier than
+// its last wait hint said.
+function announceCapacity(reason) {
+  capacityEvents.emit('freed', reason);
+}
+
+/**
+ * Call `listener(reason)` whenever capacity may have come back before the
+ * keys' wait hints said: an unused lease was refunded, a key was registered
+ * or reactivated, or a key's usage was reset.  Only changes made by this
+ * instance are seen.
+ *
+ * @param {Function} listener
+ * @returns {Function} removes the listener
+ */
+function onCapacityFreed(listener) {
+  capacityEvents.on('freed', listener);
+  return () => capacityEvents.off('freed', listener);
+}
+
+/**
+ * Internal helper: load every key document.  With the Redis store the live
+ * counters from Redis replace the write-behind copies stored in MongoDB, and
+ * `cached` lets the grant hot path reuse the MongoDB read for
+ * KEY_STORE_REFRESH_MS instead of scanning the collection on every grant.
+ */
+async function loadKeyDocs({ cached = false } = {}) {
+  const collection = await getKeysCollection();
+  if (!usesRedisStore()) {
+    return collection.find().toArray();
+  }
+  const now = Date.now();
+  const ttlMs = resolveInterval(Number(process.env.KEY_STORE_REFRESH_MS), DEFAULT_KEY_STORE_REFRESH_MS);
+  let docs;
+  if (cached && keyDocCache && now - keyDocCache.loadedAt < ttlMs) {
+    docs = keyDocCache.docs;
+  } else {
+    docs = await collection.find().toArray();
+    await redisKeyStore.syncKeys(docs);
+    keyDocCache = { docs, loadedAt: now };
+  }
+  const usage = await redisKeyStore.readUsage(docs.map((doc) => doc.subscriptionId));
+  return docs.map((doc) => ({ ...doc, ...(usage.get(doc.subscriptionId) || {}) }));
+}
+
 async function removeLegacyTokenFields() {
   const collection = await getKeysCollection();
   await collection.updateMany(
@@ -179,23 +604,63 @@ async function removeLegacyTokenFields() {
   );
 }
 
-async function registerKey(subscriptionId, plan) {
+/**
+ * Convert keys still carrying the fixed-window counters (`usedInWindow`,
+ * `windowStart`, `usedDaily`, `dayStart`) to sliding windows.  Usage that
+ * still counts is kept: the current 30-second window becomes log entries at
+ * its start and the daily count becomes one bucket at the day's start.
+ */
+async function migrateFixedWindowCounters() {
+  const collection = await getKeysCollection();
+  const docs = await collection.find({ windowLog: { $exists: false } }).toArray();
+  const now = Date.now();
+  for (const doc of docs) {
+    const windowLog = now - doc.windowStart < WINDOW_MS ? new Array(doc.usedInWindow || 0).fill(doc.windowStart) : [];
+    const dailyBuckets = {};
+    if (now - doc.dayStart < DAY_MS && doc.usedDaily > 0) {
+      dailyBuckets[slidingWindow.getBucketStart(doc.dayStart)] = doc.usedDaily;
+    }
+    await collection.updateOne(
+      { subscriptionId: doc.subscriptionId },
+      {
+        $set: { windowLog, dailyBuckets, revision: 0 },
+        $unset: { usedInWindow: '', windowStart: '', usedDaily: '', dayStart: '' }
+      }
+    );
+  }
+  if (docs.length) {
+    logger.info({ msg: 'Migrated keys to sliding-window usage', keys: docs.length });
+  }
+}
+
+/**
+ * Register a key or update an existing one.  `labels` must already be
+ * validated (see validateKeyLabels()); omitted labels default to the
+ * "default" pool and no tags for new keys and are left alone for existing
+ * ones.  The status of an existing key, including a manual one, is never
+ * changed.
+ *
+ * @param {string} subscriptionId
+ * @param {string} plan
+ * @param {{pool?: string, tags?: object}} [labels]
+ */
+async function registerKey(subscriptionId, plan, { pool, tags } = {}) {
   if (!subscriptionId) {
     throw new Error('subscriptionId is required');
   }
-  const normalizedPlan = String(plan || 'ultimate').toLowerCase();
-  const limits = getRateLimits(normalizedPlan);
-  const now = Date.now();
+  const normalizedPlan = planManager.normalizePlanName(plan || 'ultimate');
+  const limits = await getRateLimits(normalizedPlan);
   const collection = await getKeysCollection();
   const existing = await collection.findOne({ subscriptionId });
   if (!existing) {
     const doc = {
       subscriptionId,
       plan: normalizedPlan,
-      usedInWindow: 0,
-      windowStart: now,
-      usedDaily: 0,
-      dayStart: now,
+      pool: pool || DEFAULT_POOL,
+      tags: tags || {},
+      windowLog: [],
+      dailyBuckets: {},
+      revision: 0,
       status: 'active',
       rateLimit30s: limits.rateLimit30s,
       dailyLimit: limits.dailyLimit,
@@ -203,7 +668,7 @@ async function registerKey(subscriptionId, plan) {
       lastUsed: 0
     };
     await collection.insertOne(doc);
-    logger.info({ msg: 'Registered new key', subscriptionId, plan: doc.plan });
+    logger.info({ msg: 'Registered new key', subscriptionId, plan: doc.plan, pool: doc.pool });
   } else {
     const updates = {
       plan: normalizedPlan,
@@ -214,12 +679,23 @@ async function registerKey(subscriptionId, plan) {
     if (typeof existing.lastUsed !== 'number') {
       updates.lastUsed = 0;
     }
+    if (pool) {
+      updates.pool = pool;
+    }
+    if (tags) {
+      updates.tags = tags;
+    }
     await collection.updateOne(
       { subscriptionId },
       { $set: updates, $unset: { token: '', lastRefresh: '' } }
     );
-    logger.info({ msg: 'Updated existing key', subscriptionId, plan: updates.plan });
+    logger.info({ msg: 'Updated existing key', subscriptionId, plan: updates.plan, pool: updates.pool || getKeyPool(existing) });
+  }
+  if (usesRedisStore()) {
+    await redisKeyStore.syncKeys([await collection.findOne({ subscriptionId })]);
+    invalidateKeyCache();
   }
+  announceCapacity('key_registered');
 }
 
 /**
@@ -230,48 +706,326 @@ async function registerKey(subscriptionId, plan) {
 async function deleteKey(subscriptionId) {
   const collection = await getKeysCollection();
   await collection.deleteOne({ subscriptionId });
+  if (usesRedisStore()) {
+    await redisKeyStore.removeKey(subscriptionId);
+    invalidateKeyCache();
+  }
   logger.info({ msg: 'Deleted key', subscriptionId });
 }
 
 /**
- * Retrieve status objects for all known keys.
+ * Put a key into a manual status (see validateKeyState()) or back to
+ * `active`.  Banning also records `bannedAt`/`bannedReason`, which
+ * reactivation clears.  Bumping `revision` makes any grant racing with the
+ * change fail its compare-and-set.
  *
- * Each object includes the subscriptionId and the stored metadata.
+ * @param {string} subscriptionId
+ * @param {{status: string, reason: string|null, expiresAt: number|null}} state validated state
+ * @param {{changedBy?: string}} [options] client that made the change
+ * @returns {Promise<object|null>} the key's new status fields, or null when missing
  */
-async function getAllKeysStatus() {
+async function setKeyState(subscriptionId, { status, reason, expiresAt }, { changedBy = null } = {}) {
   const collection = await getKeysCollection();
-  const docs = await collection.find().toArray();
-  return docs.map(({ _id, token, lastRefresh, ...rest }) => rest);
+  const now = Date.now();
+  const update = {
+    $set: {
+      status,
+      statusReason: reason,
+      statusChangedAt: now,
+      statusChangedBy: changedBy,
+      statusExpiresAt: expiresAt
+    },
+    $inc: { revision: 1 }
+  };
+  if (status === 'banned') {
+    update.$set.bannedAt = now;
+    update.$set.bannedReason = reason || 'Banned manually';
+  } else {
+    update.$unset = { bannedAt: '', bannedReason: '' };
+  }
+  const result = await collection.findOneAndUpdate({ subscriptionId }, update, { returnDocument: 'after' });
+  const updatedDoc = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+  if (!updatedDoc) {
+    return null;
+  }
+  invalidateKeyCache();
+  logger.info({ msg: 'Changed key status', subscriptionId, status, reason, expiresAt, changedBy });
+  if (status === 'active') {
+    announceCapacity('key_reactivated');
+  }
+  if (status === 'banned') {
+    notifier.notify('key_banned', {
+      subscriptionId,
+      pool: getKeyPool(updatedDoc),
+      reason: updatedDoc.bannedReason,
+      changedBy
+    });
+  }
+  return pickKeyState(updatedDoc);
 }
 
-async function getKeyLimits() {
+function pickKeyState(doc) {
+  return {
+    subscriptionId: doc.subscriptionId,
+    status: doc.status,
+    statusReason: doc.statusReason ?? null,
+    statusChangedAt: doc.statusChangedAt ?? null,
+    statusChangedBy: doc.statusChangedBy ?? null,
+    statusExpiresAt: doc.statusExpiresAt ?? null
+  };
+}
+
+/**
+ * Advance manual statuses: keys whose `statusExpiresAt` has passed return
+ * to `active`, and `draining` keys without outstanding leases become
+ * `paused`.  Run periodically by the scheduler.
+ *
+ * @returns {Promise<{reactivated: number, drained: number}>}
+ */
+async function expireKeyStates() {
   const collection = await getKeysCollection();
-  const docs = await collection
-    .find({}, {
-      projection: {
-        _id: 0,
-        subscriptionId: 1,
-        plan: 1,
-        rateLimit30s: 1,
-        dailyLimit: 1,
-        avgRequestIntervalMs: 1,
-        lastUsed: 1
+  const docs = (await collection.find().toArray()).filter((doc) => MANUAL_STATUSES.includes(doc.status));
+  if (!docs.length) {
+    return { reactivated: 0, drained: 0 };
+  }
+  const outstanding = await leaseManager.countOutstandingLeases();
+  const now = Date.now();
+  let reactivated = 0;
+  let drained = 0;
+  for (const doc of docs) {
+    const { subscriptionId } = doc;
+    if (typeof doc.statusExpiresAt === 'number' && doc.statusExpiresAt <= now) {
+      const result = await collection.updateOne(
+        { subscriptionId, status: doc.status },
+        {
+          $set: { status: 'active', statusReason: null, statusChangedAt: now, statusChangedBy: null, statusExpiresAt: null },
+          $unset: { bannedAt: '', bannedReason: '' },
+          $inc: { revision: 1 }
+        }
+      );
+      if (result.matchedCount) {
+        reactivated += 1;
+        logger.info({ msg: 'Reactivated key after manual status expired', subscriptionId, previousStatus: doc.status });
       }
-    })
-    .toArray();
+    } else if (doc.status === 'draining' && !outstanding.get(subscriptionId)) {
+      const result = await collection.updateOne(
+        { subscriptionId, status: 'draining' },
+        { $set: { status: 'paused', statusChangedAt: now }, $inc: { revision: 1 } }
+      );
+      if (result.matchedCount) {
+        drained += 1;
+        logger.info({ msg: 'Paused drained key', subscriptionId });
+      }
+    }
+  }
+  if (reactivated || drained) {
+    invalidateKeyCache();
+  }
+  if (reactivated) {
+    announceCapacity('key_reactivated');
+  }
+  return { reactivated, drained };
+}
+
+/**
+ * Clear a key's sliding 30-second log and daily buckets.  An `exhausted`
+ * key becomes `active` again; manual statuses, spacing (`lastUsed`) and
+ * cooldowns are left alone.
+ *
+ * @returns {Promise<object|null>} the key's status fields, or null when missing
+ */
+async function resetKeyUsage(subscriptionId) {
+  const collection = await getKeysCollection();
+  if (usesRedisStore()) {
+    await redisKeyStore.resetUsage(subscriptionId);
+  }
+  const result = await collection.findOneAndUpdate(
+    { subscriptionId },
+    { $set: { windowLog: [], dailyBuckets: {} }, $inc: { revision: 1 } },
+    { returnDocument: 'after' }
+  );
+  let updatedDoc = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+  if (!updatedDoc) {
+    return null;
+  }
+  if (updatedDoc.status === 'exhausted') {
+    await collection.updateOne({ subscriptionId, status: 'exhausted' }, { $set: { status: 'active' } });
+    updatedDoc = await collection.findOne({ subscriptionId });
+  }
+  invalidateKeyCache();
+  logger.info({ msg: 'Reset key usage counters', subscriptionId });
+  announceCapacity('usage_reset');
+  return pickKeyState(updatedDoc);
+}
+
+// Internal helper: drop the stored breaker fields, which describeBreaker()
+// presents instead.
+function stripBreakerFields(doc) {
+  const {
+    breakerState, breakerFailures, breakerTrips, breakerOpenedAt, breakerOpenUntil, breakerProbeAt, ...rest
+  } = doc;
+  return rest;
+}
+
+/**
+ * Retrieve status objects for all known keys.
+ *
+ * Each object includes the subscriptionId, the stored metadata, the usage
+ * counted in the sliding 30-second and daily windows (`usedInWindow`,
+ * `usedDaily`), the number of leases currently outstanding against the key
+ * and its circuit `breaker`.
+ *
+ * @param {{pool?: string}} [options] only list keys in this pool
+ */
+async function getAllKeysStatus({ pool } = {}) {
+  const docs = (await loadKeyDocs()).filter((doc) => isInPool(doc, pool));
+  const outstanding = await leaseManager.countOutstandingLeases();
+  const now = Date.now();
+  return docs.map((doc) => {
+    const { _id, token, lastRefresh, windowLog, dailyBuckets, revision, ...rest } = stripBreakerFields(doc);
+    const usage = evaluateKeyUsage(doc, now);
+    return {
+      ...rest,
+      pool: getKeyPool(rest),
+      tags: rest.tags || {},
+      usedInWindow: usage.windowCount,
+      usedDaily: usage.dayCount,
+      outstandingLeases: outstanding.get(rest.subscriptionId) || 0,
+      breaker: describeBreaker(doc, now)
+    };
+  });
+}
+
+async function getKeyLimits() {
+  const docs = await loadKeyDocs();
+  const now = Date.now();
   return docs.map((doc) => ({
-    ...doc,
-    nextRequestAllowedAt: (doc.lastUsed || 0) + (doc.avgRequestIntervalMs || 0)
+    subscriptionId: doc.subscriptionId,
+    plan: doc.plan,
+    rateLimit30s: doc.rateLimit30s,
+    dailyLimit: doc.dailyLimit,
+    avgRequestIntervalMs: doc.avgRequestIntervalMs,
+    lastUsed: doc.lastUsed,
+    nextRequestAllowedAt: (doc.lastUsed || 0) + (doc.avgRequestIntervalMs || 0),
+    breaker: describeBreaker(doc, now)
   }));
 }
 
+function emptyCapacity() {
+  return {
+    keys: 0,
+    usableKeys: 0,
+    windowRemaining: 0,
+    dailyRemaining: 0,
+    dailyLimit: 0,
+    maxThroughputPerSecond: 0,
+    burnRatePerHour: 0,
+    dailyExhaustionAt: null,
+    earliestNextRequestAllowedAt: null
+  };
+}
+
+// Internal helper: add one key to a capacity summary.  Keys count as usable
+// when they are active or exhausted, their breaker is not open and they have
+// daily headroom left; short 429 cooldowns do not reduce capacity.  The
+// daily limit also counts keys in rotation that have used theirs up.
+function addKeyCapacity(entry, doc, now) {
+  entry.keys += 1;
+  if ((doc.status !== 'active' && doc.status !== 'exhausted') || getBreakerState(doc, now) === 'open') {
+    return;
+  }
+  entry.dailyLimit += doc.dailyLimit || 0;
+  const usage = evaluateKeyUsage(doc, now);
+  const dailyRemaining = Math.max(0, (doc.dailyLimit || 0) - usage.dayCount);
+  if (!dailyRemaining) {
+    return;
+  }
+  entry.usableKeys += 1;
+  entry.dailyRemaining += dailyRemaining;
+  entry.windowRemaining += Math.min(dailyRemaining, Math.max(0, (doc.rateLimit30s || 0) - usage.windowCount));
+  const spacingRate = usage.avgInterval > 0 ? 1000 / usage.avgInterval : Infinity;
+  entry.maxThroughputPerSecond += Math.min(spacingRate, ((doc.rateLimit30s || 0) * 1000) / WINDOW_MS);
+  // The burn rate spans the previous and the current hourly bucket.
+  const since = slidingWindow.getBucketStart(now) - DAILY_BUCKET_MS;
+  const recent = Object.entries(usage.dailyBuckets)
+    .filter(([bucketStart]) => Number(bucketStart) >= since)
+    .reduce((sum, [, count]) => sum + count, 0);
+  entry.burnRatePerHour += (recent * 3_600_000) / Math.max(now - since, 1);
+  // Keys that were never used (or not for a while) are free right now.
+  const nextRequestAllowedAt = Math.max(now, usage.lastUsed + usage.avgInterval);
+  if (entry.earliestNextRequestAllowedAt === null || nextRequestAllowedAt < entry.earliestNextRequestAllowedAt) {
+    entry.earliestNextRequestAllowedAt = nextRequestAllowedAt;
+  }
+}
+
+// Internal helper: round the summary and project when the daily capacity
+// runs out at the current burn rate (null when nothing is being used).
+function finishCapacity(entry, now) {
+  entry.maxThroughputPerSecond = Math.round(entry.maxThroughputPerSecond * 100) / 100;
+  entry.burnRatePerHour = Math.round(entry.burnRatePerHour);
+  if (!entry.dailyRemaining) {
+    entry.dailyExhaustionAt = now;
+  } else if (entry.burnRatePerHour > 0) {
+    entry.dailyExhaustionAt = now + Math.round((entry.dailyRemaining / entry.burnRatePerHour) * 3_600_000);
+  }
+  return entry;
+}
+
+/**
+ * Summarise the capacity of every key (or one pool's keys), in total and
+ * broken down by pool and by plan:
+ *
+ *   - `windowRemaining` / `dailyRemaining`: grants the usable keys may still
+ *     make in the current 30-second window and in the sliding day
+ *   - `dailyLimit`: combined daily limit of the keys in rotation, including
+ *     those that have used it up
+ *   - `maxThroughputPerSecond`: sustained rate the usable keys allow, from
+ *     their `avgRequestIntervalMs` (capped by their 30-second limit)
+ *   - `burnRatePerHour` and `dailyExhaustionAt`: current usage rate and when
+ *     `dailyRemaining` would run out at that rate; usage sliding out of the
+ *     day is not taken into account
+ *   - `earliestNextRequestAllowedAt`: earliest spacing expiry among the
+ *     usable keys, no earlier than now
+ *
+ * @param {{pool?: string, now?: number}} [options] pool to summarise (all
+ *   when omitted)
+ */
+async function getCapacity({ pool, now = Date.now() } = {}) {
+  const docs = (await loadKeyDocs()).filter((doc) => isInPool(doc, pool));
+  const totals = emptyCapacity();
+  const byPool = new Map();
+  const byPlan = new Map();
+  for (const doc of docs) {
+    const poolName = getKeyPool(doc);
+    if (!byPool.has(poolName)) {
+      byPool.set(poolName, { pool: poolName, ...emptyCapacity() });
+    }
+    if (!byPlan.has(doc.plan)) {
+      byPlan.set(doc.plan, { plan: doc.plan, ...emptyCapacity() });
+    }
+    addKeyCapacity(totals, doc, now);
+    addKeyCapacity(byPool.get(poolName), doc, now);
+    addKeyCapacity(byPlan.get(doc.plan), doc, now);
+  }
+  return {
+    generatedAt: now,
+    ...finishCapacity(totals, now),
+    byPool: [...byPool.values()].map((entry) => finishCapacity(entry, now)),
+    byPlan: [...byPlan.values()].map((entry) => finishCapacity(entry, now))
+  };
+}
+
 /**
  * Return all keys that are currently available based on rate limits and
- * spacing. This does not mutate counters.
+ * spacing, ranked by the selection strategy getAvailableKey() would use.
+ * This does not mutate counters.
+ *
+ * @param {{strategy?: string, pool?: string|string[]}} [options] strategy name
+ *   (see keySelection.js) and the pool or pools to draw from (all when omitted)
  */
-async function getAvailableKeysSnapshot() {
-  const collection = await getKeysCollection();
-  const docs = await collection.find().toArray();
+async function getAvailableKeysSnapshot({ strategy, pool } = {}) {
+  const strategyName = keySelection.resolveStrategy(strategy);
+  const docs = (await loadKeyDocs()).filter((doc) => isInPool(doc, pool));
   if (!docs.length) {
     return [];
   }
@@ -280,55 +1034,53 @@ async function getAvailableKeysSnapshot() {
   const candidates = [];
 
   for (const doc of docs) {
-    if (doc.status !== 'active') {
-      continue;
-    }
-    const windowExpired = now - doc.windowStart >= WINDOW_MS;
-    const dayExpired = now - doc.dayStart >= DAY_MS;
-    const windowCount = windowExpired ? 0 : doc.usedInWindow || 0;
-    const dayCount = dayExpired ? 0 : doc.usedDaily || 0;
-    const avgInterval = Number(doc.avgRequestIntervalMs) || Math.floor(WINDOW_MS / Math.max(doc.rateLimit30s || 1, 1));
-    const lastUsed = typeof doc.lastUsed === 'number' ? doc.lastUsed : 0;
-    const spacingExpired = avgInterval <= 0 || now - lastUsed >= avgInterval;
-
-    if (!dayExpired && dayCount >= doc.dailyLimit) {
-      continue;
-    }
-    if (!windowExpired && windowCount >= doc.rateLimit30s) {
+    if (!isSelectable(doc, now)) {
       continue;
     }
-    if (!spacingExpired) {
+    const usage = evaluateKeyUsage(doc, now);
+    if (usage.dailyExhausted || usage.windowCapped || !usage.spacingExpired) {
       continue;
     }
 
-    candidates.push({
-      subscriptionId: doc.subscriptionId,
-      plan: doc.plan,
-      avgRequestIntervalMs: avgInterval,
-      lastUsed,
-      nextRequestAllowedAt: lastUsed + avgInterval,
-      usedInWindow: windowCount,
-      usedDaily: dayCount
-    });
+    candidates.push({ doc, ...usage });
   }
 
-  candidates.sort((a, b) => a.usedInWindow - b.usedInWindow);
-  return candidates.map(({ usedInWindow, usedDaily, ...rest }) => rest);
+  return keySelection.rankCandidates(candidates, strategyName).map(({ doc, avgInterval, lastUsed }) => ({
+    subscriptionId: doc.subscriptionId,
+    plan: doc.plan,
+    pool: getKeyPool(doc),
+    avgRequestIntervalMs: avgInterval,
+    lastUsed,
+    nextRequestAllowedAt: lastUsed + avgInterval
+  }));
 }
 
 /**
- * Determine the next available key.  Keys that are banned or exhausted or
- * outside their 30-second window are ignored.  The candidate with the lowest
- * `usedInWindow` counter is selected.  The selected key's counters are
- * incremented atomically using MongoDB compare-and-set semantics to mitigate race conditions.
+ * Determine the next available key.  Keys that are banned, cooling down,
+ * behind an open circuit breaker, or at their sliding 30-second or daily
+ * limit are ignored; a half-open key is granted once as a probe.  Remaining
+ * candidates are ranked by the selection strategy (by default the least used
+ * 30-second window first; see keySelection.js).  The selected key's usage is
+ * updated atomically using MongoDB compare-and-set semantics to mitigate
+ * race conditions (or a single Redis script with the Redis store).  Every
+ * grant is backed by a lease which the caller should release once it knows
+ * whether the slot was spent; see releaseLease().
  *
- * @returns {Promise<null|{subscriptionId: string, plan: string}>}
+ * @param {{strategy?: string, pool?: string|string[], clientId?: string}} [options]
+ *   strategy name (defaults to KEY_SELECTION_STRATEGY), the pool or pools to
+ *   draw from (all pools when omitted), and the API client the lease is
+ *   attributed to
+ * @returns {Promise<null|{subscriptionId: string, plan: string, pool: string, leaseId: string, leaseExpiresAt: number}>}
  */
-async function getAvailableKey() {
+async function getAvailableKey({ strategy, pool, clientId } = {}) {
+  const strategyName = keySelection.resolveStrategy(strategy);
+  if (usesRedisStore()) {
+    return getAvailableKeyFromRedis(strategyName, pool, clientId);
+  }
   const collection = await getKeysCollection();
   const maxAttempts = 3;
   for (let attemptIndex = 0; attemptIndex < maxAttempts; attemptIndex += 1) {
-    const docs = await collection.find().toArray();
+    const docs = (await collection.find().toArray()).filter((doc) => isInPool(doc, pool));
     if (!docs.length) {
       return null;
     }
@@ -336,84 +1088,63 @@ async function getAvailableKey() {
     const now = Date.now();
     const candidates = [];
     for (const doc of docs) {
-      if (doc.status !== 'active') {
+      if (!isSelectable(doc, now)) {
         continue;
       }
-      const windowExpired = now - doc.windowStart >= WINDOW_MS;
-      const dayExpired = now - doc.dayStart >= DAY_MS;
-      const windowCount = windowExpired ? 0 : doc.usedInWindow || 0;
-      const dayCount = dayExpired ? 0 : doc.usedDaily || 0;
-      const avgInterval = Number(doc.avgRequestIntervalMs) || Math.floor(WINDOW_MS / Math.max(doc.rateLimit30s || 1, 1));
-      const lastUsed = typeof doc.lastUsed === 'number' ? doc.lastUsed : 0;
-      const spacingExpired = avgInterval <= 0 || now - lastUsed >= avgInterval;
-
-      if (!dayExpired && dayCount >= doc.dailyLimit) {
-        await collection.updateOne({ subscriptionId: doc.subscriptionId }, { $set: { status: 'exhausted' } });
-        continue;
-      }
-      if (!windowExpired && windowCount >= doc.rateLimit30s) {
+      const usage = evaluateKeyUsage(doc, now);
+      if (usage.dailyExhausted) {
+        if (doc.status === 'active') {
+          const marked = await collection.updateOne({ subscriptionId: doc.subscriptionId, status: 'active' }, { $set: { status: 'exhausted' } });
+          if (marked.matchedCount) {
+            recordExhaustion(doc, now);
+          }
+        }
         continue;
       }
-      if (!spacingExpired) {
+      if (usage.windowCapped || !usage.spacingExpired) {
         continue;
       }
 
-      candidates.push({
-        doc,
-        windowExpired,
-        dayExpired,
-        windowCount,
-        dayCount,
-        avgInterval
-      });
+      candidates.push({ doc, ...usage });
     }
 
     if (!candidates.length) {
       return null;
     }
 
-    candidates.sort((a, b) => a.windowCount - b.windowCount);
-
-    for (const candidate of candidates) {
+    for (const candidate of keySelection.rankCandidates(candidates, strategyName)) {
       const { doc, avgInterval } = candidate;
       const attemptTime = Date.now();
-      const nextWindowStart = candidate.windowExpired ? attemptTime : doc.windowStart;
-      const nextDayStart = candidate.dayExpired ? attemptTime : doc.dayStart;
-      const newWindowCount = (candidate.windowExpired ? 0 : candidate.windowCount) + 1;
-      const newDayCount = (candidate.dayExpired ? 0 : candidate.dayCount) + 1;
-      const willExhaust = !candidate.dayExpired && newDayCount >= doc.dailyLimit;
-
-      const filter = {
-        subscriptionId: doc.subscriptionId,
-        usedInWindow: doc.usedInWindow,
-        windowStart: doc.windowStart,
-        usedDaily: doc.usedDaily,
-        dayStart: doc.dayStart,
-        status: doc.status
-      };
+      const willExhaust = candidate.dayCount + 1 >= doc.dailyLimit;
 
       const update = {
         $set: {
-          usedInWindow: newWindowCount,
-          windowStart: nextWindowStart,
-          usedDaily: newDayCount,
-          dayStart: nextDayStart,
+          windowLog: [...candidate.windowLog, attemptTime],
+          dailyBuckets: slidingWindow.addToBuckets(candidate.dailyBuckets, [attemptTime]),
           lastUsed: attemptTime,
           avgRequestIntervalMs: avgInterval,
-          status: willExhaust ? 'exhausted' : 'active'
+          status: willExhaust ? 'exhausted' : 'active',
+          revision: (doc.revision || 0) + 1
         }
       };
+      if (getBreakerState(doc, attemptTime) === 'half_open') {
+        update.$set.breakerProbeAt = attemptTime;
+      }
 
-      const result = await collection.findOneAndUpdate(filter, update, { returnDocument: 'after' });
+      const result = await collection.findOneAndUpdate(getRevisionFilter(doc), update, { returnDocument: 'after' });
       const updatedDoc = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
       if (updatedDoc) {
-        return {
+        usageHistory.recordGrants(updatedDoc.subscriptionId, [attemptTime]);
+        if (willExhaust && doc.status === 'active') {
+          recordExhaustion(updatedDoc, attemptTime);
+        }
+        const lease = await leaseManager.createLease({
           subscriptionId: updatedDoc.subscriptionId,
-          plan: updatedDoc.plan,
-          avgRequestIntervalMs: updatedDoc.avgRequestIntervalMs,
-          lastUsed: updatedDoc.lastUsed,
-          nextRequestAllowedAt: updatedDoc.lastUsed + (updatedDoc.avgRequestIntervalMs || 0)
-        };
+          clientId,
+          grantedAt: attemptTime,
+          previousLastUsed: candidate.lastUsed
+        });
+        return buildGrant(updatedDoc, updatedDoc.avgRequestIntervalMs, lease);
       }
     }
 
@@ -425,53 +1156,627 @@ async function getAvailableKey() {
   return null;
 }
 
+function buildGrant(doc, avgInterval, lease) {
+  return {
+    subscriptionId: doc.subscriptionId,
+    plan: doc.plan,
+    pool: getKeyPool(doc),
+    avgRequestIntervalMs: avgInterval,
+    lastUsed: lease.grantedAt,
+    nextRequestAllowedAt: lease.grantedAt + (avgInterval || 0),
+    leaseId: lease.leaseId,
+    leaseExpiresAt: lease.expiresAt
+  };
+}
+
+function getWindowOptions(now) {
+  return { now, windowMs: WINDOW_MS, dayMs: DAY_MS, bucketMs: DAILY_BUCKET_MS };
+}
 
 /**
- * Reset the per-30-second window counter for all keys whose window has
- * elapsed.  This helper is idempotent and safe to call at a fixed interval.
+ * Redis-store variant of getAvailableKey(): candidates are ranked from the
+ * live counters and the first one with headroom is reserved by one atomic
+ * script, so there is no compare-and-set retry loop.  Half-open keys are
+ * tried first, one at a time, after claiming their probe in MongoDB.
  */
-async function resetWindowsForAll() {
-  const collection = await getKeysCollection();
+async function getAvailableKeyFromRedis(strategyName, pool, clientId) {
+  const docs = (await loadKeyDocs({ cached: true })).filter((doc) => isInPool(doc, pool));
   const now = Date.now();
-  const docs = await collection.find().toArray();
+  const candidates = [];
   for (const doc of docs) {
-    if (now - doc.windowStart >= WINDOW_MS) {
-      await collection.updateOne(
-        { subscriptionId: doc.subscriptionId },
-        { $set: { usedInWindow: 0, windowStart: now } }
+    if (!isSelectable(doc, now)) {
+      continue;
+    }
+    const usage = evaluateKeyUsage(doc, now);
+    if (usage.dailyExhausted || usage.windowCapped || !usage.spacingExpired) {
+      continue;
+    }
+    candidates.push({ doc, ...usage });
+  }
+  if (!candidates.length) {
+    return null;
+  }
+
+  const ranked = keySelection.rankCandidates(candidates, strategyName);
+  const probes = ranked.filter((candidate) => getBreakerState(candidate.doc, now) === 'half_open');
+  let reserved = null;
+  for (const { doc } of probes) {
+    if (!(await claimBreakerProbe(doc, now))) {
+      continue;
+    }
+    reserved = await redisKeyStore.reserveOne([doc.subscriptionId], getWindowOptions(now));
+    if (reserved) {
+      break;
+    }
+    await releaseBreakerProbe(doc, now);
+  }
+  if (!reserved) {
+    const closed = ranked.filter((candidate) => !probes.includes(candidate));
+    if (closed.length) {
+      reserved = await redisKeyStore.reserveOne(
+        closed.map((candidate) => candidate.doc.subscriptionId),
+        getWindowOptions(now)
       );
     }
   }
+  if (!reserved) {
+    return null;
+  }
+  const { doc, avgInterval } = ranked.find((candidate) => candidate.doc.subscriptionId === reserved.subscriptionId);
+  usageHistory.recordGrants(reserved.subscriptionId, [reserved.lastUsed]);
+  const lease = await leaseManager.createLease({
+    subscriptionId: reserved.subscriptionId,
+    clientId,
+    grantedAt: reserved.lastUsed,
+    previousLastUsed: reserved.previousLastUsed
+  });
+  return buildGrant(doc, avgInterval, lease);
+}
+
+// Internal helper: mark a half-open key's probe as granted.  Fails when
+// another grant claimed the probe (or the breaker moved) since `doc` was read.
+async function claimBreakerProbe(doc, now) {
+  const collection = await getKeysCollection();
+  const result = await collection.updateOne(
+    { subscriptionId: doc.subscriptionId, breakerOpenUntil: doc.breakerOpenUntil, breakerProbeAt: doc.breakerProbeAt },
+    { $set: { breakerProbeAt: now } }
+  );
+  invalidateKeyCache();
+  return result.matchedCount > 0;
+}
+
+async function releaseBreakerProbe(doc, now) {
+  const collection = await getKeysCollection();
+  await collection.updateOne(
+    { subscriptionId: doc.subscriptionId, breakerProbeAt: now },
+    { $set: { breakerProbeAt: doc.breakerProbeAt ?? null } }
+  );
+  invalidateKeyCache();
 }
 
 /**
- * Reset the daily usage counter for all keys that have reached the end of
- * their 24-hour window.  This will also reactivate keys that were previously
- * exhausted.  Banned keys remain banned.
+ * Reserve up to `count` request slots in one call, spread across all active
+ * keys.  Each key contributes at most its remaining 30-second and daily
+ * headroom, and its slots are spaced `avgRequestIntervalMs` apart starting
+ * from its next allowed request time; slots are handed out earliest-first
+ * across keys, and keys that can serve a slot equally early (such as idle
+ * keys for the first slots) are taken in KEY_SELECTION_STRATEGY order.
+ * Every slot is charged to the sliding windows at its
+ * scheduled time, up front, with the same compare-and-set update as
+ * getAvailableKey() (or one Redis script per key with the Redis store), and
+ * `lastUsed` moves to the key's last
+ * scheduled slot so single grants respect the reserved schedule.
+ *
+ * Keys whose circuit breaker is not closed are skipped; half-open keys are
+ * only probed through single grants.
+ *
+ * Fewer than `count` slots may be returned.  `retryAt` then reports the
+ * earliest time any key regains headroom (null if no key ever will).
+ *
+ * @param {number} count
+ * @param {{pool?: string|string[], clientId?: string}} [options] only use keys
+ *   in this pool (or these pools); attribute the leases to this API client
+ * @returns {Promise<{requested: number, slots: Array<object>, retryAt: number|null}>}
  */
-async function resetDailyForAll() {
+async function reserveSlots(count, { pool, clientId } = {}) {
   const collection = await getKeysCollection();
+  const slots = [];
+  const maxAttempts = 3;
+  for (let attemptIndex = 0; attemptIndex < maxAttempts && slots.length < count; attemptIndex += 1) {
+    const docs = (await loadKeyDocs({ cached: true })).filter((doc) => isInPool(doc, pool));
+    const now = Date.now();
+    const candidates = [];
+    for (const doc of docs) {
+      if (!isSelectable(doc, now) || getBreakerState(doc, now) !== 'closed') {
+        continue;
+      }
+      const usage = evaluateKeyUsage(doc, now);
+      const capacity = Math.min(doc.rateLimit30s - usage.windowCount, doc.dailyLimit - usage.dayCount);
+      if (capacity <= 0) {
+        continue;
+      }
+      candidates.push({
+        ...usage,
+        allocation: { doc, usage, capacity, nextAt: Math.max(now, usage.lastUsed + usage.avgInterval), times: [] }
+      });
+    }
+    // Ties on the next slot time go to the key ranked first.
+    const allocations = keySelection.rankCandidates(candidates).map(({ allocation }) => allocation);
+
+    for (let remaining = count - slots.length; remaining > 0; remaining -= 1) {
+      let best = null;
+      for (const allocation of allocations) {
+        if (allocation.times.length < allocation.capacity && (!best || allocation.nextAt < best.nextAt)) {
+          best = allocation;
+        }
+      }
+      if (!best) {
+        break;
+      }
+      best.times.push(best.nextAt);
+      best.nextAt += best.usage.avgInterval;
+    }
+
+    for (const allocation of allocations) {
+      if (!allocation.times.length) {
+        continue;
+      }
+      const { doc, usage } = allocation;
+      const reserved = await reserveAllocation(collection, allocation, now);
+      if (!reserved) {
+        continue;
+      }
+      usageHistory.recordGrants(doc.subscriptionId, reserved.times);
+      const leases = await leaseManager.createLeases(reserved.times.map((notBefore, index) => ({
+        subscriptionId: doc.subscriptionId,
+        clientId,
+        grantedAt: now,
+        notBefore,
+        previousLastUsed: index === 0 ? reserved.previousLastUsed : reserved.times[index - 1]
+      })));
+      for (const lease of leases) {
+        slots.push({
+          subscriptionId: doc.subscriptionId,
+          plan: doc.plan,
+          pool: getKeyPool(doc),
+          avgRequestIntervalMs: usage.avgInterval,
+          notBefore: lease.notBefore,
+          leaseId: lease.leaseId,
+          leaseExpiresAt: lease.expiresAt
+        });
+      }
+    }
+  }
+
+  slots.sort((a, b) => a.notBefore - b.notBefore);
+  const retryAt = slots.length < count ? await getNextHeadroomAt(pool) : null;
+  return { requested: count, slots, retryAt };
+}
+
+/**
+ * Internal helper: charge a batch allocation to its key.  Returns the slot
+ * times actually reserved, or null when the key changed underneath us (or,
+ * with Redis, has no headroom left).
+ */
+async function reserveAllocation(collection, { doc, usage, times }, now) {
+  if (usesRedisStore()) {
+    return redisKeyStore.reserveMany(doc.subscriptionId, times.length, getWindowOptions(now));
+  }
+  const update = {
+    $set: {
+      windowLog: [...usage.windowLog, ...times],
+      dailyBuckets: slidingWindow.addToBuckets(usage.dailyBuckets, times),
+      lastUsed: times[times.length - 1],
+      avgRequestIntervalMs: usage.avgInterval,
+      status: usage.dayCount + times.length >= doc.dailyLimit ? 'exhausted' : 'active',
+      revision: (doc.revision || 0) + 1
+    }
+  };
+  const result = await collection.findOneAndUpdate(getRevisionFilter(doc), update, { returnDocument: 'after' });
+  const updatedDoc = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+  if (!updatedDoc) {
+    return null;
+  }
+  if (update.$set.status === 'exhausted' && doc.status === 'active') {
+    recordExhaustion(doc, now);
+  }
+  return { times, previousLastUsed: usage.lastUsed };
+}
+
+/**
+ * Internal helper: when a key can next be granted and which limit holds it
+ * back.  The reason is the constraint that lifts last: `spacing`
+ * (avgRequestIntervalMs since the last grant, skipped with
+ * `ignoreSpacing`), `window` (30-second limit), `daily` (sliding day),
+ * `cooldown` (reported 429) or `breaker` (open circuit breaker).  Returns
+ * null for keys that are never granted (paused, draining or banned).
+ */
+function getKeyAvailability(doc, now, { ignoreSpacing = false } = {}) {
+  if (doc.status !== 'active' && doc.status !== 'exhausted') {
+    return null;
+  }
+  const usage = evaluateKeyUsage(doc, now);
+  const constraints = [
+    ['window', slidingWindow.windowFreesAt(usage.windowLog, doc.rateLimit30s, now)],
+    ['daily', slidingWindow.bucketsFreeAt(usage.dailyBuckets, doc.dailyLimit, now)]
+  ];
+  if (!ignoreSpacing) {
+    constraints.push(['spacing', usage.lastUsed + usage.avgInterval]);
+  }
+  if (isCoolingDown(doc, now)) {
+    constraints.push(['cooldown', doc.cooldownUntil]);
+  }
+  const breaker = describeBreaker(doc, now);
+  if (breaker.nextProbeAt !== null) {
+    constraints.push(['breaker', breaker.nextProbeAt]);
+  }
+  let availability = { availableAt: now, reason: null };
+  for (const [reason, availableAt] of constraints) {
+    if (availableAt > availability.availableAt) {
+      availability = { availableAt, reason };
+    }
+  }
+  return availability;
+}
+
+// Internal helper: the grantable key (in `pool`, if given) that frees up
+// first, or null without any.
+async function getEarliestAvailability(pool, options) {
+  const docs = (await loadKeyDocs()).filter((doc) => isInPool(doc, pool));
   const now = Date.now();
-  const docs = await collection.find().toArray();
+  let earliest = null;
   for (const doc of docs) {
-    if (now - doc.dayStart >= DAY_MS) {
-      const updates = { usedDaily: 0, dayStart: now };
-      if (doc.status === 'exhausted') {
-        updates.status = 'active';
+    const availability = getKeyAvailability(doc, now, options);
+    if (availability && (earliest === null || availability.availableAt < earliest.availableAt)) {
+      earliest = availability;
+    }
+  }
+  return earliest;
+}
+
+/**
+ * Internal helper: earliest time any non-banned key (in `pool`, if given)
+ * regains 30-second or daily headroom (now, if one already has some).
+ * Spacing is ignored because reserved slots are scheduled past it.
+ * Returns null without keys.
+ */
+async function getNextHeadroomAt(pool) {
+  const earliest = await getEarliestAvailability(pool, { ignoreSpacing: true });
+  return earliest ? earliest.availableAt : null;
+}
+
+/**
+ * Tell a caller who got no key how long to wait, from the state of the keys
+ * (in `pool`, if given): the earliest time one of them can be granted again
+ * and the limit holding it back (`spacing`, `window`, `daily`, `cooldown` or
+ * `breaker`).  With no grantable key at all the reason is `no_keys` and the
+ * wait is null.  A key that is already free (another caller won the race)
+ * yields a zero wait with reason `spacing`.
+ *
+ * @param {{pool?: string|string[]}} [options]
+ * @returns {Promise<{waitMs: number|null, retryAt: number|null, reason: string}>}
+ */
+async function getWaitHint({ pool } = {}) {
+  const earliest = await getEarliestAvailability(pool);
+  if (!earliest) {
+    return { waitMs: null, retryAt: null, reason: 'no_keys' };
+  }
+  const now = Date.now();
+  const retryAt = Math.max(earliest.availableAt, now);
+  return { waitMs: retryAt - now, retryAt, reason: earliest.reason || 'spacing' };
+}
+
+/**
+ * Give the usage charged by an unused lease back to its key: the lease's
+ * slot leaves the 30-second log and its daily bucket.  Whatever has already
+ * slid out of a window no longer counts anyway.  The spacing slot is
+ * restored too when no other grant has happened since.
+ *
+ * @returns {Promise<boolean>} whether anything was refunded
+ */
+async function refundLease(lease) {
+  const slotTime = typeof lease.notBefore === 'number' ? lease.notBefore : lease.grantedAt;
+  if (usesRedisStore()) {
+    const refunded = await redisKeyStore.refund(lease, { bucketMs: DAILY_BUCKET_MS });
+    if (refunded) {
+      usageHistory.recordRefund(lease.subscriptionId, slotTime);
+      logger.info({ msg: 'Refunded unused key lease', subscriptionId: lease.subscriptionId, leaseId: lease.leaseId });
+    }
+    return refunded;
+  }
+  const collection = await getKeysCollection();
+  const maxAttempts = 3;
+  for (let attemptIndex = 0; attemptIndex < maxAttempts; attemptIndex += 1) {
+    const doc = await collection.findOne({ subscriptionId: lease.subscriptionId });
+    if (!doc) {
+      return false;
+    }
+    const usage = evaluateKeyUsage(doc, Date.now());
+    const windowLog = [...usage.windowLog];
+    const logIndex = windowLog.indexOf(slotTime);
+    if (logIndex >= 0) {
+      windowLog.splice(logIndex, 1);
+    }
+    const refundDay = (usage.dailyBuckets[slidingWindow.getBucketStart(slotTime)] || 0) > 0;
+    const dailyBuckets = refundDay ? slidingWindow.removeFromBuckets(usage.dailyBuckets, slotTime) : usage.dailyBuckets;
+    if (logIndex < 0 && !refundDay) {
+      return false;
+    }
+    const updates = { windowLog, dailyBuckets, revision: (doc.revision || 0) + 1 };
+    if (doc.lastUsed === slotTime && typeof lease.previousLastUsed === 'number') {
+      updates.lastUsed = lease.previousLastUsed;
+    }
+    if (doc.status === 'exhausted' && slidingWindow.countBuckets(dailyBuckets) < doc.dailyLimit) {
+      updates.status = 'active';
+    }
+
+    const result = await collection.findOneAndUpdate(getRevisionFilter(doc), { $set: updates }, { returnDocument: 'after' });
+    const updatedDoc = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+    if (updatedDoc) {
+      usageHistory.recordRefund(doc.subscriptionId, slotTime);
+      logger.info({ msg: 'Refunded unused key lease', subscriptionId: doc.subscriptionId, leaseId: lease.leaseId });
+      return true;
+    }
+  }
+  logger.warn({ msg: 'Failed to refund unused key lease', subscriptionId: lease.subscriptionId, leaseId: lease.leaseId });
+  return false;
+}
+
+// Internal helper: an unused probe grant frees the half-open breaker for the
+// next probe straight away instead of when its lease would have expired.
+async function releaseProbeForLease(lease) {
+  const collection = await getKeysCollection();
+  const result = await collection.updateOne(
+    { subscriptionId: lease.subscriptionId, breakerProbeAt: lease.grantedAt },
+    { $set: { breakerProbeAt: null } }
+  );
+  if (result.matchedCount) {
+    invalidateKeyCache();
+  }
+}
+
+/**
+ * Release a lease handed out with a key grant.  Releasing with `used: false`
+ * refunds the slot; `used: true` simply closes the lease.
+ *
+ * @param {string} leaseId
+ * @param {{used: boolean, clientId?: string}} options `clientId` restricts the
+ *   release to leases granted to that client (others are `not_found`)
+ * @returns {Promise<{result: 'released'|'not_found'|'already_settled'|'expired', lease?: object, refunded?: boolean}>}
+ */
+async function releaseLease(leaseId, { used, clientId }) {
+  const { result, lease } = await leaseManager.settleLease(leaseId, used ? 'used' : 'unused', { clientId });
+  if (result !== 'settled') {
+    return { result, lease };
+  }
+  const refunded = used ? false : await refundLease(lease);
+  if (!used) {
+    await releaseProbeForLease(lease);
+    announceCapacity('lease_refunded');
+  }
+  return { result: 'released', lease, refunded };
+}
+
+/**
+ * Whether a client was recently granted a slot on the key (see
+ * leaseManager.hasClientLease()), i.e. may report outcomes for it.
+ */
+async function hasClientLease(clientId, subscriptionId) {
+  return leaseManager.hasClientLease(clientId, subscriptionId);
+}
+
+/**
+ * Record what MailTester returned for a request made with a key and move the
+ * key to the matching status: auth failures ban the key, 429s cool it down
+ * for `KEY_RATE_LIMIT_COOLDOWN_MS`, and timeouts and errors feed the circuit
+ * breaker (see updateBreaker()).  Success and error counters are kept on
+ * the key document and surface in getAllKeysStatus().
+ *
+ * @param {string} subscriptionId
+ * @param {{outcome: string, code?: string}} report outcome already normalised via normalizeOutcome()
+ * @returns {Promise<null|{subscriptionId: string, outcome: string, status: string, cooldownUntil: number|null, breaker: object}>}
+ *   null when the key does not exist
+ */
+async function reportOutcome(subscriptionId, { outcome, code }) {
+  if (!OUTCOME_KINDS.includes(outcome)) {
+    throw new Error(`Unknown outcome "${outcome}"`);
+  }
+  const collection = await getKeysCollection();
+  const now = Date.now();
+  const isSuccess = outcome === 'ok';
+  const updates = { lastOutcome: outcome, lastOutcomeAt: now };
+  if (!isSuccess && code) {
+    updates.lastErrorCode = String(code);
+  }
+  if (outcome === 'unauthorized') {
+    updates.status = 'banned';
+    updates.bannedAt = now;
+    updates.bannedReason = code ? `MailTester rejected the key (${code})` : 'MailTester rejected the key';
+    updates.statusReason = updates.bannedReason;
+    updates.statusChangedAt = now;
+    updates.statusChangedBy = null;
+    updates.statusExpiresAt = null;
+  } else if (outcome === 'rate_limited') {
+    updates.cooldownUntil = now + getRateLimitCooldownMs();
+  }
+
+  const counters = {
+    successCount: isSuccess ? 1 : 0,
+    errorCount: isSuccess ? 0 : 1,
+    [`outcomeCounts.${outcome}`]: 1
+  };
+  if (isSuccess) {
+    updates.breakerFailures = 0;
+  } else if (BREAKER_FAILURE_OUTCOMES.includes(outcome)) {
+    counters.breakerFailures = 1;
+  }
+
+  const result = await collection.findOneAndUpdate(
+    { subscriptionId },
+    { $set: updates, $inc: counters },
+    { returnDocument: 'after' }
+  );
+  let updatedDoc = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+  if (!updatedDoc) {
+    return null;
+  }
+  updatedDoc = await updateBreaker(collection, updatedDoc, outcome, now);
+  invalidateKeyCache();
+  if (outcome === 'unauthorized') {
+    logger.warn({ msg: 'Banned key after auth failure', subscriptionId, code });
+    notifier.notify('key_banned', {
+      subscriptionId,
+      pool: getKeyPool(updatedDoc),
+      reason: updates.bannedReason,
+      changedBy: null
+    });
+  } else if (outcome === 'rate_limited') {
+    logger.warn({ msg: 'Cooling down key after MailTester 429', subscriptionId, cooldownUntil: updates.cooldownUntil });
+  }
+  return {
+    subscriptionId,
+    outcome,
+    status: updatedDoc.status,
+    cooldownUntil: isCoolingDown(updatedDoc, now) ? updatedDoc.cooldownUntil : null,
+    breaker: describeBreaker(updatedDoc, now)
+  };
+}
+
+/**
+ * Internal helper: move a key's circuit breaker after an outcome report.
+ *
+ *   - closed: `KEY_BREAKER_FAILURE_THRESHOLD` consecutive timeouts/errors
+ *     open it.
+ *   - open: no grants until `breakerOpenUntil`; late reports are ignored.
+ *     The cooldown starts at `KEY_BREAKER_BASE_COOLDOWN_MS` and doubles with
+ *     every consecutive trip, up to `KEY_BREAKER_MAX_COOLDOWN_MS`.
+ *   - half-open: one probe grant; a success closes the breaker, a failure
+ *     opens it again with the next cooldown.
+ *
+ * The transition is a compare-and-set on the breaker fields, so concurrent
+ * reports move the breaker once.  Returns the (possibly updated) document.
+ */
+async function updateBreaker(collection, doc, outcome, now) {
+  const state = getBreakerState(doc, now);
+  const { failureThreshold, baseCooldownMs, maxCooldownMs } = getBreakerSettings();
+  let changes = null;
+  if (BREAKER_FAILURE_OUTCOMES.includes(outcome)
+    && (state === 'half_open' || (state === 'closed' && doc.breakerFailures >= failureThreshold))) {
+    const trips = (doc.breakerTrips || 0) + 1;
+    const cooldownMs = Math.min(maxCooldownMs, baseCooldownMs * 2 ** (trips - 1));
+    changes = {
+      breakerState: 'open',
+      breakerTrips: trips,
+      breakerOpenedAt: now,
+      breakerOpenUntil: now + cooldownMs,
+      breakerProbeAt: null
+    };
+  } else if (outcome === 'ok' && state === 'half_open') {
+    changes = {
+      breakerState: 'closed',
+      breakerTrips: 0,
+      breakerFailures: 0,
+      breakerOpenedAt: null,
+      breakerOpenUntil: null,
+      breakerProbeAt: null
+    };
+  }
+  if (!changes) {
+    return doc;
+  }
+  const result = await collection.findOneAndUpdate(
+    { subscriptionId: doc.subscriptionId, breakerState: doc.breakerState, breakerOpenUntil: doc.breakerOpenUntil },
+    { $set: changes, $inc: { revision: 1 } },
+    { returnDocument: 'after' }
+  );
+  const updatedDoc = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+  if (!updatedDoc) {
+    return doc;
+  }
+  if (changes.breakerState === 'open') {
+    logger.warn({
+      msg: 'Opened key circuit breaker',
+      subscriptionId: doc.subscriptionId,
+      trips: changes.breakerTrips,
+      nextProbeAt: changes.breakerOpenUntil
+    });
+  } else {
+    logger.info({ msg: 'Closed key circuit breaker after successful probe', subscriptionId: doc.subscriptionId });
+  }
+  return updatedDoc;
+}
+
+/**
+ * Write usage changed in the Redis store back to MongoDB and keep the
+ * `exhausted` status in line with it.  Banned keys are never touched.
+ * Keys that fail to persist are queued for the next flush.
+ *
+ * @returns {Promise<number>} number of keys flushed
+ */
+async function flushKeyUsage() {
+  if (!usesRedisStore()) {
+    return 0;
+  }
+  const usage = await redisKeyStore.takeDirty();
+  if (!usage.size) {
+    return 0;
+  }
+  const collection = await getKeysCollection();
+  const now = Date.now();
+  const failed = [];
+  for (const [subscriptionId, live] of usage) {
+    try {
+      const doc = await collection.findOne({ subscriptionId });
+      if (!doc) {
+        continue;
+      }
+      const windowLog = slidingWindow.pruneWindowLog(live.windowLog, now);
+      const dailyBuckets = slidingWindow.pruneBuckets(live.dailyBuckets, now);
+      await collection.updateOne({ subscriptionId }, { $set: { windowLog, dailyBuckets, lastUsed: live.lastUsed } });
+      const exhausted = slidingWindow.countBuckets(dailyBuckets) >= doc.dailyLimit;
+      if (exhausted && doc.status === 'active') {
+        const marked = await collection.updateOne({ subscriptionId, status: 'active' }, { $set: { status: 'exhausted' } });
+        if (marked.matchedCount) {
+          recordExhaustion(doc, now);
+        }
+      } else if (!exhausted && doc.status === 'exhausted') {
+        await collection.updateOne({ subscriptionId, status: 'exhausted' }, { $set: { status: 'active' } });
       }
-      await collection.updateOne({ subscriptionId: doc.subscriptionId }, { $set: updates });
+    } catch (err) {
+      failed.push(subscriptionId);
+      logger.error({ msg: 'Failed to flush key usage to MongoDB', subscriptionId, error: err.message });
     }
   }
+  if (failed.length) {
+    await redisKeyStore.markDirty(failed);
+  }
+  return usage.size - failed.length;
 }
 
 module.exports = {
+  initializePlans,
+  savePlan,
+  deletePlan,
   initializeKeysFromEnv,
   registerKey,
   deleteKey,
   getAllKeysStatus,
   getKeyLimits,
+  getCapacity,
+  getWaitHint,
+  onCapacityFreed,
+  normalizePoolName,
+  validateKeyLabels,
+  validateKeyState,
+  setKeyState,
+  expireKeyStates,
+  resetKeyUsage,
   getAvailableKeysSnapshot,
   getAvailableKey,
-  resetWindowsForAll,
-  resetDailyForAll
+  reserveSlots,
+  releaseLease,
+  hasClientLease,
+  normalizeOutcome,
+  reportOutcome,
+  flushKeyUsage
 };
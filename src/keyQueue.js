@@ -1,15 +1,23 @@
 const { Queue, Worker, QueueEvents } = require('bullmq');
 const { createRedisConnection } = require('./redis');
 const keyManager = require('./keyManager');
+const keyDispatcher = require('./keyDispatcher');
+const keyTickets = require('./keyTickets');
+const queueFairness = require('./queueFairness');
+const metrics = require('./metrics');
+const queueStats = require('./queueStats');
+const notifier = require('./notifier');
 const logger = require('./logger');
 
 const QUEUE_NAME = 'key-requests';
-const DEFAULT_BACKOFF_MS = 1000;
 const DEFAULT_MAX_WAIT_MS = 0; // 0 = wait indefinitely
 const DEFAULT_CONCURRENCY = 5;
+// Failed requests (timeouts) stay an hour so GET /queue/stats can count them.
+const FAILED_JOB_RETENTION_S = 3600;
 
 const keyQueue = new Queue(QUEUE_NAME, {
-  connection: createRedisConnection()
+  connection: createRedisConnection(),
+  defaultJobOptions: { removeOnComplete: true, removeOnFail: { age: FAILED_JOB_RETENTION_S } }
 });
 
 const keyQueueEvents = new QueueEvents(QUEUE_NAME, {
@@ -24,22 +32,61 @@ keyQueueEvents.waitUntilReady().catch((err) => {
   logger.error({ msg: 'QueueEvents failed to start', error: err.message });
 });
 
+// Whether the caller of a queued request hung up (see
+// routes/keys.js); reads the job again because the flag is set after it
+// started.
+async function isAbandoned(job) {
+  const current = await keyQueue.getJob(job.id);
+  return Boolean(current?.data?.abandoned);
+}
+
 const worker = new Worker(
   QUEUE_NAME,
-  async () => {
-    const backoffMs = Number(process.env.KEY_QUEUE_BACKOFF_MS || DEFAULT_BACKOFF_MS);
+  async (job) => {
+    const strategy = job.data?.strategy;
+    const pool = job.data?.pool;
+    const clientId = job.data?.clientId;
+    const priority = job.data?.priority || 'normal';
+    const ticketId = job.data?.ticketId;
     const maxWaitMs = Number(process.env.KEY_QUEUE_MAX_WAIT_MS || DEFAULT_MAX_WAIT_MS);
     const enforceDeadline = Number.isFinite(maxWaitMs) && maxWaitMs > 0;
     const deadline = enforceDeadline ? Date.now() + maxWaitMs : Infinity;
+    await queueFairness.markServed({ lane: priority, virtualStart: job.data?.virtualStart }).catch((err) => {
+      logger.error({ msg: 'Failed to advance queue fairness clock', jobId: job.id, error: err.message });
+    });
 
-    while (Date.now() <= deadline) {
-      const key = await keyManager.getAvailableKey();
+    // Ticket requests are cancelled through their ticket (see keyTickets.js).
+    const isCancelled = ticketId ? undefined : () => isAbandoned(job);
+    const key = await keyDispatcher.waitForKey({ strategy, pool, clientId }, { deadline, isCancelled });
+    if (isCancelled && await isCancelled()) {
+      // Nobody waits any more: a key granted before the flag landed goes to
+      // the next waiter.
+      const waitedMs = Date.now() - job.timestamp;
       if (key) {
-        return key;
+        await keyManager.releaseLease(key.leaseId, { used: false });
+      }
+      metrics.observeQueueWait('abandoned', waitedMs, priority);
+      queueStats.recordWait('abandoned', waitedMs);
+      return null;
+    }
+    if (key) {
+      const waitedMs = Date.now() - job.timestamp;
+      metrics.observeQueueWait('granted', waitedMs, priority);
+      queueStats.recordWait('granted', waitedMs);
+      notifier.checkQueueWait(waitedMs, { pool, priority, result: 'granted' });
+      if (ticketId) {
+        await keyTickets.recordGrant(ticketId, key);
       }
-      await new Promise((resolve) => setTimeout(resolve, backoffMs));
+      return key;
     }
 
+    const waitedMs = Date.now() - job.timestamp;
+    metrics.observeQueueWait('timeout', waitedMs, priority);
+    queueStats.recordWait('timeout', waitedMs);
+    notifier.checkQueueWait(waitedMs, { pool, priority, result: 'timeout' });
+    if (ticketId) {
+      await keyTickets.recordTimeout(ticketId, await keyManager.getWaitHint({ pool }));
+    }
     throw new Error('QUEUE_TIMEOUT');
   },
   {
@@ -57,6 +104,7 @@ worker.on('failed', (job, err) => {
 });
 
 async function shutdownKeyQueue() {
+  keyDispatcher.stopDispatcher();
   try {
     await worker.close();
   } catch (err) {
@@ -72,6 +120,11 @@ async function shutdownKeyQueue() {
   } catch (err) {
     logger.error({ msg: 'Error closing queue events', error: err.message });
   }
+  try {
+    await queueFairness.close();
+  } catch (err) {
+    logger.error({ msg: 'Error closing queue fairness connection', error: err.message });
+  }
 }
 
 module.exports = {
@@ -0,0 +1,87 @@
+/**
+ * keySelection.js
+ *
+ * Ranking strategies used to order eligible keys before one is reserved.
+ * Every selection path (single grants, batch reservations, the
+ * availability snapshot and the queue worker) ranks through
+ * rankCandidates() so they agree on which key is preferred.  Candidates are plain objects carrying `windowCount`,
+ * `dayCount`, `dailyLimit`, `rateLimit30s` and `lastUsed`.
+ *
+ * The default strategy comes from KEY_SELECTION_STRATEGY and may be
+ * overridden per request.
+ */
+const logger = require('./logger');
+
+const DEFAULT_STRATEGY = 'least-used-window';
+
+// Efraimidis-Spirakis weighted shuffle: higher weights tend to sort first.
+function weightedShuffle(candidates, getWeight) {
+  return candidates
+    .map((candidate) => {
+      const weight = Math.max(Number(getWeight(candidate)) || 0, 1e-6);
+      return { candidate, sortKey: Math.random() ** (1 / weight) };
+    })
+    .sort((a, b) => b.sortKey - a.sortKey)
+    .map(({ candidate }) => candidate);
+}
+
+const STRATEGIES = {
+  // Fewest requests in the current 30-second window first.
+  'least-used-window': (candidates) => [...candidates].sort((a, b) => a.windowCount - b.windowCount),
+  // Most remaining daily quota first, so quota drains evenly across keys.
+  'most-daily-headroom': (candidates) => [...candidates].sort(
+    (a, b) => (b.dailyLimit - b.dayCount) - (a.dailyLimit - a.dayCount)
+  ),
+  // Least recently used first.
+  'round-robin': (candidates) => [...candidates].sort((a, b) => a.lastUsed - b.lastUsed),
+  // Random order weighted by the plan's 30-second throughput.
+  'weighted-plan': (candidates) => weightedShuffle(candidates, (candidate) => candidate.rateLimit30s),
+  random: (candidates) => weightedShuffle(candidates, () => 1)
+};
+
+function listStrategies() {
+  return Object.keys(STRATEGIES);
+}
+
+function isValidStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+}
+
+/**
+ * Resolve the strategy to use: an explicit name wins, then
+ * KEY_SELECTION_STRATEGY, then the default.  Explicit unknown names throw;
+ * an unknown configured default is logged and ignored.
+ */
+function resolveStrategy(name) {
+  if (name) {
+    const normalized = String(name).trim().toLowerCase();
+    if (!isValidStrategy(normalized)) {
+      throw new Error(`Unknown key selection strategy "${name}"`);
+    }
+    return normalized;
+  }
+  const configured = String(process.env.KEY_SELECTION_STRATEGY || '').trim().toLowerCase();
+  if (configured && isValidStrategy(configured)) {
+    return configured;
+  }
+  if (configured) {
+    logger.warn({ msg: 'Unknown KEY_SELECTION_STRATEGY; using default', strategy: configured, fallback: DEFAULT_STRATEGY });
+  }
+  return DEFAULT_STRATEGY;
+}
+
+/**
+ * Order candidates by the given (or configured) strategy.  Returns a new
+ * array; the input is left untouched.
+ */
+function rankCandidates(candidates, strategy) {
+  return STRATEGIES[resolveStrategy(strategy)](candidates);
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  listStrategies,
+  isValidStrategy,
+  resolveStrategy,
+  rankCandidates
+};
@@ -0,0 +1,259 @@
+/**
+ * keyTickets.js
+ *
+ * Asynchronous key requests (collection: `keyRequests`).  `POST
+ * /key/requests` queues a request on the key queue and answers with a
+ * ticket straight away; the caller then polls the ticket or follows it over
+ * Server-Sent Events instead of holding a connection open until a key is
+ * free:
+ *
+ *   { ticketId, clientId, status, pool, strategy, priority, quotaAt, key,
+ *     hint, createdAt, grantedAt, collectBy, collectedAt, finishedAt,
+ *     purgeAt }
+ *
+ * A ticket starts out `pending`.  The queue worker moves it to `granted`
+ * with the key (recordGrant()) or to `timeout` with a wait hint when
+ * KEY_QUEUE_MAX_WAIT_MS runs out (recordTimeout()), and an admin can take a
+ * pending ticket's request out of the queue (`cancelled`, cancelTicket()).
+ * The first read of a granted ticket collects it (`collected`); a grant
+ * nobody collects within KEY_TICKET_COLLECT_MS is `expired` by the
+ * scheduler, which releases its lease as unused so the slot goes back to
+ * the key.  The client quota
+ * charged when the ticket was created is refunded whenever no key reaches
+ * the caller.  Finished tickets are purged KEY_TICKET_RETENTION_MS later.
+ */
+const crypto = require('crypto');
+const mongoClient = require('./mongoClient');
+const keyManager = require('./keyManager');
+const clientManager = require('./clientManager');
+const logger = require('./logger');
+
+const DEFAULT_COLLECT_MS = 30_000;
+const DEFAULT_RETENTION_MS = 3_600_000;
+
+function resolvePositive(rawValue, fallback) {
+  const numeric = Number(rawValue);
+  if (Number.isFinite(numeric) && numeric > 0) {
+    return Math.floor(numeric);
+  }
+  return fallback;
+}
+
+function getCollectMs() {
+  return resolvePositive(process.env.KEY_TICKET_COLLECT_MS, DEFAULT_COLLECT_MS);
+}
+
+function getRetentionMs() {
+  return resolvePositive(process.env.KEY_TICKET_RETENTION_MS, DEFAULT_RETENTION_MS);
+}
+
+async function getTicketsCollection() {
+  await mongoClient.connectMongo();
+  return mongoClient.getKeyRequestsCollection();
+}
+
+/**
+ * Create the ticket lookup index, the index the expiry job reads granted
+ * tickets from and the TTL index that purges finished tickets.
+ */
+async function ensureIndexes() {
+  const collection = await getTicketsCollection();
+  await collection.createIndex({ ticketId: 1 }, { unique: true });
+  await collection.createIndex({ status: 1, collectBy: 1 });
+  await collection.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+/**
+ * The ticket as returned by the API: the key once granted, the wait hint
+ * after a timeout.
+ */
+function toPublicTicket(doc, now = Date.now()) {
+  const ticket = {
+    ticketId: doc.ticketId,
+    status: doc.status === 'collected' ? 'granted' : doc.status,
+    pool: doc.pool,
+    strategy: doc.strategy,
+    priority: doc.priority,
+    createdAt: doc.createdAt,
+    grantedAt: doc.grantedAt,
+    collectedAt: doc.collectedAt,
+    finishedAt: doc.finishedAt
+  };
+  if (ticket.status === 'granted') {
+    ticket.key = doc.key;
+  }
+  if (doc.status === 'timeout' && doc.hint) {
+    const { retryAt, reason } = doc.hint;
+    Object.assign(ticket, { waitMs: retryAt === null ? null : Math.max(0, retryAt - now), retryAt, reason });
+  }
+  return ticket;
+}
+
+/**
+ * Store a new `pending` ticket.  The caller charges the client quota first
+ * (`quotaAt` is the charge time, for refunds) and queues the request with
+ * the ticket ID as its job ID.
+ *
+ * @param {{clientId: string, pool?: string|string[], strategy?: string, priority: string, quotaAt: number}} params
+ * @returns {Promise<object>} the ticket document
+ */
+async function createTicket({ clientId, pool, strategy, priority, quotaAt }) {
+  const ticket = {
+    ticketId: crypto.randomUUID(),
+    clientId,
+    status: 'pending',
+    pool: pool ?? null,
+    strategy: strategy ?? null,
+    priority,
+    quotaAt,
+    key: null,
+    hint: null,
+    createdAt: Date.now(),
+    grantedAt: null,
+    collectBy: null,
+    collectedAt: null,
+    finishedAt: null,
+    purgeAt: null
+  };
+  const collection = await getTicketsCollection();
+  await collection.insertOne({ ...ticket });
+  return ticket;
+}
+
+async function getTicket(ticketId) {
+  const collection = await getTicketsCollection();
+  return collection.findOne({ ticketId });
+}
+
+// Drop a ticket whose request could not be queued.
+async function discardTicket(ticketId) {
+  const collection = await getTicketsCollection();
+  await collection.deleteOne({ ticketId });
+}
+
+// Internal helper: move a ticket from one status to another; returns the
+// updated ticket, or null when it was not in `from` any more.
+async function transitionTicket(ticketId, from, fields) {
+  const collection = await getTicketsCollection();
+  const result = await collection.findOneAndUpdate(
+    { ticketId, status: from },
+    { $set: fields },
+    { returnDocument: 'after' }
+  );
+  return result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+}
+
+async function refundTicketQuota(ticket) {
+  await clientManager.refundQuota(ticket.clientId, { at: ticket.quotaAt, count: 1 });
+}
+
+/**
+ * Attach a key granted by the queue worker to its ticket.  A key for a
+ * ticket that is no longer pending is released as unused.
+ *
+ * @returns {Promise<boolean>} whether the ticket took the key
+ */
+async function recordGrant(ticketId, key, now = Date.now()) {
+  const collectBy = now + getCollectMs();
+  const updated = await transitionTicket(ticketId, 'pending', {
+    status: 'granted',
+    key,
+    grantedAt: now,
+    collectBy,
+    purgeAt: new Date(collectBy + getRetentionMs())
+  });
+  if (!updated) {
+    await keyManager.releaseLease(key.leaseId, { used: false });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Close a ticket whose request timed out in the queue, keeping the wait
+ * hint for the caller, and refund its quota.
+ *
+ * @param {string} ticketId
+ * @param {{retryAt: number|null, reason: string}} hint from keyManager.getWaitHint()
+ * @returns {Promise<boolean>} whether the ticket was still pending
+ */
+async function recordTimeout(ticketId, { retryAt, reason }, now = Date.now()) {
+  const updated = await transitionTicket(ticketId, 'pending', {
+    status: 'timeout',
+    hint: { retryAt, reason },
+    finishedAt: now,
+    purgeAt: new Date(now + getRetentionMs())
+  });
+  if (!updated) {
+    return false;
+  }
+  await refundTicketQuota(updated);
+  return true;
+}
+
+/**
+ * Close a pending ticket whose request an admin took out of the queue, and
+ * refund its quota.
+ *
+ * @returns {Promise<boolean>} whether the ticket was still pending
+ */
+async function cancelTicket(ticketId, now = Date.now()) {
+  const updated = await transitionTicket(ticketId, 'pending', {
+    status: 'cancelled',
+    finishedAt: now,
+    purgeAt: new Date(now + getRetentionMs())
+  });
+  if (!updated) {
+    return false;
+  }
+  await refundTicketQuota(updated);
+  return true;
+}
+
+/**
+ * Read a ticket, collecting it if it was granted: from then on the key is
+ * the caller's and the ticket no longer expires.
+ *
+ * @returns {Promise<object|null>} the ticket, or null when missing
+ */
+async function collectTicket(ticketId, now = Date.now()) {
+  const collected = await transitionTicket(ticketId, 'granted', { status: 'collected', collectedAt: now, finishedAt: now });
+  return collected || getTicket(ticketId);
+}
+
+/**
+ * Expire granted tickets nobody collected within KEY_TICKET_COLLECT_MS:
+ * their leases are released as unused and their quota refunded.  Run
+ * periodically by the scheduler.
+ *
+ * @returns {Promise<number>} how many tickets expired
+ */
+async function expireUncollectedTickets(now = Date.now()) {
+  const collection = await getTicketsCollection();
+  const docs = await collection.find({ status: 'granted', collectBy: { $lt: now } }).toArray();
+  let expired = 0;
+  for (const doc of docs) {
+    const updated = await transitionTicket(doc.ticketId, 'granted', { status: 'expired', finishedAt: now });
+    if (!updated) {
+      continue;
+    }
+    expired += 1;
+    await keyManager.releaseLease(doc.key.leaseId, { used: false });
+    await refundTicketQuota(doc);
+    logger.info({ msg: 'Released key of uncollected ticket', ticketId: doc.ticketId, subscriptionId: doc.key.subscriptionId });
+  }
+  return expired;
+}
+
+module.exports = {
+  ensureIndexes,
+  toPublicTicket,
+  createTicket,
+  getTicket,
+  discardTicket,
+  recordGrant,
+  recordTimeout,
+  cancelTicket,
+  collectTicket,
+  expireUncollectedTickets
+};
@@ -0,0 +1,239 @@
+/**
+ * leaseManager.js
+ *
+ * Persists leases for granted key slots (collection: `leases`).  Every grant
+ * handed out by keyManager is backed by a lease so the caller can later report
+ * whether the slot was actually spent.  Leases move from `outstanding` to one
+ * of `used`, `unused` or `expired`; only keyManager decides what a settled
+ * lease means for the key counters.
+ *
+ * Leases are written synchronously, also with the Redis key store: a grant
+ * is only handed out once its lease is in MongoDB, so the insert latency
+ * bounds grant throughput.  onLeaseWrite() reports each insert's duration
+ * (see metrics.js).
+ */
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { performance } = require('perf_hooks');
+const mongoClient = require('./mongoClient');
+const logger = require('./logger');
+
+const DEFAULT_LEASE_TTL_MS = 60_000;
+const DEFAULT_LEASE_RETENTION_MS = 86_400_000;
+
+const writeEvents = new EventEmitter();
+
+function resolvePositiveMs(rawValue, fallback) {
+  const numeric = Number(rawValue);
+  if (Number.isFinite(numeric) && numeric > 0) {
+    return Math.floor(numeric);
+  }
+  return fallback;
+}
+
+function getLeaseTtlMs() {
+  return resolvePositiveMs(process.env.KEY_LEASE_TTL_MS, DEFAULT_LEASE_TTL_MS);
+}
+
+function getLeaseRetentionMs() {
+  return resolvePositiveMs(process.env.KEY_LEASE_RETENTION_MS, DEFAULT_LEASE_RETENTION_MS);
+}
+
+async function getLeasesCollection() {
+  await mongoClient.connectMongo();
+  return mongoClient.getLeasesCollection();
+}
+
+/**
+ * Create indexes used by lease lookups.  Settled leases are purged by a TTL
+ * index once `KEY_LEASE_RETENTION_MS` has passed after their expiry.
+ */
+async function ensureIndexes() {
+  const collection = await getLeasesCollection();
+  await collection.createIndex({ leaseId: 1 }, { unique: true });
+  await collection.createIndex({ status: 1, expiresAt: 1 });
+  await collection.createIndex({ clientId: 1, status: 1 });
+  await collection.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+function buildLease({ subscriptionId, clientId, grantedAt, notBefore, previousLastUsed }) {
+  const slotTime = typeof notBefore === 'number' ? notBefore : grantedAt;
+  return {
+    leaseId: crypto.randomUUID(),
+    subscriptionId,
+    clientId: clientId || null,
+    status: 'outstanding',
+    grantedAt,
+    notBefore: slotTime,
+    expiresAt: slotTime + getLeaseTtlMs(),
+    previousLastUsed
+  };
+}
+
+/**
+ * Record new outstanding leases for key grants.
+ *
+ * `notBefore` is the time the slot may be used (defaults to `grantedAt`); the
+ * lease expires `KEY_LEASE_TTL_MS` after it and the slot is charged to the
+ * key's sliding windows at that time.  `previousLastUsed` is the key's
+ * `lastUsed` before the slot so an unused lease can hand the spacing slot
+ * back as well.  `clientId` attributes the grant to the API client that took
+ * it (null for internal grants).
+ *
+ * @returns {Promise<Array<object>>} the created leases, in input order
+ */
+async function createLeases(entries) {
+  if (!entries.length) {
+    return [];
+  }
+  const collection = await getLeasesCollection();
+  const leases = entries.map(buildLease);
+  const startedAt = performance.now();
+  await collection.insertMany(leases.map((lease) => ({
+    ...lease,
+    purgeAt: new Date(lease.expiresAt + getLeaseRetentionMs())
+  })));
+  writeEvents.emit('write', { count: leases.length, durationMs: performance.now() - startedAt });
+  return leases;
+}
+
+/**
+ * Call `listener({ count, durationMs })` after each lease insert made by
+ * this instance.
+ *
+ * @param {Function} listener
+ * @returns {Function} removes the listener
+ */
+function onLeaseWrite(listener) {
+  writeEvents.on('write', listener);
+  return () => writeEvents.off('write', listener);
+}
+
+/**
+ * Record a single outstanding lease; see createLeases().
+ */
+async function createLease(entry) {
+  const [lease] = await createLeases([entry]);
+  return lease;
+}
+
+/**
+ * Settle an outstanding lease as `used` or `unused`.  With `clientId`, only
+ * a lease granted to that client is settled; others count as not found.
+ *
+ * @returns {Promise<{result: 'settled'|'not_found'|'already_settled'|'expired', lease: object|null}>}
+ */
+async function settleLease(leaseId, status, { clientId } = {}) {
+  const collection = await getLeasesCollection();
+  const existing = await collection.findOne({ leaseId });
+  if (!existing || (clientId !== undefined && existing.clientId !== clientId)) {
+    return { result: 'not_found', lease: null };
+  }
+  const { _id, purgeAt, ...lease } = existing;
+  if (lease.status !== 'outstanding') {
+    return { result: lease.status === 'expired' ? 'expired' : 'already_settled', lease };
+  }
+  const now = Date.now();
+  const nextStatus = lease.expiresAt <= now ? 'expired' : status;
+  const result = await collection.findOneAndUpdate(
+    { leaseId, status: 'outstanding' },
+    { $set: { status: nextStatus, settledAt: now } },
+    { returnDocument: 'after' }
+  );
+  const updated = result && Object.prototype.hasOwnProperty.call(result, 'value') ? result.value : result;
+  if (!updated) {
+    // Someone else settled the lease between our read and the update.
+    return settleLease(leaseId, status, { clientId });
+  }
+  const { _id: ignoredId, purgeAt: ignoredPurge, ...settled } = updated;
+  return { result: nextStatus === 'expired' ? 'expired' : 'settled', lease: settled };
+}
+
+/**
+ * Mark every outstanding lease past its expiry as `expired`.  Expired leases
+ * are treated as used: the slot is never refunded.
+ *
+ * @returns {Promise<number>} number of leases expired
+ */
+async function expireLeases() {
+  const collection = await getLeasesCollection();
+  const now = Date.now();
+  const outstanding = await collection.find({ status: 'outstanding' }).toArray();
+  let expired = 0;
+  for (const lease of outstanding) {
+    if (lease.expiresAt > now) {
+      continue;
+    }
+    const result = await collection.updateOne(
+      { leaseId: lease.leaseId, status: 'outstanding' },
+      { $set: { status: 'expired', settledAt: now } }
+    );
+    if (result.modifiedCount) {
+      expired += 1;
+    }
+  }
+  if (expired) {
+    logger.info({ msg: 'Expired unreleased key leases', count: expired });
+  }
+  return expired;
+}
+
+/**
+ * Count leases that are still outstanding (and not yet past expiry), grouped
+ * by subscription ID.
+ *
+ * @returns {Promise<Map<string, number>>}
+ */
+async function countOutstandingLeases() {
+  const collection = await getLeasesCollection();
+  const now = Date.now();
+  const outstanding = await collection.find({ status: 'outstanding' }).toArray();
+  const counts = new Map();
+  for (const lease of outstanding) {
+    if (lease.expiresAt <= now) {
+      continue;
+    }
+    counts.set(lease.subscriptionId, (counts.get(lease.subscriptionId) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Whether a client was granted a slot on a key within the last
+ * `KEY_LEASE_RETENTION_MS` (settled leases are purged after that).
+ */
+async function hasClientLease(clientId, subscriptionId) {
+  const collection = await getLeasesCollection();
+  return Boolean(await collection.findOne({ clientId, subscriptionId }));
+}
+
+/**
+ * Count the retained leases of one client by status.  Settled leases are only
+ * kept for `KEY_LEASE_RETENTION_MS`, so this covers that period.
+ *
+ * @returns {Promise<{outstanding: number, used: number, unused: number, expired: number}>}
+ */
+async function countClientLeases(clientId) {
+  const collection = await getLeasesCollection();
+  const leases = await collection.find({ clientId }, { projection: { status: 1 } }).toArray();
+  const counts = { outstanding: 0, used: 0, unused: 0, expired: 0 };
+  for (const lease of leases) {
+    if (Object.prototype.hasOwnProperty.call(counts, lease.status)) {
+      counts[lease.status] += 1;
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  getLeaseTtlMs,
+  ensureIndexes,
+  createLease,
+  createLeases,
+  onLeaseWrite,
+  settleLease,
+  expireLeases,
+  countOutstandingLeases,
+  hasClientLease,
+  countClientLeases
+};
@@ -0,0 +1,162 @@
+/**
+ * mailtesterClient.js
+ *
+ * Calls the MailTester verification API (`GET <base>/ninja?email=&key=`).
+ * The base URL defaults to https://happy.mailtester.ninja and can be pointed
+ * elsewhere (e.g. a local mock) with MAILTESTER_BASE_URL; requests time out
+ * after MAILTESTER_TIMEOUT_MS.  Used by the key health checker, the
+ * verification proxy (GET/POST /verify) and bulk jobs (see bulkJobs.js).
+ *
+ * verifyEmail() takes a key, calls MailTester with it, reports the outcome
+ * to keyManager and releases the lease.  When MailTester throttles (429) or
+ * rejects the key (401/403) it retries on another key, up to
+ * VERIFY_MAX_ATTEMPTS keys in total; the throttled key is cooling down and
+ * the rejected one banned, so the next grant picks a different key.
+ * Results are read from and written to the verification cache (see
+ * verificationCache.js) unless the caller asks for a fresh verification.
+ */
+const axios = require('axios');
+const keyManager = require('./keyManager');
+const verificationCache = require('./verificationCache');
+const logger = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://happy.mailtester.ninja';
+const DEFAULT_TIMEOUT_MS = 10_000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_OUTCOMES = ['rate_limited', 'unauthorized'];
+const MAX_EMAIL_LENGTH = 254;
+// MailTester verification codes and what they mean for the address.
+const RESULT_CODES = {
+  ok: 'valid',
+  ko: 'invalid',
+  mb: 'catch_all'
+};
+
+function resolvePositive(rawValue, fallback) {
+  const numeric = Number(rawValue);
+  if (Number.isFinite(numeric) && numeric > 0) {
+    return Math.floor(numeric);
+  }
+  return fallback;
+}
+
+/**
+ * Trim an address and check that it looks like an email address.
+ *
+ * @returns {string|null} the address, or null when it is not one
+ */
+function normalizeEmail(rawValue) {
+  const email = String(rawValue ?? '').trim();
+  if (!email || email.length > MAX_EMAIL_LENGTH || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+    return null;
+  }
+  return email;
+}
+
+function getBaseUrl() {
+  return String(process.env.MAILTESTER_BASE_URL || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+}
+
+/**
+ * Call MailTester once with a key.  Never throws: transport failures come
+ * back as `timeout` or `error` outcomes.
+ *
+ * @returns {Promise<{outcome: string, httpStatus: number|null, data: object|null, error: string|null}>}
+ *   `outcome` is one of keyManager's outcome kinds
+ */
+async function callMailTester(email, subscriptionId) {
+  try {
+    const response = await axios.get(`${getBaseUrl()}/ninja`, {
+      params: { email, key: subscriptionId },
+      timeout: resolvePositive(process.env.MAILTESTER_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+      validateStatus: () => true
+    });
+    const data = response.data && typeof response.data === 'object' ? response.data : null;
+    // A successful response without a verification code is not usable.
+    const code = data && data.code ? null : 'missing_code';
+    return {
+      outcome: keyManager.normalizeOutcome({ httpStatus: response.status, code }),
+      httpStatus: response.status,
+      data,
+      error: null
+    };
+  } catch (err) {
+    const timedOut = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT';
+    return { outcome: timedOut ? 'timeout' : 'error', httpStatus: null, data: null, error: err.message };
+  }
+}
+
+/**
+ * Normalise a MailTester verification payload.  `result` is `valid`,
+ * `invalid`, `catch_all` or `unknown`.
+ */
+function normalizeResult(email, data) {
+  const code = String(data.code || '').toLowerCase();
+  return {
+    email: data.email || email,
+    result: RESULT_CODES[code] || 'unknown',
+    code: code || null,
+    message: data.message ?? null,
+    mx: data.mx ?? null
+  };
+}
+
+/**
+ * Verify an address through MailTester with keys from the rotation.
+ *
+ * @param {string} email
+ * @param {{strategy?: string, pool?: string|string[], clientId?: string, fresh?: boolean}} [options]
+ *   as for keyManager.getAvailableKey(); `fresh` skips the cache lookup
+ * @returns {Promise<object>} `{ status: 'ok', ...normalizeResult(), cached, subscriptionId, attempts }`
+ *   (a cache hit has `cached: true`, `cachedAt`, no key and no attempts),
+ *   `{ status: 'wait', hint, attempts }` when no key was free, or
+ *   `{ status: 'error', outcome, httpStatus, attempts }` when MailTester failed
+ */
+async function verifyEmail(email, { strategy, pool, clientId, fresh = false } = {}) {
+  if (!fresh) {
+    const cached = await verificationCache.lookup(email);
+    if (cached) {
+      return { status: 'ok', email, ...cached, cached: true, subscriptionId: null, attempts: 0 };
+    }
+  }
+  const maxAttempts = resolvePositive(process.env.VERIFY_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS);
+  let last = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    const key = await keyManager.getAvailableKey({ strategy, pool, clientId });
+    if (!key) {
+      return { status: 'wait', hint: await keyManager.getWaitHint({ pool }), attempts: attempt - 1 };
+    }
+    const { subscriptionId } = key;
+    last = await callMailTester(email, subscriptionId);
+    await keyManager.reportOutcome(subscriptionId, {
+      outcome: last.outcome,
+      code: last.httpStatus ? String(last.httpStatus) : null
+    });
+    // Throttled and rejected calls did not spend the slot.
+    await keyManager.releaseLease(key.leaseId, { used: !RETRY_OUTCOMES.includes(last.outcome) });
+    if (last.outcome === 'ok') {
+      const verified = normalizeResult(email, last.data);
+      await verificationCache.store(email, verified);
+      return { status: 'ok', ...verified, cached: false, subscriptionId, attempts: attempt };
+    }
+    logger.warn({
+      msg: 'MailTester verification attempt failed',
+      subscriptionId,
+      attempt,
+      outcome: last.outcome,
+      httpStatus: last.httpStatus,
+      error: last.error
+    });
+    if (!RETRY_OUTCOMES.includes(last.outcome)) {
+      return { status: 'error', outcome: last.outcome, httpStatus: last.httpStatus, attempts: attempt };
+    }
+  }
+  return { status: 'error', outcome: last.outcome, httpStatus: last.httpStatus, attempts: maxAttempts };
+}
+
+module.exports = {
+  normalizeEmail,
+  getBaseUrl,
+  callMailTester,
+  verifyEmail
+};
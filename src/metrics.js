@@ -0,0 +1,206 @@
+/**
+ * metrics.js
+ *
+ * Prometheus metrics served by GET /metrics (see routes/metrics.js).  The
+ * registry holds the default Node.js process metrics plus:
+ *
+ *   - per-key usage gauges (30-second window, sliding day, and the headroom
+ *     left in each), refreshed from keyManager on every scrape
+ *   - responses to the key and verify routes by outcome (ok, wait, ...)
+ *   - verification cache hits and misses
+ *   - BullMQ queue depth by job state and the time queued requests waited
+ *     (by priority lane)
+ *   - how long MongoDB took to record the leases of each grant
+ *   - duration and failures of the cron jobs in scheduler.js
+ *   - results of the nightly key health check
+ *
+ * Keys are labelled with their masked subscription ID (`****c123`) so the
+ * IDs themselves never reach the metrics store.
+ */
+const client = require('prom-client');
+const keyManager = require('./keyManager');
+const leaseManager = require('./leaseManager');
+const { maskSubscriptionId } = require('./clientAuth');
+
+const PREFIX = 'mailtester_';
+const KEY_LABELS = ['key', 'plan', 'pool'];
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const keyWindowUsed = new client.Gauge({
+  name: `${PREFIX}key_window_used`,
+  help: 'Requests made with the key in the sliding 30-second window',
+  labelNames: KEY_LABELS,
+  registers: [register]
+});
+
+const keyWindowRemaining = new client.Gauge({
+  name: `${PREFIX}key_window_remaining`,
+  help: 'Requests the key may still make in the sliding 30-second window',
+  labelNames: KEY_LABELS,
+  registers: [register]
+});
+
+const keyDailyUsed = new client.Gauge({
+  name: `${PREFIX}key_daily_used`,
+  help: 'Requests made with the key in the sliding day',
+  labelNames: KEY_LABELS,
+  registers: [register]
+});
+
+const keyDailyRemaining = new client.Gauge({
+  name: `${PREFIX}key_daily_remaining`,
+  help: 'Requests the key may still make in the sliding day',
+  labelNames: KEY_LABELS,
+  registers: [register]
+});
+
+const keyResponses = new client.Counter({
+  name: `${PREFIX}key_responses_total`,
+  help: 'Responses to key requests by mode (single, batch, queued, ticket, verify) and status (ok, partial, wait, error, quota_exceeded, abandoned, cancelled)',
+  labelNames: ['mode', 'status'],
+  registers: [register]
+});
+
+const verifyCacheLookups = new client.Counter({
+  name: `${PREFIX}verify_cache_lookups_total`,
+  help: 'Verification cache lookups by result (hit, miss)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const queueJobs = new client.Gauge({
+  name: `${PREFIX}key_queue_jobs`,
+  help: 'Jobs in the key request queue by state',
+  labelNames: ['state'],
+  registers: [register]
+});
+
+const queueWaitSeconds = new client.Histogram({
+  name: `${PREFIX}key_queue_wait_seconds`,
+  help: 'Time queued key requests waited until they were granted, timed out or abandoned by their caller',
+  labelNames: ['result', 'priority'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [register]
+});
+
+const leaseWriteSeconds = new client.Histogram({
+  name: `${PREFIX}lease_write_seconds`,
+  help: 'Time MongoDB took to record the leases of one grant or batch reservation; every grant waits for it, also with the Redis key store',
+  buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [register]
+});
+
+leaseManager.onLeaseWrite(({ durationMs }) => {
+  leaseWriteSeconds.observe(durationMs / 1000);
+});
+
+const cronJobDuration = new client.Histogram({
+  name: `${PREFIX}cron_job_duration_seconds`,
+  help: 'Duration of scheduled maintenance jobs',
+  labelNames: ['job'],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 15],
+  registers: [register]
+});
+
+const cronJobFailures = new client.Counter({
+  name: `${PREFIX}cron_job_failures_total`,
+  help: 'Scheduled maintenance jobs that threw',
+  labelNames: ['job'],
+  registers: [register]
+});
+
+const healthCheckResults = new client.Counter({
+  name: `${PREFIX}health_check_results_total`,
+  help: 'Keys checked by the health checker by result (valid, invalid)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const healthCheckLastRun = new client.Gauge({
+  name: `${PREFIX}health_check_last_run_timestamp_seconds`,
+  help: 'When the health checker last finished a run',
+  registers: [register]
+});
+
+const healthCheckDuration = new client.Gauge({
+  name: `${PREFIX}health_check_duration_seconds`,
+  help: 'Duration of the latest health checker run',
+  registers: [register]
+});
+
+/**
+ * Refresh the per-key usage gauges.  Keys that were removed since the last
+ * scrape disappear from the output.
+ */
+async function collectKeyMetrics() {
+  const keys = await keyManager.getAllKeysStatus();
+  for (const gauge of [keyWindowUsed, keyWindowRemaining, keyDailyUsed, keyDailyRemaining]) {
+    gauge.reset();
+  }
+  for (const key of keys) {
+    const labels = { key: maskSubscriptionId(key.subscriptionId), plan: key.plan, pool: key.pool };
+    keyWindowUsed.set(labels, key.usedInWindow);
+    keyWindowRemaining.set(labels, Math.max(0, (key.rateLimit30s || 0) - key.usedInWindow));
+    keyDailyUsed.set(labels, key.usedDaily);
+    keyDailyRemaining.set(labels, Math.max(0, (key.dailyLimit || 0) - key.usedDaily));
+  }
+}
+
+/**
+ * Set the queue depth gauges from BullMQ's getJobCounts() result.
+ */
+function setQueueJobCounts(counts) {
+  queueJobs.reset();
+  for (const [state, count] of Object.entries(counts)) {
+    queueJobs.set({ state }, count);
+  }
+}
+
+function recordKeyResponse(mode, status) {
+  keyResponses.inc({ mode, status });
+}
+
+function recordCacheLookup(hit) {
+  verifyCacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+}
+
+function observeQueueWait(result, waitedMs, priority = 'normal') {
+  queueWaitSeconds.observe({ result, priority }, Math.max(0, waitedMs) / 1000);
+}
+
+/**
+ * Time a cron job run.  Returns a function to call when the run ends,
+ * with `failed` set when it threw.
+ */
+function startCronJob(job) {
+  const endTimer = cronJobDuration.startTimer({ job });
+  return ({ failed = false } = {}) => {
+    endTimer();
+    if (failed) {
+      cronJobFailures.inc({ job });
+    }
+  };
+}
+
+function recordHealthCheckResult(valid) {
+  healthCheckResults.inc({ result: valid ? 'valid' : 'invalid' });
+}
+
+function recordHealthCheckRun(startedAt, finishedAt = Date.now()) {
+  healthCheckLastRun.set(finishedAt / 1000);
+  healthCheckDuration.set((finishedAt - startedAt) / 1000);
+}
+
+module.exports = {
+  register,
+  collectKeyMetrics,
+  setQueueJobCounts,
+  recordKeyResponse,
+  recordCacheLookup,
+  observeQueueWait,
+  startCronJob,
+  recordHealthCheckResult,
+  recordHealthCheckRun
+};
@@ -37,6 +37,38 @@ function getKeysCollection() {
   return getDb().collection('keys');
 }
 
+function getLeasesCollection() {
+  return getDb().collection('leases');
+}
+
+function getPlansCollection() {
+  return getDb().collection('plans');
+}
+
+function getClientsCollection() {
+  return getDb().collection('clients');
+}
+
+function getUsageCollection() {
+  return getDb().collection('usage');
+}
+
+function getJobsCollection() {
+  return getDb().collection('jobs');
+}
+
+function getJobResultsCollection() {
+  return getDb().collection('jobResults');
+}
+
+function getVerificationCacheCollection() {
+  return getDb().collection('verificationCache');
+}
+
+function getKeyRequestsCollection() {
+  return getDb().collection('keyRequests');
+}
+
 async function disconnectMongo() {
   if (client) {
     await client.close();
@@ -50,5 +82,13 @@ module.exports = {
   connectMongo,
   disconnectMongo,
   getDb,
-  getKeysCollection
+  getKeysCollection,
+  getLeasesCollection,
+  getPlansCollection,
+  getClientsCollection,
+  getUsageCollection,
+  getJobsCollection,
+  getJobResultsCollection,
+  getVerificationCacheCollection,
+  getKeyRequestsCollection
 };
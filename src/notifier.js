@@ -0,0 +1,301 @@
+/**
+ * notifier.js
+ *
+ * Sends webhook notifications about key and capacity events to the targets
+ * configured in NOTIFY_WEBHOOKS_JSON:
+ *
+ *   [{ "url": "https://hooks.slack.com/...", "format": "slack" },
+ *    { "url": "https://ops.example.com/hook", "secret": "...", "events": ["key_banned"] }]
+ *
+ * `format` is "generic" (default) or "slack"; `events` limits a target to
+ * some events (default all).  Generic targets receive the event as JSON and,
+ * when a `secret` is set, an `X-Mailtester-Signature: sha256=<hmac>` header
+ * computed over `<X-Mailtester-Timestamp>.<body>`.  Slack targets receive a
+ * `{ text }` message.
+ *
+ * Events:
+ *   - key_exhausted      a key reached its daily limit
+ *   - key_banned         a key was banned (manually or after an auth failure)
+ *   - key_removed        the health checker deleted a key
+ *   - pool_capacity_low  a pool's remaining daily requests fell below
+ *                        NOTIFY_POOL_CAPACITY_THRESHOLD (a count, or a
+ *                        share of the pool's daily limit such as "10%")
+ *   - queue_wait_high    a queued request waited longer than
+ *                        NOTIFY_QUEUE_WAIT_THRESHOLD_MS
+ *
+ * Each event has a subject (the key, the pool, or the queue); repeats of an
+ * event for the same subject within NOTIFY_DEDUPE_WINDOW_MS are dropped, and
+ * each target receives at most NOTIFY_RATE_LIMIT_PER_MINUTE notifications
+ * per minute.  Failed deliveries (network errors, 429 and 5xx) are retried
+ * with exponential backoff up to NOTIFY_MAX_ATTEMPTS times.  Deduplication
+ * and rate limits are kept in memory, so they apply per instance.
+ *
+ * notify() never throws, so callers fire and forget it.
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+
+const FORMATS = ['generic', 'slack'];
+const EVENTS = {
+  key_exhausted: {
+    severity: 'warning',
+    subject: (details) => details.subscriptionId,
+    describe: (details) => `Key ${details.subscriptionId} reached its daily limit`
+  },
+  key_banned: {
+    severity: 'critical',
+    subject: (details) => details.subscriptionId,
+    describe: (details) => `Key ${details.subscriptionId} was banned: ${details.reason}`
+  },
+  key_removed: {
+    severity: 'critical',
+    subject: (details) => details.subscriptionId,
+    describe: (details) => `Key ${details.subscriptionId} was removed: ${details.reason}`
+  },
+  pool_capacity_low: {
+    severity: 'critical',
+    subject: (details) => details.pool,
+    describe: (details) => `Pool ${details.pool} has ${details.dailyRemaining} requests left today `
+      + `across ${details.usableKeys} of ${details.keys} keys (threshold ${details.threshold})`
+  },
+  queue_wait_high: {
+    severity: 'warning',
+    subject: () => 'queue',
+    describe: (details) => `A queued key request waited ${Math.round(details.waitedMs / 1000)}s `
+      + `(threshold ${Math.round(details.thresholdMs / 1000)}s)`
+  }
+};
+const DEFAULT_DEDUPE_WINDOW_MS = 900_000;
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 10;
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const DEFAULT_POOL_CAPACITY_THRESHOLD = '10%';
+const DEFAULT_QUEUE_WAIT_THRESHOLD_MS = 60_000;
+const DELIVERY_TIMEOUT_MS = 10_000;
+const RATE_LIMIT_WINDOW_MS = 60_000;
+
+let targetsCache = { raw: null, targets: [] };
+// Last time each "<event>|<subject>" was sent (or is being sent).
+const lastSentAt = new Map();
+// Recent delivery times per target URL, for the rate limit.
+const recentDeliveries = new Map();
+
+function resolvePositive(rawValue, fallback) {
+  const numeric = Number(rawValue);
+  if (Number.isFinite(numeric) && numeric > 0) {
+    return Math.floor(numeric);
+  }
+  return fallback;
+}
+
+// Internal helper: resolve NOTIFY_POOL_CAPACITY_THRESHOLD for one pool.  A
+// percentage is taken of the pool's daily limit and rounded up, and is at
+// least 1 so that an exhausted pool always alerts.
+function resolvePoolThreshold(rawValue, dailyLimit) {
+  const text = String(rawValue ?? '').trim();
+  const match = /^(\d+(?:\.\d+)?)%$/.exec(text);
+  if (match && Number(match[1]) > 0 && Number(match[1]) <= 100) {
+    return Math.max(1, Math.ceil((dailyLimit || 0) * Number(match[1]) / 100));
+  }
+  const count = resolvePositive(text, null);
+  return count === null ? resolvePoolThreshold(DEFAULT_POOL_CAPACITY_THRESHOLD, dailyLimit) : count;
+}
+
+function getSettings() {
+  return {
+    dedupeWindowMs: resolvePositive(process.env.NOTIFY_DEDUPE_WINDOW_MS, DEFAULT_DEDUPE_WINDOW_MS),
+    ratePerMinute: resolvePositive(process.env.NOTIFY_RATE_LIMIT_PER_MINUTE, DEFAULT_RATE_LIMIT_PER_MINUTE),
+    maxAttempts: resolvePositive(process.env.NOTIFY_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS),
+    retryBaseMs: resolvePositive(process.env.NOTIFY_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS)
+  };
+}
+
+/**
+ * Parse NOTIFY_WEBHOOKS_JSON.  Invalid entries are logged and skipped; the
+ * result is cached until the variable changes.
+ */
+function getTargets() {
+  const raw = process.env.NOTIFY_WEBHOOKS_JSON || '';
+  if (targetsCache.raw === raw) {
+    return targetsCache.targets;
+  }
+  const targets = [];
+  if (raw.trim()) {
+    let entries = [];
+    try {
+      entries = JSON.parse(raw);
+    } catch (err) {
+      logger.error({ msg: 'Failed to parse NOTIFY_WEBHOOKS_JSON', error: err.message });
+    }
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const url = String(entry?.url || '').trim();
+      const format = String(entry?.format || 'generic').trim().toLowerCase();
+      const events = Array.isArray(entry?.events) ? entry.events.map(String) : null;
+      if (!/^https?:\/\//i.test(url) || !FORMATS.includes(format)
+        || (events && events.some((event) => !EVENTS[event]))) {
+        logger.error({ msg: 'Skipping invalid NOTIFY_WEBHOOKS_JSON entry', url: url || null });
+        continue;
+      }
+      targets.push({ url, format, secret: entry.secret ? String(entry.secret) : null, events });
+    }
+  }
+  targetsCache = { raw, targets };
+  return targets;
+}
+
+function buildRequest(target, notification) {
+  if (target.format === 'slack') {
+    const icon = notification.severity === 'critical' ? ':rotating_light:' : ':warning:';
+    return { body: JSON.stringify({ text: `${icon} [${notification.event}] ${notification.message}` }), headers: {} };
+  }
+  const body = JSON.stringify(notification);
+  const timestamp = String(notification.at);
+  const headers = { 'X-Mailtester-Event': notification.event, 'X-Mailtester-Timestamp': timestamp };
+  if (target.secret) {
+    const signature = crypto.createHmac('sha256', target.secret).update(`${timestamp}.${body}`).digest('hex');
+    headers['X-Mailtester-Signature'] = `sha256=${signature}`;
+  }
+  return { body, headers };
+}
+
+// Internal helper: take a slot in the target's per-minute budget.
+function takeRateLimitSlot(url, limit, now) {
+  const recent = (recentDeliveries.get(url) || []).filter((at) => now - at < RATE_LIMIT_WINDOW_MS);
+  if (recent.length >= limit) {
+    recentDeliveries.set(url, recent);
+    return false;
+  }
+  recent.push(now);
+  recentDeliveries.set(url, recent);
+  return true;
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms).unref());
+}
+
+async function deliver(target, notification, { maxAttempts, retryBaseMs }) {
+  const { body, headers } = buildRequest(target, notification);
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    try {
+      await axios.post(target.url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout: DELIVERY_TIMEOUT_MS
+      });
+      return 'sent';
+    } catch (err) {
+      if (attempt === maxAttempts || !isRetryable(err)) {
+        logger.error({
+          msg: 'Failed to deliver notification',
+          event: notification.event,
+          url: target.url,
+          attempts: attempt,
+          error: err.message
+        });
+        return 'failed';
+      }
+      await delay(retryBaseMs * 2 ** (attempt - 1));
+    }
+  }
+  return 'failed';
+}
+
+/**
+ * Send an event to every target subscribed to it, unless the same event
+ * was sent for the same subject within the dedupe window.
+ *
+ * @param {string} event one of the EVENTS names
+ * @param {object} details event fields (see EVENTS for what each uses)
+ * @returns {Promise<string[]>} per-target results ("sent", "failed" or
+ *   "rate_limited"); empty when nothing was sent
+ */
+async function notify(event, details = {}) {
+  try {
+    const definition = EVENTS[event];
+    if (!definition) {
+      throw new Error(`Unknown notification event "${event}"`);
+    }
+    const targets = getTargets().filter((target) => !target.events || target.events.includes(event));
+    if (!targets.length) {
+      return [];
+    }
+    const settings = getSettings();
+    const now = Date.now();
+    const subject = definition.subject(details);
+    const dedupeKey = `${event}|${subject}`;
+    for (const [key, sentAt] of lastSentAt) {
+      if (now - sentAt >= settings.dedupeWindowMs) {
+        lastSentAt.delete(key);
+      }
+    }
+    if (lastSentAt.has(dedupeKey)) {
+      return [];
+    }
+    // Claim the event while it is delivered so concurrent repeats are
+    // deduplicated; the claim is dropped again if no target received it.
+    lastSentAt.set(dedupeKey, now);
+    const notification = {
+      event,
+      severity: definition.severity,
+      subject,
+      message: definition.describe(details),
+      details,
+      at: now
+    };
+    logger.info({ msg: 'Sending notification', event, subject, targets: targets.length });
+    const results = await Promise.all(targets.map((target) => {
+      if (!takeRateLimitSlot(target.url, settings.ratePerMinute, now)) {
+        logger.warn({ msg: 'Notification dropped by rate limit', event, subject, url: target.url });
+        return 'rate_limited';
+      }
+      return deliver(target, notification, settings);
+    }));
+    if (!results.includes('sent') && lastSentAt.get(dedupeKey) === now) {
+      lastSentAt.delete(dedupeKey);
+    }
+    return results;
+  } catch (err) {
+    logger.error({ msg: 'Error sending notification', event, error: err.message });
+    return [];
+  }
+}
+
+/**
+ * Notify about every pool whose remaining daily requests are below
+ * NOTIFY_POOL_CAPACITY_THRESHOLD (by default 10% of the pool's daily
+ * limit).  Run periodically by the scheduler.
+ *
+ * @param {Array<{pool: string, keys: number, usableKeys: number, dailyRemaining: number, dailyLimit: number}>} pools
+ *   per-pool capacity (see keyManager.getCapacity())
+ */
+async function checkPoolCapacity(pools) {
+  const low = pools
+    .map((pool) => ({ ...pool, threshold: resolvePoolThreshold(process.env.NOTIFY_POOL_CAPACITY_THRESHOLD, pool.dailyLimit) }))
+    .filter((pool) => pool.dailyRemaining < pool.threshold);
+  await Promise.all(low.map((pool) => notify('pool_capacity_low', pool)));
+  return low.length;
+}
+
+/**
+ * Notify when a queued request waited longer than
+ * NOTIFY_QUEUE_WAIT_THRESHOLD_MS.
+ */
+function checkQueueWait(waitedMs, details = {}) {
+  const thresholdMs = resolvePositive(process.env.NOTIFY_QUEUE_WAIT_THRESHOLD_MS, DEFAULT_QUEUE_WAIT_THRESHOLD_MS);
+  if (waitedMs <= thresholdMs) {
+    return Promise.resolve([]);
+  }
+  return notify('queue_wait_high', { ...details, waitedMs, thresholdMs });
+}
+
+module.exports = {
+  notify,
+  checkPoolCapacity,
+  checkQueueWait
+};
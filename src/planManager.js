@@ -0,0 +1,167 @@
+/**
+ * planManager.js
+ *
+ * Catalogue of MailTester plans (collection: `plans`).  Each plan document
+ * holds the limits applied to keys registered on it:
+ *
+ *   { name, rateLimit30s, dailyLimit, avgRequestIntervalMs }
+ *
+ * The built-in `pro` and `ultimate` plans are seeded when missing (their
+ * spacing honours MAILTESTER_PRO_INTERVAL_MS / MAILTESTER_ULTIMATE_INTERVAL_MS)
+ * and can be edited like any other plan afterwards.  The variables are only
+ * read when seeding: changing them later leaves a stored plan alone, so
+ * edits made through the API survive restarts.  This module only persists
+ * plans; keyManager applies plan changes to the keys using them.
+ */
+const mongoClient = require('./mongoClient');
+const logger = require('./logger');
+
+const WINDOW_MS = 30_000;
+const PLAN_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+function resolveInterval(rawValue, fallback) {
+  const numeric = Number(rawValue);
+  if (Number.isFinite(numeric) && numeric > 0) {
+    return Math.floor(numeric);
+  }
+  return fallback;
+}
+
+function getBuiltInPlans() {
+  return [
+    {
+      name: 'pro',
+      rateLimit30s: 35,
+      dailyLimit: 100_000,
+      avgRequestIntervalMs: resolveInterval(process.env.MAILTESTER_PRO_INTERVAL_MS, 860)
+    },
+    {
+      name: 'ultimate',
+      rateLimit30s: 170,
+      dailyLimit: 500_000,
+      avgRequestIntervalMs: resolveInterval(process.env.MAILTESTER_ULTIMATE_INTERVAL_MS, 170)
+    }
+  ];
+}
+
+function normalizePlanName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate a plan definition.  `avgRequestIntervalMs` is optional and
+ * defaults to an even spread of `rateLimit30s` over the 30-second window.
+ *
+ * @returns {{plan: object|null, error: string|null}}
+ */
+function validatePlan(input = {}) {
+  const name = normalizePlanName(input.name);
+  if (!PLAN_NAME_PATTERN.test(name)) {
+    return { plan: null, error: 'name must be 1-64 lowercase letters, digits, "-" or "_"' };
+  }
+  const rateLimit30s = Number(input.rateLimit30s);
+  if (!isPositiveInteger(rateLimit30s)) {
+    return { plan: null, error: 'rateLimit30s must be a positive integer' };
+  }
+  const dailyLimit = Number(input.dailyLimit);
+  if (!isPositiveInteger(dailyLimit)) {
+    return { plan: null, error: 'dailyLimit must be a positive integer' };
+  }
+  let avgRequestIntervalMs = Math.ceil(WINDOW_MS / rateLimit30s);
+  if (input.avgRequestIntervalMs !== undefined && input.avgRequestIntervalMs !== null) {
+    avgRequestIntervalMs = Number(input.avgRequestIntervalMs);
+    if (!isPositiveInteger(avgRequestIntervalMs)) {
+      return { plan: null, error: 'avgRequestIntervalMs must be a positive integer' };
+    }
+  }
+  return { plan: { name, rateLimit30s, dailyLimit, avgRequestIntervalMs }, error: null };
+}
+
+async function getPlansCollection() {
+  await mongoClient.connectMongo();
+  return mongoClient.getPlansCollection();
+}
+
+function stripId(doc) {
+  if (!doc) {
+    return null;
+  }
+  const { _id, ...rest } = doc;
+  return rest;
+}
+
+/**
+ * Insert the built-in plans that are not in the catalogue yet.  Existing
+ * plan documents are never overwritten.
+ */
+async function ensureBuiltInPlans() {
+  const collection = await getPlansCollection();
+  for (const plan of getBuiltInPlans()) {
+    const existing = await collection.findOne({ name: plan.name });
+    if (!existing) {
+      await collection.insertOne({ ...plan });
+      logger.info({ msg: 'Seeded built-in plan', plan: plan.name });
+    }
+  }
+}
+
+async function listPlans() {
+  const collection = await getPlansCollection();
+  const docs = await collection.find().toArray();
+  return docs.map(stripId).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getPlan(name) {
+  const collection = await getPlansCollection();
+  return stripId(await collection.findOne({ name: normalizePlanName(name) }));
+}
+
+/**
+ * Create or replace a plan.  The input must already be validated.
+ *
+ * @returns {Promise<{plan: object, created: boolean}>}
+ */
+async function savePlan(plan) {
+  const collection = await getPlansCollection();
+  const existing = await collection.findOne({ name: plan.name });
+  if (!existing) {
+    await collection.insertOne({ ...plan });
+    logger.info({ msg: 'Created plan', plan: plan.name });
+    return { plan, created: true };
+  }
+  const { name, ...limits } = plan;
+  await collection.updateOne({ name }, { $set: limits });
+  logger.info({ msg: 'Updated plan', plan: name });
+  return { plan, created: false };
+}
+
+/**
+ * Remove a plan.  Callers must make sure no key still uses it.
+ *
+ * @returns {Promise<boolean>} whether a plan was removed
+ */
+async function removePlan(name) {
+  const collection = await getPlansCollection();
+  const normalized = normalizePlanName(name);
+  const existing = await collection.findOne({ name: normalized });
+  if (!existing) {
+    return false;
+  }
+  await collection.deleteOne({ name: normalized });
+  logger.info({ msg: 'Deleted plan', plan: normalized });
+  return true;
+}
+
+module.exports = {
+  normalizePlanName,
+  validatePlan,
+  ensureBuiltInPlans,
+  listPlans,
+  getPlan,
+  savePlan,
+  removePlan
+};
@@ -0,0 +1,220 @@
+/**
+ * queueFairness.js
+ *
+ * BullMQ priorities for the key request queue (`/key/available/queued`).
+ * Each request names a lane, `interactive`, `normal` (default) or `bulk`,
+ * and every lane is served before the next one.  Within a lane requests are
+ * ordered by weighted fair queueing across callers: each request gets a
+ * virtual finish time of
+ *
+ *   max(laneVirtualTime, lastFinish[caller]) + 1 / weight
+ *
+ * and lower finish times are served first.  The lane's virtual time moves
+ * up to the virtual start of each request a worker picks up (see
+ * markServed()).  A caller with 1,000 requests queued therefore takes turns
+ * with a caller that just arrived instead of going first, a caller with
+ * weight 2 gets two turns for every one of a caller with weight 1, and a
+ * request already queued is never overtaken for good: newcomers of a caller
+ * that keeps arriving get ever later finish times.
+ *
+ * Callers are told apart by KEY_QUEUE_FAIRNESS: `client` (default, the
+ * client ID), `pool` (the requested pool, `*` for any) or `none` (plain
+ * first-come-first-served within a lane).  KEY_QUEUE_WEIGHTS_JSON maps
+ * client IDs or pool names to weights (default 1):
+ *
+ *   { "sales-app": 4, "crawler": 1 }
+ *
+ * The virtual times live in one Redis hash per lane
+ * (`<KEY_QUEUE_FAIRNESS_PREFIX>:<lane>`) updated by Lua scripts, so every
+ * instance orders its requests against the same clock.  The hash also
+ * counts the lane's outstanding requests and is deleted when the last one
+ * is released, which starts the next busy period at virtual time 0.  A
+ * BullMQ priority band holds LANE_SPAN virtual time units; requests past
+ * the band's end share its last priority and are served first come, first
+ * served behind the rest.
+ */
+const { createRedisConnection } = require('./redis');
+const logger = require('./logger');
+
+const LANES = ['interactive', 'normal', 'bulk'];
+const DEFAULT_LANE = 'normal';
+const FAIRNESS_MODES = ['client', 'pool', 'none'];
+const DEFAULT_FAIRNESS = 'client';
+const DEFAULT_PREFIX = 'mailtester:queue-fairness';
+// Priorities each lane spans; BullMQ allows up to 2^21.
+const LANE_SPAN = 100_000;
+// Lane hashes left behind by an instance that stopped without releasing
+// its requests expire after a day without admissions.
+const LANE_TTL_MS = 86_400_000;
+
+// KEYS[1] = lane hash.  ARGV = caller field, cost (1 / weight), ttlMs
+// Returns the request's virtual { start, finish } as strings.
+const ADMIT_SCRIPT = `
+local virtualTime = tonumber(redis.call('HGET', KEYS[1], 'virtualTime')) or 0
+local lastFinish = tonumber(redis.call('HGET', KEYS[1], ARGV[1])) or 0
+local start = math.max(virtualTime, lastFinish)
+local finish = start + tonumber(ARGV[2])
+redis.call('HSET', KEYS[1], ARGV[1], tostring(finish))
+redis.call('HINCRBY', KEYS[1], 'outstanding', 1)
+redis.call('PEXPIRE', KEYS[1], ARGV[3])
+return { tostring(start), tostring(finish) }
+`;
+
+// KEYS[1] = lane hash.  ARGV = virtual start of the request picked up
+const SERVED_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  local virtualTime = tonumber(redis.call('HGET', KEYS[1], 'virtualTime')) or 0
+  if tonumber(ARGV[1]) > virtualTime then
+    redis.call('HSET', KEYS[1], 'virtualTime', ARGV[1])
+  end
+end
+return 1
+`;
+
+// KEYS[1] = lane hash
+const RELEASE_SCRIPT = `
+if redis.call('HINCRBY', KEYS[1], 'outstanding', -1) <= 0 then
+  redis.call('DEL', KEYS[1])
+end
+return 1
+`;
+
+let weightsCache = { raw: null, weights: new Map() };
+let connection = null;
+
+function getConnection() {
+  if (!connection) {
+    connection = createRedisConnection();
+    connection.on('error', (err) => {
+      logger.error({ msg: 'Redis queue fairness connection error', error: err.message });
+    });
+    connection.defineCommand('mtFairAdmit', { numberOfKeys: 1, lua: ADMIT_SCRIPT });
+    connection.defineCommand('mtFairServed', { numberOfKeys: 1, lua: SERVED_SCRIPT });
+    connection.defineCommand('mtFairRelease', { numberOfKeys: 1, lua: RELEASE_SCRIPT });
+  }
+  return connection;
+}
+
+function laneKey(lane) {
+  return `${process.env.KEY_QUEUE_FAIRNESS_PREFIX || DEFAULT_PREFIX}:${lane}`;
+}
+
+// Reads the optional `?priority=` lane; returns false when it is invalid.
+function parseLane(rawValue) {
+  if (rawValue === undefined || rawValue === '') {
+    return DEFAULT_LANE;
+  }
+  const lane = String(rawValue).trim().toLowerCase();
+  return LANES.includes(lane) ? lane : false;
+}
+
+function getFairnessMode() {
+  const mode = String(process.env.KEY_QUEUE_FAIRNESS || DEFAULT_FAIRNESS).trim().toLowerCase();
+  return FAIRNESS_MODES.includes(mode) ? mode : DEFAULT_FAIRNESS;
+}
+
+/**
+ * Parse KEY_QUEUE_WEIGHTS_JSON.  Entries whose weight is not a positive
+ * number are logged and skipped; the result is cached until the variable
+ * changes.
+ */
+function getWeights() {
+  const raw = process.env.KEY_QUEUE_WEIGHTS_JSON || '';
+  if (weightsCache.raw === raw) {
+    return weightsCache.weights;
+  }
+  const weights = new Map();
+  if (raw.trim()) {
+    let entries = {};
+    try {
+      entries = JSON.parse(raw);
+    } catch (err) {
+      logger.error({ msg: 'Failed to parse KEY_QUEUE_WEIGHTS_JSON', error: err.message });
+    }
+    for (const [name, weight] of Object.entries(entries && typeof entries === 'object' ? entries : {})) {
+      if (!Number.isFinite(weight) || weight <= 0) {
+        logger.error({ msg: 'Skipping invalid KEY_QUEUE_WEIGHTS_JSON entry', name });
+        continue;
+      }
+      weights.set(String(name).trim().toLowerCase(), weight);
+    }
+  }
+  weightsCache = { raw, weights };
+  return weights;
+}
+
+// The caller a request is queued for, or null when fairness is off.
+function getCaller({ clientId, pool }) {
+  const mode = getFairnessMode();
+  if (mode === 'client') {
+    return `client:${clientId}`;
+  }
+  if (mode === 'pool') {
+    return `pool:${Array.isArray(pool) ? pool.join(',') : pool || '*'}`;
+  }
+  return null;
+}
+
+/**
+ * Work out the BullMQ priority of a queued request and count it as
+ * outstanding in its lane.  Store `virtualStart` with the job and pass it to
+ * markServed() when a worker picks the job up; call `release()` once the
+ * request has finished (granted, timed out, failed or removed).
+ *
+ * @param {{lane?: string, clientId: string, pool?: string|string[]}} request
+ * @returns {Promise<{priority: number, virtualStart: number|null, release: Function}>}
+ */
+async function admit({ lane = DEFAULT_LANE, clientId, pool }) {
+  // BullMQ serves lower numbers first; 0 would mean "no priority".
+  const base = 1 + LANES.indexOf(lane) * LANE_SPAN;
+  const caller = getCaller({ clientId, pool });
+  if (!caller) {
+    return { priority: base, virtualStart: null, release: async () => {} };
+  }
+  const weight = getWeights().get(caller.slice(caller.indexOf(':') + 1)) || 1;
+  const [start, finish] = (await getConnection().mtFairAdmit(laneKey(lane), `finish:${caller}`, 1 / weight, LANE_TTL_MS))
+    .map(Number);
+  let released = false;
+  return {
+    priority: base + Math.min(Math.ceil(finish), LANE_SPAN) - 1,
+    virtualStart: start,
+    async release() {
+      if (released) {
+        return;
+      }
+      released = true;
+      try {
+        await getConnection().mtFairRelease(laneKey(lane));
+      } catch (err) {
+        logger.error({ msg: 'Failed to release queue fairness slot', lane, caller, error: err.message });
+      }
+    }
+  };
+}
+
+/**
+ * Move the lane's virtual time up to the virtual start of a request a
+ * worker just picked up.  Requests admitted without fairness are ignored.
+ */
+async function markServed({ lane = DEFAULT_LANE, virtualStart }) {
+  if (virtualStart === null || virtualStart === undefined || !LANES.includes(lane)) {
+    return;
+  }
+  await getConnection().mtFairServed(laneKey(lane), virtualStart);
+}
+
+async function close() {
+  if (connection) {
+    const current = connection;
+    connection = null;
+    await current.quit();
+  }
+}
+
+module.exports = {
+  LANES,
+  parseLane,
+  admit,
+  markServed,
+  close
+};
@@ -0,0 +1,84 @@
+/**
+ * queueStats.js
+ *
+ * Rolling record of how long key queue requests waited, for
+ * `GET /queue/stats`.  The queue worker (see keyQueue.js) records every
+ * request it finishes as `granted`, `timeout` or `abandoned`; samples from
+ * the last KEY_QUEUE_STATS_WINDOW_MS (default 5 minutes, at most
+ * MAX_SAMPLES) are kept.  Percentiles cover granted requests, so they tell
+ * how long a caller waits for a key.  Samples are kept in memory, so the
+ * figures describe the requests this instance's worker served.
+ */
+const RESULTS = ['granted', 'timeout', 'abandoned'];
+const PERCENTILES = [50, 90, 95, 99];
+const DEFAULT_WINDOW_MS = 300_000;
+const MAX_SAMPLES = 10_000;
+
+// Samples in the order they were recorded: { at, result, waitedMs }.
+const samples = [];
+
+function getWindowMs() {
+  const numeric = Number(process.env.KEY_QUEUE_STATS_WINDOW_MS);
+  return Number.isFinite(numeric) && numeric > 0 ? Math.floor(numeric) : DEFAULT_WINDOW_MS;
+}
+
+// Internal helper: drop samples that left the window or exceed the cap.
+function pruneSamples(now) {
+  const since = now - getWindowMs();
+  let stale = 0;
+  while (stale < samples.length && samples[stale].at <= since) {
+    stale += 1;
+  }
+  samples.splice(0, Math.max(stale, samples.length - MAX_SAMPLES));
+}
+
+/**
+ * Record how long a finished queue request waited.
+ *
+ * @param {'granted'|'timeout'|'abandoned'} result
+ * @param {number} waitedMs
+ */
+function recordWait(result, waitedMs, at = Date.now()) {
+  samples.push({ at, result, waitedMs: Math.max(0, waitedMs) });
+  pruneSamples(at);
+}
+
+// Nearest-rank percentile of sorted values.
+function percentile(sorted, rank) {
+  if (!sorted.length) {
+    return null;
+  }
+  return sorted[Math.max(0, Math.ceil((rank / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Summarise the waits recorded within the window.
+ *
+ * @returns {{windowMs: number, requests: object, p50Ms: number|null, p90Ms: number|null,
+ *   p95Ms: number|null, p99Ms: number|null, maxMs: number|null}}
+ *   `requests` counts the samples by result; percentiles are null without
+ *   granted requests
+ */
+function getWaitStats(now = Date.now()) {
+  pruneSamples(now);
+  const requests = Object.fromEntries(RESULTS.map((result) => [result, 0]));
+  const granted = [];
+  for (const sample of samples) {
+    requests[sample.result] = (requests[sample.result] || 0) + 1;
+    if (sample.result === 'granted') {
+      granted.push(sample.waitedMs);
+    }
+  }
+  granted.sort((a, b) => a - b);
+  const stats = { windowMs: getWindowMs(), requests };
+  for (const rank of PERCENTILES) {
+    stats[`p${rank}Ms`] = percentile(granted, rank);
+  }
+  stats.maxMs = granted.length ? granted[granted.length - 1] : null;
+  return stats;
+}
+
+module.exports = {
+  recordWait,
+  getWaitStats
+};
@@ -0,0 +1,398 @@
+/**
+ * redisKeyStore.js
+ *
+ * Redis-backed hot path for key usage, enabled with KEY_STORE_BACKEND=redis.
+ * Each key's limits and `lastUsed` live in a Redis hash
+ * (`<prefix>:key:<subscriptionId>`), its 30-second sliding log in a sorted
+ * set (`<prefix>:log:<subscriptionId>`, scored by slot time) and its hourly
+ * daily buckets in a hash (`<prefix>:daily:<subscriptionId>`); see
+ * slidingWindow.js for the window rules.  Every reservation runs as a single
+ * Lua script, so concurrent grants across service instances never lose a
+ * compare-and-set race.  MongoDB stays the system of record for key metadata
+ * and receives the usage through a periodic write-behind flush: keys touched
+ * by a script are added to the `<prefix>:dirty` set, which takeDirty()
+ * drains.
+ *
+ * Limits (`rateLimit30s`, `dailyLimit`, `avgRequestIntervalMs`) are copied
+ * from MongoDB by syncKeys(); usage is only seeded from MongoDB when a hash
+ * does not exist yet, after which Redis is authoritative.
+ */
+const { createRedisConnection } = require('./redis');
+const logger = require('./logger');
+
+const DEFAULT_PREFIX = 'mailtester:keys';
+const LIMIT_FIELDS = ['rateLimit30s', 'dailyLimit', 'avgRequestIntervalMs'];
+
+// Shared by the reservation scripts.  usage() prunes a key's log and daily
+// buckets and returns the live counts; record() charges one slot at `at`.
+const USAGE_HELPERS = `
+local function usage(logKey, dailyKey, now, windowMs, dayMs, bucketMs)
+  redis.call('ZREMRANGEBYSCORE', logKey, '-inf', now - windowMs)
+  local windowCount = redis.call('ZCARD', logKey)
+  local dayCount = 0
+  local buckets = redis.call('HGETALL', dailyKey)
+  for j = 1, #buckets, 2 do
+    if tonumber(buckets[j]) + bucketMs <= now - dayMs then
+      redis.call('HDEL', dailyKey, buckets[j])
+    else
+      dayCount = dayCount + (tonumber(buckets[j + 1]) or 0)
+    end
+  end
+  return windowCount, dayCount
+end
+local function record(hashKey, logKey, dailyKey, at, bucketMs)
+  local seq = redis.call('HINCRBY', hashKey, 'logSeq', 1)
+  redis.call('ZADD', logKey, at, string.format('%.0f:%d', at, seq))
+  redis.call('HINCRBY', dailyKey, string.format('%.0f', at - at % bucketMs), 1)
+end
+local function expire(logKey, dailyKey, lastAt, now, windowMs, dayMs, bucketMs)
+  redis.call('PEXPIRE', logKey, lastAt - now + windowMs)
+  redis.call('PEXPIRE', dailyKey, dayMs + 2 * bucketMs)
+end
+`;
+
+// KEYS[1] = dirty set, then (key hash, log, daily buckets) per key in
+// preference order.  ARGV = now, windowMs, dayMs, bucketMs
+// Reserves one request on the first key with window, daily and spacing
+// headroom; returns { subscriptionId, previousLastUsed, dayCount } or nil.
+const RESERVE_ONE_SCRIPT = `${USAGE_HELPERS}
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local dayMs = tonumber(ARGV[3])
+local bucketMs = tonumber(ARGV[4])
+for i = 2, #KEYS, 3 do
+  local f = redis.call('HMGET', KEYS[i], 'subscriptionId', 'lastUsed', 'rateLimit30s', 'dailyLimit', 'avgRequestIntervalMs')
+  if f[1] then
+    local lastUsed = tonumber(f[2]) or 0
+    local rateLimit = tonumber(f[3]) or 0
+    local dailyLimit = tonumber(f[4]) or 0
+    local interval = tonumber(f[5]) or 0
+    local windowCount, dayCount = usage(KEYS[i + 1], KEYS[i + 2], now, windowMs, dayMs, bucketMs)
+    if windowCount < rateLimit and dayCount < dailyLimit and (interval <= 0 or now - lastUsed >= interval) then
+      record(KEYS[i], KEYS[i + 1], KEYS[i + 2], now, bucketMs)
+      redis.call('HSET', KEYS[i], 'lastUsed', now)
+      expire(KEYS[i + 1], KEYS[i + 2], now, now, windowMs, dayMs, bucketMs)
+      redis.call('SADD', KEYS[1], f[1])
+      return { f[1], lastUsed, dayCount + 1 }
+    end
+  end
+end
+return nil
+`;
+
+// KEYS[1] = dirty set, KEYS[2] = key hash, KEYS[3] = log, KEYS[4] = daily buckets
+// ARGV = now, windowMs, dayMs, bucketMs, requested
+// Reserves up to `requested` spaced slots on one key; returns
+// { granted, firstAt, interval, previousLastUsed } or nil.
+const RESERVE_MANY_SCRIPT = `${USAGE_HELPERS}
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local dayMs = tonumber(ARGV[3])
+local bucketMs = tonumber(ARGV[4])
+local requested = tonumber(ARGV[5])
+local f = redis.call('HMGET', KEYS[2], 'subscriptionId', 'lastUsed', 'rateLimit30s', 'dailyLimit', 'avgRequestIntervalMs')
+if not f[1] then
+  return nil
+end
+local lastUsed = tonumber(f[2]) or 0
+local rateLimit = tonumber(f[3]) or 0
+local dailyLimit = tonumber(f[4]) or 0
+local interval = tonumber(f[5]) or 0
+local windowCount, dayCount = usage(KEYS[3], KEYS[4], now, windowMs, dayMs, bucketMs)
+local granted = math.min(requested, rateLimit - windowCount, dailyLimit - dayCount)
+if granted <= 0 then
+  return nil
+end
+local firstAt = math.max(now, lastUsed + interval)
+local lastAt = firstAt + (granted - 1) * interval
+for j = 0, granted - 1 do
+  record(KEYS[2], KEYS[3], KEYS[4], firstAt + j * interval, bucketMs)
+end
+redis.call('HSET', KEYS[2], 'lastUsed', lastAt)
+expire(KEYS[3], KEYS[4], lastAt, now, windowMs, dayMs, bucketMs)
+redis.call('SADD', KEYS[1], f[1])
+return { granted, firstAt, interval, lastUsed }
+`;
+
+// KEYS[1] = dirty set, KEYS[2] = key hash, KEYS[3] = log, KEYS[4] = daily buckets
+// ARGV = slotTime, previousLastUsed, bucketMs
+// Refunds the slot a lease was charged at; returns 1 if anything was refunded.
+const REFUND_SCRIPT = `
+local f = redis.call('HMGET', KEYS[2], 'subscriptionId', 'lastUsed')
+if not f[1] then
+  return 0
+end
+local slotTime = tonumber(ARGV[1])
+local bucketMs = tonumber(ARGV[3])
+local refunded = 0
+local members = redis.call('ZRANGEBYSCORE', KEYS[3], slotTime, slotTime, 'LIMIT', 0, 1)
+if #members > 0 then
+  redis.call('ZREM', KEYS[3], members[1])
+  refunded = 1
+end
+local bucket = string.format('%.0f', slotTime - slotTime % bucketMs)
+if (tonumber(redis.call('HGET', KEYS[4], bucket)) or 0) > 0 then
+  if redis.call('HINCRBY', KEYS[4], bucket, -1) <= 0 then
+    redis.call('HDEL', KEYS[4], bucket)
+  end
+  refunded = 1
+end
+if refunded == 1 then
+  if tonumber(f[2]) == slotTime and ARGV[2] ~= '' then
+    redis.call('HSET', KEYS[2], 'lastUsed', ARGV[2])
+  end
+  redis.call('SADD', KEYS[1], f[1])
+end
+return refunded
+`;
+
+// KEYS[1] = dirty set; atomically returns and clears its members.
+const TAKE_DIRTY_SCRIPT = `
+local members = redis.call('SMEMBERS', KEYS[1])
+redis.call('DEL', KEYS[1])
+return members
+`;
+
+let connection = null;
+
+function getPrefix() {
+  return process.env.KEY_STORE_PREFIX || DEFAULT_PREFIX;
+}
+
+function hashKey(subscriptionId) {
+  return `${getPrefix()}:key:${subscriptionId}`;
+}
+
+function logKey(subscriptionId) {
+  return `${getPrefix()}:log:${subscriptionId}`;
+}
+
+function dailyKey(subscriptionId) {
+  return `${getPrefix()}:daily:${subscriptionId}`;
+}
+
+function dirtyKey() {
+  return `${getPrefix()}:dirty`;
+}
+
+function getConnection() {
+  if (!connection) {
+    connection = createRedisConnection();
+    connection.on('error', (err) => {
+      logger.error({ msg: 'Redis key store connection error', error: err.message });
+    });
+    connection.defineCommand('mtReserveOne', { lua: RESERVE_ONE_SCRIPT });
+    connection.defineCommand('mtReserveMany', { numberOfKeys: 4, lua: RESERVE_MANY_SCRIPT });
+    connection.defineCommand('mtRefund', { numberOfKeys: 4, lua: REFUND_SCRIPT });
+    connection.defineCommand('mtTakeDirty', { numberOfKeys: 1, lua: TAKE_DIRTY_SCRIPT });
+  }
+  return connection;
+}
+
+function toNumber(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : 0;
+}
+
+/**
+ * Copy limits from MongoDB documents into Redis and seed `lastUsed`, the
+ * sliding log and the daily buckets for keys that have no hash yet.
+ * Existing usage is left alone.
+ */
+async function syncKeys(docs) {
+  if (!docs.length) {
+    return;
+  }
+  const redis = getConnection();
+  const pipeline = redis.pipeline();
+  for (const doc of docs) {
+    const key = hashKey(doc.subscriptionId);
+    pipeline.hset(key, 'subscriptionId', doc.subscriptionId, ...LIMIT_FIELDS.flatMap((field) => [field, toNumber(doc[field])]));
+    pipeline.hsetnx(key, 'lastUsed', toNumber(doc.lastUsed));
+  }
+  const results = await pipeline.exec();
+  const seed = redis.pipeline();
+  let seeding = false;
+  docs.forEach((doc, index) => {
+    const [err, created] = results[index * 2 + 1];
+    if (err || Number(created) !== 1) {
+      return;
+    }
+    const windowLog = Array.isArray(doc.windowLog) ? doc.windowLog : [];
+    windowLog.forEach((timestamp, position) => {
+      seed.zadd(logKey(doc.subscriptionId), timestamp, `${timestamp}:seed${position}`);
+      seeding = true;
+    });
+    for (const [bucketStart, count] of Object.entries(doc.dailyBuckets || {})) {
+      seed.hincrby(dailyKey(doc.subscriptionId), bucketStart, toNumber(count));
+      seeding = true;
+    }
+  });
+  if (seeding) {
+    await seed.exec();
+  }
+}
+
+/**
+ * Drop the Redis state of a deleted key.
+ */
+async function removeKey(subscriptionId) {
+  const redis = getConnection();
+  await redis.del(hashKey(subscriptionId), logKey(subscriptionId), dailyKey(subscriptionId));
+  await redis.srem(dirtyKey(), subscriptionId);
+}
+
+/**
+ * Clear a key's sliding log and daily buckets; `lastUsed` is kept.
+ */
+async function resetUsage(subscriptionId) {
+  await getConnection().del(logKey(subscriptionId), dailyKey(subscriptionId));
+}
+
+/**
+ * Read the live usage of the given keys.  Log entries and buckets that have
+ * slid out of their window may still be included; callers prune them.
+ *
+ * @returns {Promise<Map<string, {windowLog: number[], dailyBuckets: object, lastUsed: number}>>}
+ */
+async function readUsage(subscriptionIds) {
+  const usage = new Map();
+  if (!subscriptionIds.length) {
+    return usage;
+  }
+  const pipeline = getConnection().pipeline();
+  for (const subscriptionId of subscriptionIds) {
+    pipeline.hget(hashKey(subscriptionId), 'lastUsed');
+    pipeline.zrange(logKey(subscriptionId), 0, -1, 'WITHSCORES');
+    pipeline.hgetall(dailyKey(subscriptionId));
+  }
+  const results = await pipeline.exec();
+  subscriptionIds.forEach((subscriptionId, index) => {
+    const [[lastUsedErr, lastUsed], [logErr, entries], [dailyErr, buckets]] = results.slice(index * 3, index * 3 + 3);
+    if (lastUsedErr || logErr || dailyErr || lastUsed === null) {
+      return;
+    }
+    const windowLog = [];
+    for (let position = 1; position < entries.length; position += 2) {
+      windowLog.push(toNumber(entries[position]));
+    }
+    const dailyBuckets = {};
+    for (const [bucketStart, count] of Object.entries(buckets || {})) {
+      dailyBuckets[bucketStart] = toNumber(count);
+    }
+    usage.set(subscriptionId, { windowLog, dailyBuckets, lastUsed: toNumber(lastUsed) });
+  });
+  return usage;
+}
+
+/**
+ * Atomically reserve one request on the first eligible key, trying keys in
+ * the given order.
+ *
+ * @returns {Promise<null|{subscriptionId: string, previousLastUsed: number, dayCount: number, lastUsed: number}>}
+ */
+async function reserveOne(subscriptionIds, { now, windowMs, dayMs, bucketMs }) {
+  if (!subscriptionIds.length) {
+    return null;
+  }
+  const keys = [
+    dirtyKey(),
+    ...subscriptionIds.flatMap((subscriptionId) => [hashKey(subscriptionId), logKey(subscriptionId), dailyKey(subscriptionId)])
+  ];
+  const result = await getConnection().mtReserveOne(keys.length, ...keys, now, windowMs, dayMs, bucketMs);
+  if (!result) {
+    return null;
+  }
+  const [subscriptionId, previousLastUsed, dayCount] = result;
+  return {
+    subscriptionId,
+    previousLastUsed: toNumber(previousLastUsed),
+    dayCount: toNumber(dayCount),
+    lastUsed: now
+  };
+}
+
+/**
+ * Atomically reserve up to `requested` spaced slots on one key.
+ *
+ * @returns {Promise<null|{times: number[], previousLastUsed: number}>}
+ */
+async function reserveMany(subscriptionId, requested, { now, windowMs, dayMs, bucketMs }) {
+  const result = await getConnection().mtReserveMany(
+    dirtyKey(),
+    hashKey(subscriptionId),
+    logKey(subscriptionId),
+    dailyKey(subscriptionId),
+    now,
+    windowMs,
+    dayMs,
+    bucketMs,
+    requested
+  );
+  if (!result) {
+    return null;
+  }
+  const [granted, firstAt, interval, previousLastUsed] = result.map(toNumber);
+  const times = [];
+  for (let index = 0; index < granted; index += 1) {
+    times.push(firstAt + index * interval);
+  }
+  return { times, previousLastUsed };
+}
+
+/**
+ * Refund the slot charged by a lease.
+ *
+ * @returns {Promise<boolean>} whether anything was refunded
+ */
+async function refund(lease, { bucketMs }) {
+  const slotTime = typeof lease.notBefore === 'number' ? lease.notBefore : lease.grantedAt;
+  const previousLastUsed = typeof lease.previousLastUsed === 'number' ? String(lease.previousLastUsed) : '';
+  const result = await getConnection().mtRefund(
+    dirtyKey(),
+    hashKey(lease.subscriptionId),
+    logKey(lease.subscriptionId),
+    dailyKey(lease.subscriptionId),
+    slotTime,
+    previousLastUsed,
+    bucketMs
+  );
+  return Number(result) === 1;
+}
+
+/**
+ * Take every key changed since the last flush, along with its usage.
+ * Callers that fail to persist the usage should hand the IDs back with
+ * markDirty().
+ */
+async function takeDirty() {
+  const ids = await getConnection().mtTakeDirty(dirtyKey());
+  return readUsage(ids || []);
+}
+
+async function markDirty(subscriptionIds) {
+  if (subscriptionIds.length) {
+    await getConnection().sadd(dirtyKey(), ...subscriptionIds);
+  }
+}
+
+async function close() {
+  if (connection) {
+    const current = connection;
+    connection = null;
+    await current.quit();
+  }
+}
+
+module.exports = {
+  syncKeys,
+  removeKey,
+  resetUsage,
+  readUsage,
+  reserveOne,
+  reserveMany,
+  refund,
+  takeDirty,
+  markDirty,
+  close
+};
@@ -1,52 +1,113 @@
 /**
  * scheduler.js
  *
- * Defines periodic maintenance tasks using node-cron.  Two jobs are
+ * Defines periodic maintenance tasks using node-cron.  Six jobs are
  * configured:
  *
- *   1. Every 30 seconds - resets the per-30-second usage counter for
- *      each key when its window has elapsed.  This allows keys to be
- *      reused in subsequent windows and is essential for enforcing rate
- *      limits.
+ *   1. Every 15 seconds - expires key leases that were never released.
+ *      Expired leases are treated as used, so their slots are not refunded.
  *
- *   2. Every minute - resets the daily usage counter (and re-activates
- *      keys marked as exhausted) when 24 hours have passed since the
- *      previous reset.  Running this check frequently ensures keys
- *      become available as soon as their daily quota resets.
+ *   2. Every 5 seconds - writes usage held in the Redis key store back
+ *      to MongoDB (a no-op unless KEY_STORE_BACKEND=redis).
+ *
+ *   3. Every 15 seconds - reactivates keys whose manual status (paused,
+ *      draining, banned) has expired and pauses draining keys once their
+ *      leases are settled.
+ *
+ *   4. Every 5 seconds - writes the accumulated usage history to MongoDB.
+ *
+ *   5. Every minute - notifies about pools whose remaining daily capacity
+ *      fell below NOTIFY_POOL_CAPACITY_THRESHOLD (by default 10% of their
+ *      daily limit; see notifier.js).
+ *
+ *   6. Every 5 seconds - expires key request tickets whose grant was not
+ *      collected in time and releases their keys (see keyTickets.js).
+ *
+ * Rate-limit windows need no job: they slide, and keyManager works out
+ * which usage has expired whenever it evaluates a key.
  *
  * Each scheduled callback is wrapped in a try/catch to log unexpected
- * errors without crashing the scheduler.  Schedulers are started once
- * at service start-up by calling startSchedulers().
+ * errors without crashing the scheduler, and its duration and failures are
+ * exported as Prometheus metrics (see metrics.js).  Schedulers are started
+ * once at service start-up by calling startSchedulers().
  */
 
 const cron = require('node-cron');
 const keyManager = require('./keyManager');
+const leaseManager = require('./leaseManager');
+const keyTickets = require('./keyTickets');
+const usageHistory = require('./usageHistory');
+const metrics = require('./metrics');
+const notifier = require('./notifier');
 const logger = require('./logger');
 
+// Wraps a job so that its duration and failures are recorded as metrics
+// and errors are logged instead of escaping the scheduler.
+function runJob(job, errorMsg, task) {
+  return async () => {
+    const end = metrics.startCronJob(job);
+    try {
+      await task();
+      end();
+    } catch (err) {
+      end({ failed: true });
+      logger.error({ msg: errorMsg, error: err.message });
+    }
+  };
+}
+
 /**
- * Configure and start periodic cron jobs.  Schedules two jobs:
+ * Configure and start periodic cron jobs.  Schedules six jobs:
  *
- * 1. Reset per-30-second counters every 30 seconds.
- * 2. Reset daily counters once per minute (checks elapsed time per key).
+ * 1. Expire unreleased key leases every 15 seconds.
+ * 2. Flush Redis key store usage to MongoDB every 5 seconds.
+ * 3. Advance manual key statuses every 15 seconds.
+ * 4. Flush the usage history every 5 seconds.
+ * 5. Check pool capacity every minute.
+ * 6. Expire uncollected key request tickets every 5 seconds.
  */
 function startSchedulers() {
-  // Reset window counters every 30s
-  cron.schedule('*/30 * * * * *', async () => {
-    try {
-      await keyManager.resetWindowsForAll();
-    } catch (err) {
-      logger.error({ msg: 'Error in window reset scheduler', error: err.message });
-    }
-  });
+  // Expire leases nobody released
+  cron.schedule('*/15 * * * * *', runJob(
+    'lease_expiry',
+    'Error in lease expiry scheduler',
+    () => leaseManager.expireLeases()
+  ));
 
-  // Reset daily counters every minute
-  cron.schedule('* * * * *', async () => {
-    try {
-      await keyManager.resetDailyForAll();
-    } catch (err) {
-      logger.error({ msg: 'Error in daily reset scheduler', error: err.message });
-    }
-  });
+  // Write-behind flush of Redis-held usage
+  cron.schedule('*/5 * * * * *', runJob(
+    'key_usage_flush',
+    'Error in key usage flush scheduler',
+    () => keyManager.flushKeyUsage()
+  ));
+
+  // Expire manual key statuses and finish draining keys
+  cron.schedule('*/15 * * * * *', runJob(
+    'key_status_expiry',
+    'Error in key status scheduler',
+    () => keyManager.expireKeyStates()
+  ));
+
+  // Write the accumulated usage history
+  cron.schedule('*/5 * * * * *', runJob(
+    'usage_history_flush',
+    'Error in usage history flush scheduler',
+    () => usageHistory.flush()
+  ));
+
+  // Alert on pools running out of capacity
+  cron.schedule('0 * * * * *', runJob(
+    'pool_capacity_check',
+    'Error in pool capacity scheduler',
+    async () => notifier.checkPoolCapacity((await keyManager.getCapacity()).byPool)
+  ));
+
+  // Release keys granted to tickets nobody collected
+  cron.schedule('*/5 * * * * *', runJob(
+    'ticket_expiry',
+    'Error in ticket expiry scheduler',
+    () => keyTickets.expireUncollectedTickets()
+  ));
 
   logger.info({ msg: 'Cron schedulers started' });
 }
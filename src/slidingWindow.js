@@ -0,0 +1,127 @@
+/**
+ * slidingWindow.js
+ *
+ * Pure helpers for the sliding rate-limit windows stored on each key.
+ *
+ *   - 30-second limit: a sliding log (`windowLog`) of the timestamps of every
+ *     request slot granted within the last 30 seconds.  A slot counts until
+ *     exactly 30 seconds after its timestamp, so a key can never take more
+ *     than `rateLimit30s` requests in any 30-second span.
+ *   - Daily limit: a sliding counter (`dailyBuckets`) of hourly buckets keyed
+ *     by the bucket's start time.  A bucket counts in full for as long as any
+ *     part of it lies within the last 24 hours, so daily quota frees up hour
+ *     by hour and is never under-counted.
+ *
+ * Expiry is computed whenever a key is evaluated; nothing has to reset the
+ * windows on a schedule.  The bucket helpers take an optional span and
+ * bucket size so other sliding counters (such as client quotas) can share
+ * them; they default to the daily window.
+ */
+
+const WINDOW_MS = 30_000;
+const DAY_MS = 86_400_000;
+const DAILY_BUCKET_MS = 3_600_000;
+
+function getBucketStart(timestamp, bucketMs = DAILY_BUCKET_MS) {
+  return timestamp - (timestamp % bucketMs);
+}
+
+/**
+ * Drop log entries that no longer count at `now`.  Returns a new sorted array.
+ */
+function pruneWindowLog(windowLog, now) {
+  if (!Array.isArray(windowLog)) {
+    return [];
+  }
+  return windowLog.filter((timestamp) => timestamp > now - WINDOW_MS).sort((a, b) => a - b);
+}
+
+/**
+ * Drop buckets that lie entirely outside the last `spanMs` (by default,
+ * hourly buckets outside the last 24 hours).  Returns a new object.
+ */
+function pruneBuckets(buckets, now, spanMs = DAY_MS, bucketMs = DAILY_BUCKET_MS) {
+  const pruned = {};
+  for (const [bucketStart, count] of Object.entries(buckets || {})) {
+    if (Number(bucketStart) + bucketMs > now - spanMs && count > 0) {
+      pruned[bucketStart] = count;
+    }
+  }
+  return pruned;
+}
+
+function countBuckets(buckets) {
+  return Object.values(buckets || {}).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Return a copy of `buckets` with one request added per timestamp.
+ */
+function addToBuckets(buckets, timestamps, bucketMs = DAILY_BUCKET_MS) {
+  const updated = { ...buckets };
+  for (const timestamp of timestamps) {
+    const bucketStart = String(getBucketStart(timestamp, bucketMs));
+    updated[bucketStart] = (updated[bucketStart] || 0) + 1;
+  }
+  return updated;
+}
+
+/**
+ * Return a copy of `buckets` with `count` requests taken back from the
+ * bucket holding `timestamp`; empty buckets are dropped.
+ */
+function removeFromBuckets(buckets, timestamp, count = 1, bucketMs = DAILY_BUCKET_MS) {
+  const updated = { ...buckets };
+  const bucketStart = String(getBucketStart(timestamp, bucketMs));
+  const remaining = (updated[bucketStart] || 0) - count;
+  if (remaining > 0) {
+    updated[bucketStart] = remaining;
+  } else {
+    delete updated[bucketStart];
+  }
+  return updated;
+}
+
+/**
+ * Earliest time at which a pruned log holds fewer than `limit` entries.
+ */
+function windowFreesAt(windowLog, limit, now) {
+  if (windowLog.length < limit) {
+    return now;
+  }
+  return windowLog[windowLog.length - limit] + WINDOW_MS;
+}
+
+/**
+ * Earliest time at which pruned buckets add up to less than `limit`.
+ */
+function bucketsFreeAt(buckets, limit, now, spanMs = DAY_MS, bucketMs = DAILY_BUCKET_MS) {
+  let remaining = countBuckets(buckets);
+  if (remaining < limit) {
+    return now;
+  }
+  const ordered = Object.entries(buckets)
+    .map(([bucketStart, count]) => [Number(bucketStart), count])
+    .sort((a, b) => a[0] - b[0]);
+  for (const [bucketStart, count] of ordered) {
+    remaining -= count;
+    if (remaining < limit) {
+      return bucketStart + bucketMs + spanMs;
+    }
+  }
+  return now;
+}
+
+module.exports = {
+  WINDOW_MS,
+  DAY_MS,
+  DAILY_BUCKET_MS,
+  getBucketStart,
+  pruneWindowLog,
+  pruneBuckets,
+  countBuckets,
+  addToBuckets,
+  removeFromBuckets,
+  windowFreesAt,
+  bucketsFreeAt
+};
@@ -0,0 +1,253 @@
+/**
+ * usageHistory.js
+ *
+ * Time-series usage history (collection: `usage`).  Unlike the sliding
+ * windows on each key, which only hold what still counts against its limits,
+ * the history keeps per-key counts for every minute, hour and day:
+ *
+ *   { subscriptionId, granularity, bucketStart, grants, refunds, waits,
+ *     exhaustions, cacheHits, expireAt }
+ *
+ * `grants` counts key grants and batch slots (at the slot's time), `refunds`
+ * the unused releases handed back, and `exhaustions` how often the key hit
+ * its daily limit.  Wait responses and verification cache hits (MailTester
+ * calls the cache saved) are not tied to a key and are recorded with
+ * `subscriptionId: null`.  A TTL index on `expireAt` drops buckets
+ * after the retention configured for their granularity.
+ *
+ * Events are accumulated in memory and written with `$inc` upserts by
+ * flush(), which the scheduler runs every 5 seconds (and the server on
+ * shutdown), so recording never slows down the grant path.
+ */
+const mongoClient = require('./mongoClient');
+const logger = require('./logger');
+
+const GRANULARITIES = {
+  minute: 60_000,
+  hour: 3_600_000,
+  day: 86_400_000
+};
+const DEFAULT_RETENTION_MS = {
+  minute: 2 * 86_400_000,
+  hour: 90 * 86_400_000,
+  day: 730 * 86_400_000
+};
+const RETENTION_ENV = {
+  minute: 'USAGE_HISTORY_MINUTE_RETENTION_MS',
+  hour: 'USAGE_HISTORY_HOUR_RETENTION_MS',
+  day: 'USAGE_HISTORY_DAY_RETENTION_MS'
+};
+const COUNTERS = ['grants', 'refunds', 'waits', 'exhaustions', 'cacheHits'];
+const MAX_QUERY_BUCKETS = 10_000;
+
+// Pending increments keyed by "<subscriptionId>|<granularity>|<bucketStart>".
+let pending = new Map();
+
+function getRetentionMs(granularity) {
+  const numeric = Number(process.env[RETENTION_ENV[granularity]]);
+  if (Number.isFinite(numeric) && numeric > 0) {
+    return Math.floor(numeric);
+  }
+  return DEFAULT_RETENTION_MS[granularity];
+}
+
+async function getUsageCollection() {
+  await mongoClient.connectMongo();
+  return mongoClient.getUsageCollection();
+}
+
+/**
+ * Create the bucket lookup index and the retention TTL index.
+ */
+async function ensureIndexes() {
+  const collection = await getUsageCollection();
+  await collection.createIndex({ granularity: 1, subscriptionId: 1, bucketStart: 1 }, { unique: true });
+  await collection.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+function addPending(subscriptionId, granularity, bucketStart, counter, count) {
+  const id = `${subscriptionId ?? ''}|${granularity}|${bucketStart}`;
+  let entry = pending.get(id);
+  if (!entry) {
+    entry = { subscriptionId: subscriptionId ?? null, granularity, bucketStart, counts: {} };
+    pending.set(id, entry);
+  }
+  entry.counts[counter] = (entry.counts[counter] || 0) + count;
+}
+
+function record(subscriptionId, counter, at, count = 1) {
+  if (!count) {
+    return;
+  }
+  for (const [granularity, bucketMs] of Object.entries(GRANULARITIES)) {
+    addPending(subscriptionId, granularity, at - (at % bucketMs), counter, count);
+  }
+}
+
+/**
+ * Record grants on a key, one per slot timestamp.
+ */
+function recordGrants(subscriptionId, timestamps) {
+  for (const timestamp of timestamps) {
+    record(subscriptionId, 'grants', timestamp);
+  }
+}
+
+function recordRefund(subscriptionId, at) {
+  record(subscriptionId, 'refunds', at);
+}
+
+function recordExhaustion(subscriptionId, at = Date.now()) {
+  record(subscriptionId, 'exhaustions', at);
+}
+
+/**
+ * Record wait responses (requests that ended without a key).
+ */
+function recordWaits(count = 1, at = Date.now()) {
+  record(null, 'waits', at, count);
+}
+
+/**
+ * Record verifications answered from the verification cache.
+ */
+function recordCacheHits(count = 1, at = Date.now()) {
+  record(null, 'cacheHits', at, count);
+}
+
+/**
+ * Write the accumulated increments to MongoDB.  Increments that fail to
+ * persist are kept for the next flush.
+ *
+ * @returns {Promise<number>} number of buckets written
+ */
+async function flush() {
+  if (!pending.size) {
+    return 0;
+  }
+  const entries = [...pending.values()];
+  pending = new Map();
+  try {
+    const collection = await getUsageCollection();
+    await collection.bulkWrite(entries.map(({ subscriptionId, granularity, bucketStart, counts }) => ({
+      updateOne: {
+        filter: { granularity, subscriptionId, bucketStart },
+        update: {
+          $inc: counts,
+          $setOnInsert: {
+            expireAt: new Date(bucketStart + GRANULARITIES[granularity] + getRetentionMs(granularity))
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+    return entries.length;
+  } catch (err) {
+    for (const { subscriptionId, granularity, bucketStart, counts } of entries) {
+      for (const [counter, count] of Object.entries(counts)) {
+        addPending(subscriptionId, granularity, bucketStart, counter, count);
+      }
+    }
+    logger.error({ msg: 'Failed to flush usage history', buckets: entries.length, error: err.message });
+    throw err;
+  }
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const numeric = Number(value);
+  const time = Number.isFinite(numeric) ? numeric : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Validate a usage query.  `granularity` defaults to `hour`, `to` to now and
+ * `from` to 24 hours before `to`; times are millisecond timestamps or ISO
+ * dates.  `from` is rounded down to the start of its bucket.
+ *
+ * @returns {{query: {keyId: string|null, granularity: string, from: number, to: number}|null, error: string|null}}
+ */
+function parseUsageQuery({ keyId, granularity, from, to } = {}, now = Date.now()) {
+  const normalizedGranularity = String(granularity || 'hour').trim().toLowerCase();
+  const bucketMs = GRANULARITIES[normalizedGranularity];
+  if (!bucketMs) {
+    return { query: null, error: `granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}` };
+  }
+  const end = parseTime(to);
+  const start = parseTime(from);
+  if (end === null || start === null) {
+    return { query: null, error: 'from and to must be timestamps or ISO dates' };
+  }
+  const toTime = end ?? now;
+  const fromTime = start ?? toTime - GRANULARITIES.day;
+  if (fromTime >= toTime) {
+    return { query: null, error: 'from must be before to' };
+  }
+  const bucketFrom = fromTime - (fromTime % bucketMs);
+  if ((toTime - bucketFrom) / bucketMs > MAX_QUERY_BUCKETS) {
+    return { query: null, error: `the range spans more than ${MAX_QUERY_BUCKETS} ${normalizedGranularity} buckets` };
+  }
+  const normalizedKeyId = keyId === undefined || keyId === null ? '' : String(keyId).trim();
+  return {
+    query: { keyId: normalizedKeyId || null, granularity: normalizedGranularity, from: bucketFrom, to: toTime },
+    error: null
+  };
+}
+
+function emptyCounts() {
+  return Object.fromEntries(COUNTERS.map((counter) => [counter, 0]));
+}
+
+/**
+ * Return the usage buckets in [from, to) for one key, or summed over every
+ * key (including wait responses and cache hits) when `keyId` is null.  Only
+ * buckets with activity are listed.  Pending increments are flushed first.
+ *
+ * @param {{keyId: string|null, granularity: string, from: number, to: number}} query see parseUsageQuery()
+ */
+async function queryUsage({ keyId, granularity, from, to }) {
+  await flush();
+  const collection = await getUsageCollection();
+  const filter = { granularity, bucketStart: { $gte: from, $lt: to } };
+  if (keyId) {
+    filter.subscriptionId = keyId;
+  }
+  const docs = await collection.find(filter).toArray();
+  const byBucket = new Map();
+  for (const doc of docs) {
+    let bucket = byBucket.get(doc.bucketStart);
+    if (!bucket) {
+      bucket = { bucketStart: doc.bucketStart, ...emptyCounts() };
+      byBucket.set(doc.bucketStart, bucket);
+    }
+    for (const counter of COUNTERS) {
+      bucket[counter] += doc[counter] || 0;
+    }
+  }
+  const buckets = [...byBucket.values()]
+    .sort((a, b) => a.bucketStart - b.bucketStart)
+    .map((bucket) => ({ ...bucket, netGrants: bucket.grants - bucket.refunds }));
+  const totals = emptyCounts();
+  for (const bucket of buckets) {
+    for (const counter of COUNTERS) {
+      totals[counter] += bucket[counter];
+    }
+  }
+  totals.netGrants = totals.grants - totals.refunds;
+  return { keyId, granularity, from, to, buckets, totals };
+}
+
+module.exports = {
+  GRANULARITIES,
+  ensureIndexes,
+  recordGrants,
+  recordRefund,
+  recordExhaustion,
+  recordWaits,
+  recordCacheHits,
+  flush,
+  parseUsageQuery,
+  queryUsage
+};
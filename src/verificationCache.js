@@ -0,0 +1,132 @@
+/**
+ * verificationCache.js
+ *
+ * Cache of MailTester verification results (collection:
+ * `verificationCache`), so addresses that come through again do not spend
+ * another MailTester credit:
+ *
+ *   { email, result, code, message, mx, cachedAt, expireAt }
+ *
+ * Entries are keyed by the normalised address (trimmed and lower-cased) and
+ * kept for a TTL that depends on the result, configured per result with
+ * VERIFY_CACHE_<RESULT>_TTL_MS; a TTL of 0 keeps results of that kind out of
+ * the cache.  Failed verifications are never cached.  A TTL index on
+ * `expireAt` drops expired entries, and lookups ignore entries past it that
+ * MongoDB has not removed yet.
+ *
+ * Every hit is recorded in the usage history as a saved MailTester call.
+ * Cache errors are logged and treated as misses, so verification never
+ * depends on the cache.
+ */
+const mongoClient = require('./mongoClient');
+const usageHistory = require('./usageHistory');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+const DAY_MS = 86_400_000;
+const DEFAULT_TTL_MS = {
+  valid: 30 * DAY_MS,
+  invalid: 30 * DAY_MS,
+  catch_all: 7 * DAY_MS,
+  unknown: DAY_MS
+};
+const TTL_ENV = {
+  valid: 'VERIFY_CACHE_VALID_TTL_MS',
+  invalid: 'VERIFY_CACHE_INVALID_TTL_MS',
+  catch_all: 'VERIFY_CACHE_CATCH_ALL_TTL_MS',
+  unknown: 'VERIFY_CACHE_UNKNOWN_TTL_MS'
+};
+const FRESH_VALUES = { true: true, 1: true, false: false, 0: false };
+
+function getTtlMs(result) {
+  const rawValue = process.env[TTL_ENV[result]];
+  const numeric = Number(rawValue);
+  if (rawValue !== undefined && rawValue !== '' && Number.isFinite(numeric) && numeric >= 0) {
+    return Math.floor(numeric);
+  }
+  return DEFAULT_TTL_MS[result] || 0;
+}
+
+function normalizeCacheKey(email) {
+  return String(email).trim().toLowerCase();
+}
+
+async function getCacheCollection() {
+  await mongoClient.connectMongo();
+  return mongoClient.getVerificationCacheCollection();
+}
+
+/**
+ * Create the address index and the TTL index.
+ */
+async function ensureIndexes() {
+  const collection = await getCacheCollection();
+  await collection.createIndex({ email: 1 }, { unique: true });
+  await collection.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+// Reads the optional `fresh` flag; returns null when it is not a boolean.
+function parseFresh(rawValue) {
+  if (rawValue === undefined || rawValue === '' || typeof rawValue === 'boolean') {
+    return Boolean(rawValue);
+  }
+  const fresh = FRESH_VALUES[String(rawValue).trim().toLowerCase()];
+  return fresh === undefined ? null : fresh;
+}
+
+/**
+ * Look an address up.
+ *
+ * @returns {Promise<{result: string, code: string|null, message: string|null, mx: string|null, cachedAt: number}|null>}
+ *   the cached result, or null on a miss
+ */
+async function lookup(email, now = Date.now()) {
+  let doc = null;
+  try {
+    const collection = await getCacheCollection();
+    doc = await collection.findOne({ email: normalizeCacheKey(email) });
+  } catch (err) {
+    logger.warn({ msg: 'Failed to read verification cache', error: err.message });
+  }
+  const hit = Boolean(doc) && new Date(doc.expireAt).getTime() > now;
+  metrics.recordCacheLookup(hit);
+  if (!hit) {
+    return null;
+  }
+  usageHistory.recordCacheHits(1, now);
+  return { result: doc.result, code: doc.code, message: doc.message, mx: doc.mx, cachedAt: doc.cachedAt };
+}
+
+/**
+ * Cache a verification result for its result's TTL.
+ *
+ * @param {string} email
+ * @param {{result: string, code: string|null, message: string|null, mx: string|null}} verification
+ * @returns {Promise<boolean>} whether the result was cached
+ */
+async function store(email, { result, code, message, mx }, now = Date.now()) {
+  const ttlMs = getTtlMs(result);
+  if (!ttlMs) {
+    return false;
+  }
+  const key = normalizeCacheKey(email);
+  try {
+    const collection = await getCacheCollection();
+    await collection.updateOne(
+      { email: key },
+      { $set: { result, code, message, mx, cachedAt: now, expireAt: new Date(now + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    logger.warn({ msg: 'Failed to write verification cache', error: err.message });
+    return false;
+  }
+}
+
+module.exports = {
+  ensureIndexes,
+  parseFresh,
+  lookup,
+  store
+};
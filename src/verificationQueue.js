@@ -0,0 +1,97 @@
+/**
+ * verificationQueue.js
+ *
+ * BullMQ queue (`verification-jobs`) that runs bulk verification jobs (see
+ * bulkJobs.js) next to the `key-requests` queue.  Each queue entry is one
+ * run of a job; its BullMQ job ID is `<jobId>-<run>`, so queueing the same
+ * run twice is a no-op.  Up to BULK_JOB_WORKER_CONCURRENCY jobs run at once
+ * per instance.
+ *
+ * Jobs survive restarts: on shutdown running jobs stop after their current
+ * verifications, and on startup resumeInterruptedJobs() queues every job
+ * that was queued or running again.  An instance that dies without shutting
+ * down leaves a stalled BullMQ entry, which another worker picks up.
+ */
+const { Queue, Worker } = require('bullmq');
+const { createRedisConnection } = require('./redis');
+const bulkJobs = require('./bulkJobs');
+const logger = require('./logger');
+
+const QUEUE_NAME = 'verification-jobs';
+const DEFAULT_CONCURRENCY = 2;
+const MAX_STALLED_COUNT = 10;
+
+const verificationQueue = new Queue(QUEUE_NAME, {
+  connection: createRedisConnection()
+});
+
+const worker = new Worker(
+  QUEUE_NAME,
+  async (job) => {
+    const result = await bulkJobs.runJob(job.data.jobId, job.data.run);
+    return result ? result.status : null;
+  },
+  {
+    connection: createRedisConnection(),
+    concurrency: Number(process.env.BULK_JOB_WORKER_CONCURRENCY || DEFAULT_CONCURRENCY),
+    maxStalledCount: MAX_STALLED_COUNT
+  }
+);
+
+worker.on('error', (err) => {
+  logger.error({ msg: 'Verification worker error', error: err.message });
+});
+
+worker.on('failed', (job, err) => {
+  logger.warn({ msg: 'Verification queue job failed', jobId: job?.data?.jobId, error: err.message });
+});
+
+/**
+ * Queue a run of a bulk job.
+ *
+ * @param {{jobId: string, run: number}} job
+ */
+async function enqueueJob({ jobId, run }) {
+  await verificationQueue.add('verify-list', { jobId, run }, {
+    jobId: `${jobId}-${run}`,
+    removeOnComplete: true,
+    removeOnFail: true
+  });
+}
+
+/**
+ * Queue every job that was queued or running when the server stopped.
+ *
+ * @returns {Promise<number>} how many jobs were queued
+ */
+async function resumeInterruptedJobs() {
+  const jobs = await bulkJobs.listResumableJobs();
+  for (const job of jobs) {
+    await enqueueJob(job);
+  }
+  if (jobs.length) {
+    logger.info({ msg: 'Resumed bulk verification jobs', count: jobs.length });
+  }
+  return jobs.length;
+}
+
+async function shutdownVerificationQueue() {
+  bulkJobs.stopRuns();
+  try {
+    await worker.close();
+  } catch (err) {
+    logger.error({ msg: 'Error closing verification worker', error: err.message });
+  }
+  try {
+    await verificationQueue.close();
+  } catch (err) {
+    logger.error({ msg: 'Error closing verification queue', error: err.message });
+  }
+}
+
+module.exports = {
+  verificationQueue,
+  enqueueJob,
+  resumeInterruptedJobs,
+  shutdownVerificationQueue
+};
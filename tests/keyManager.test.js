@@ -1,5 +1,10 @@
-const { test, before, afterEach } = require('node:test');
+const { test, before, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const http = require('http');
+const express = require('express');
+const RedisMock = require('ioredis-mock');
 
 class InMemoryCollection {
   constructor() {
@@ -15,7 +20,22 @@ class InMemoryCollection {
   }
 
   matches(doc, filter = {}) {
-    return Object.entries(filter).every(([key, value]) => doc[key] === value);
+    return Object.entries(filter).every(([key, value]) => {
+      if (key === '$and') {
+        return value.every((clause) => this.matches(doc, clause));
+      }
+      if (key === '$or') {
+        return value.some((clause) => this.matches(doc, clause));
+      }
+      const field = key.split('.').reduce((target, part) => target?.[part], doc);
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return (value.$exists === undefined || (field !== undefined) === value.$exists)
+          && (value.$gte === undefined || field >= value.$gte)
+          && (value.$lte === undefined || field <= value.$lte)
+          && (value.$lt === undefined || field < value.$lt);
+      }
+      return field === value;
+    });
   }
 
   applyProjection(doc, projection) {
@@ -32,10 +52,22 @@ class InMemoryCollection {
   }
 
   find(query = {}, options = {}) {
+    const load = () => {
+      let docs = this.docs.filter((doc) => this.matches(doc, query));
+      if (options.sort) {
+        const [[field, direction]] = Object.entries(options.sort);
+        docs = [...docs].sort((a, b) => (a[field] - b[field]) * direction);
+      }
+      if (options.limit) {
+        docs = docs.slice(0, options.limit);
+      }
+      return docs.map((doc) => this.applyProjection(this.clone(doc), options.projection));
+    };
     return {
-      toArray: async () => this.docs
-        .filter((doc) => this.matches(doc, query))
-        .map((doc) => this.applyProjection(this.clone(doc), options.projection))
+      toArray: async () => load(),
+      async* [Symbol.asyncIterator]() {
+        yield* load();
+      }
     };
   }
 
@@ -48,6 +80,12 @@ class InMemoryCollection {
     this.docs.push(this.clone(doc));
   }
 
+  async insertMany(docs) {
+    for (const doc of docs) {
+      this.docs.push(this.clone(doc));
+    }
+  }
+
   applySet(doc, fields = {}) {
     for (const [key, value] of Object.entries(fields)) {
       doc[key] = value;
@@ -55,22 +93,52 @@ class InMemoryCollection {
   }
 
   applyUnset(doc, fields = {}) {
-    for (const key of Object.keys(fields)) {
-      delete doc[key];
+    for (const path of Object.keys(fields)) {
+      const parts = path.split('.');
+      const last = parts.pop();
+      const target = parts.reduce((parent, part) => parent?.[part], doc);
+      if (target) {
+        delete target[last];
+      }
     }
   }
 
-  async updateOne(filter, update) {
-    const doc = this.docs.find((item) => this.matches(item, filter));
-    if (!doc) {
-      return { matchedCount: 0, modifiedCount: 0 };
+  applyInc(doc, fields = {}) {
+    for (const [path, amount] of Object.entries(fields)) {
+      const parts = path.split('.');
+      const last = parts.pop();
+      let target = doc;
+      for (const part of parts) {
+        target[part] = target[part] || {};
+        target = target[part];
+      }
+      target[last] = (target[last] || 0) + amount;
     }
+  }
+
+  applyUpdate(doc, update) {
     if (update.$set) {
       this.applySet(doc, update.$set);
     }
     if (update.$unset) {
       this.applyUnset(doc, update.$unset);
     }
+    if (update.$inc) {
+      this.applyInc(doc, update.$inc);
+    }
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const doc = this.docs.find((item) => this.matches(item, filter));
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = { ...filter, ...update.$setOnInsert };
+        this.applyUpdate(inserted, update);
+        this.docs.push(this.clone(inserted));
+      }
+      return { matchedCount: 0, modifiedCount: 0 };
+    }
+    this.applyUpdate(doc, update);
     return { matchedCount: 1, modifiedCount: 1 };
   }
 
@@ -78,18 +146,20 @@ class InMemoryCollection {
     let modified = 0;
     for (const doc of this.docs) {
       if (this.matches(doc, filter)) {
-        if (update.$set) {
-          this.applySet(doc, update.$set);
-        }
-        if (update.$unset) {
-          this.applyUnset(doc, update.$unset);
-        }
+        this.applyUpdate(doc, update);
         modified += 1;
       }
     }
     return { modifiedCount: modified };
   }
 
+  async bulkWrite(operations) {
+    for (const { updateOne } of operations) {
+      const { filter, update, upsert } = updateOne;
+      await this.updateOne(filter, update, { upsert });
+    }
+  }
+
   async deleteOne(filter) {
     const index = this.docs.findIndex((doc) => this.matches(doc, filter));
     if (index >= 0) {
@@ -102,17 +172,20 @@ class InMemoryCollection {
     if (!doc) {
       return { value: null };
     }
-    if (update.$set) {
-      this.applySet(doc, update.$set);
-    }
-    if (update.$unset) {
-      this.applyUnset(doc, update.$unset);
-    }
+    this.applyUpdate(doc, update);
     return { value: this.clone(doc) };
   }
 }
 
 const collection = new InMemoryCollection();
+const leasesCollection = new InMemoryCollection();
+const plansCollection = new InMemoryCollection();
+const clientsCollection = new InMemoryCollection();
+const usageCollection = new InMemoryCollection();
+const jobsCollection = new InMemoryCollection();
+const jobResultsCollection = new InMemoryCollection();
+const verificationCacheCollection = new InMemoryCollection();
+const keyRequestsCollection = new InMemoryCollection();
 const mongoClientStub = {
   async connectMongo() {
     // no-op for in-memory stub
@@ -122,6 +195,30 @@ const mongoClientStub = {
   },
   getKeysCollection() {
     return collection;
+  },
+  getLeasesCollection() {
+    return leasesCollection;
+  },
+  getPlansCollection() {
+    return plansCollection;
+  },
+  getClientsCollection() {
+    return clientsCollection;
+  },
+  getUsageCollection() {
+    return usageCollection;
+  },
+  getJobsCollection() {
+    return jobsCollection;
+  },
+  getJobResultsCollection() {
+    return jobResultsCollection;
+  },
+  getVerificationCacheCollection() {
+    return verificationCacheCollection;
+  },
+  getKeyRequestsCollection() {
+    return keyRequestsCollection;
   }
 };
 
@@ -134,20 +231,186 @@ require.cache[mongoClientPath] = {
   exports: mongoClientStub
 };
 
+// The Redis key store runs its Lua scripts on ioredis-mock.  The mock needs a
+// fixed key count per command, so variadic scripts go through EVAL instead.
+function createRedisMock() {
+  const redis = new RedisMock();
+  const defineCommand = redis.defineCommand.bind(redis);
+  redis.defineCommand = (name, definition) => {
+    if (definition.numberOfKeys !== undefined) {
+      defineCommand(name, definition);
+      return;
+    }
+    redis[name] = (keyCount, ...args) => redis.eval(definition.lua, keyCount, ...args);
+  };
+  return redis;
+}
+
+const redisPath = require.resolve('../src/redis');
+require.cache[redisPath] = {
+  id: redisPath,
+  filename: redisPath,
+  loaded: true,
+  exports: { createRedisConnection: createRedisMock }
+};
+
+// The key routes talk to the BullMQ key queue.  Tests swap in an in-memory
+// queue whose jobs are started and finished by hand.
+class InMemoryJob {
+  constructor(queue, id, data, opts) {
+    this.queue = queue;
+    this.id = id;
+    this.data = data;
+    this.opts = opts;
+    this.timestamp = Date.now();
+    this.processedOn = null;
+    this.state = opts.priority ? 'prioritized' : 'waiting';
+  }
+
+  async getState() {
+    return this.queue.jobs.includes(this) ? this.state : 'unknown';
+  }
+
+  async updateData(data) {
+    if (!this.queue.jobs.includes(this)) {
+      throw new Error(`Missing key for job ${this.id}. updateData`);
+    }
+    this.data = data;
+  }
+
+  async remove() {
+    if (!this.queue.jobs.includes(this) || this.state === 'active') {
+      throw new Error(`Job ${this.id} could not be removed because it is locked by another worker`);
+    }
+    this.queue.jobs.splice(this.queue.jobs.indexOf(this), 1);
+    this.queue.events.emit('removed', { jobId: this.id, prev: this.state });
+  }
+}
+
+class InMemoryKeyQueue {
+  constructor() {
+    this.jobs = [];
+    this.events = new EventEmitter();
+    this.nextId = 1;
+  }
+
+  reset() {
+    this.jobs = [];
+  }
+
+  async add(name, data, opts = {}) {
+    const job = new InMemoryJob(this, opts.jobId || String(this.nextId++), data, opts);
+    this.jobs.push(job);
+    return job;
+  }
+
+  async getJob(jobId) {
+    return this.jobs.find((job) => job.id === jobId) || null;
+  }
+
+  // Like BullMQ, applies the range to each state separately; prioritized
+  // jobs come lowest priority first.
+  async getJobs(states, start, end) {
+    return states.flatMap((state) => this.jobs
+      .filter((job) => job.state === state)
+      .sort((a, b) => (state === 'prioritized' ? a.opts.priority - b.opts.priority : 0))
+      .slice(start, end + 1));
+  }
+
+  async getJobCounts(...states) {
+    return Object.fromEntries(states.map((state) => [state, this.jobs.filter((job) => job.state === state).length]));
+  }
+
+  start(job) {
+    job.state = 'active';
+    job.processedOn = Date.now();
+  }
+
+  complete(job, returnvalue) {
+    this.jobs.splice(this.jobs.indexOf(job), 1);
+    this.events.emit('completed', { jobId: job.id, returnvalue });
+  }
+}
+
+const keyQueueStub = new InMemoryKeyQueue();
+const keyQueuePath = require.resolve('../src/keyQueue');
+require.cache[keyQueuePath] = {
+  id: keyQueuePath,
+  filename: keyQueuePath,
+  loaded: true,
+  exports: { keyQueue: keyQueueStub, keyQueueEvents: keyQueueStub.events, shutdownKeyQueue: async () => {} }
+};
+
 const keyManager = require('../src/keyManager');
+const planManager = require('../src/planManager');
+const clientManager = require('../src/clientManager');
+const usageHistory = require('../src/usageHistory');
+const metrics = require('../src/metrics');
+const notifier = require('../src/notifier');
+const mailtesterClient = require('../src/mailtesterClient');
+const bulkJobs = require('../src/bulkJobs');
+const verificationCache = require('../src/verificationCache');
+const queueFairness = require('../src/queueFairness');
+const keyDispatcher = require('../src/keyDispatcher');
+const keyTickets = require('../src/keyTickets');
+const queueStats = require('../src/queueStats');
+const redisKeyStore = require('../src/redisKeyStore');
+const keysRoutes = require('../routes/keys');
+const queueRoutes = require('../routes/queue');
 
 before(async () => {
   await mongoClientStub.connectMongo();
 });
 
-afterEach(() => {
+beforeEach(async () => {
+  await keyManager.initializePlans();
+});
+
+afterEach(async () => {
+  await usageHistory.flush();
   collection.reset();
+  leasesCollection.reset();
+  plansCollection.reset();
+  clientsCollection.reset();
+  usageCollection.reset();
+  jobsCollection.reset();
+  jobResultsCollection.reset();
+  verificationCacheCollection.reset();
+  keyRequestsCollection.reset();
+  keyQueueStub.reset();
 });
 
 function wait(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await wait(5);
+  }
+}
+
+// Serves the key and queue routes on a free port while `run` calls them.
+async function withRoutes(run) {
+  const app = express();
+  app.use(express.json());
+  app.use(keysRoutes);
+  app.use(queueRoutes);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
 test('registerKey stores avg interval and lastUsed metadata', async () => {
   await keyManager.registerKey('sub_pro_test', 'pro');
   const status = await keyManager.getAllKeysStatus();
@@ -184,3 +447,1238 @@ test('faster plans become available sooner than slower plans', async () => {
   assert.ok(third, 'a key should be available after the ultimate interval');
   assert.equal(third.plan, 'ultimate', 'ultimate plan should recycle sooner than pro');
 });
+
+test('registerKey rejects plans missing from the catalogue', async () => {
+  await assert.rejects(() => keyManager.registerKey('unknown_plan_key', 'enterprise'), /Unknown plan "enterprise"/);
+  assert.deepEqual(await keyManager.getAllKeysStatus(), []);
+});
+
+test('savePlan applies changed limits to every key on the plan', async () => {
+  await keyManager.registerKey('plan_pro_a', 'pro');
+  await keyManager.registerKey('plan_pro_b', 'pro');
+  await keyManager.registerKey('plan_ultimate', 'ultimate');
+  const { plan } = planManager.validatePlan({ name: 'pro', rateLimit30s: 50, dailyLimit: 150_000, avgRequestIntervalMs: 600 });
+  const result = await keyManager.savePlan(plan);
+  assert.equal(result.created, false);
+  assert.equal(result.keysUpdated, 2);
+  const status = await keyManager.getAllKeysStatus();
+  for (const doc of status) {
+    if (doc.plan === 'pro') {
+      assert.equal(doc.rateLimit30s, 50);
+      assert.equal(doc.dailyLimit, 150_000);
+      assert.equal(doc.avgRequestIntervalMs, 600);
+    } else {
+      assert.equal(doc.rateLimit30s, 170);
+    }
+  }
+
+  process.env.MAILTESTER_PRO_INTERVAL_MS = '900';
+  try {
+    await keyManager.initializePlans();
+    assert.equal((await planManager.getPlan('pro')).avgRequestIntervalMs, 600, 'interval variables only apply when seeding');
+  } finally {
+    delete process.env.MAILTESTER_PRO_INTERVAL_MS;
+  }
+});
+
+test('custom plans can be created and deleted once unused', async () => {
+  const { plan, error } = planManager.validatePlan({ name: 'Starter', rateLimit30s: 10, dailyLimit: 10_000 });
+  assert.equal(error, null);
+  assert.equal(plan.avgRequestIntervalMs, 3000);
+  await keyManager.savePlan(plan);
+  await keyManager.registerKey('starter_key', 'starter');
+  const [status] = await keyManager.getAllKeysStatus();
+  assert.equal(status.rateLimit30s, 10);
+  assert.deepEqual(await keyManager.deletePlan('starter'), { result: 'in_use', keyCount: 1 });
+  await keyManager.deleteKey('starter_key');
+  assert.deepEqual(await keyManager.deletePlan('starter'), { result: 'deleted' });
+  assert.deepEqual(await keyManager.deletePlan('starter'), { result: 'not_found' });
+  assert.match(planManager.validatePlan({ name: 'bad', rateLimit30s: 0, dailyLimit: 1 }).error, /rateLimit30s/);
+});
+
+test('getAvailableKey attaches an outstanding lease reported by status', async () => {
+  await keyManager.registerKey('leased_key', 'ultimate');
+  const grant = await keyManager.getAvailableKey();
+  assert.ok(grant.leaseId, 'grant should carry a lease id');
+  assert.ok(grant.leaseExpiresAt > grant.lastUsed);
+  const [status] = await keyManager.getAllKeysStatus();
+  assert.equal(status.outstandingLeases, 1);
+});
+
+test('releasing a lease unused refunds counters and spacing', async () => {
+  await keyManager.registerKey('refund_key', 'pro');
+  const grant = await keyManager.getAvailableKey();
+  const outcome = await keyManager.releaseLease(grant.leaseId, { used: false });
+  assert.equal(outcome.result, 'released');
+  assert.equal(outcome.refunded, true);
+  const [status] = await keyManager.getAllKeysStatus();
+  assert.equal(status.usedInWindow, 0);
+  assert.equal(status.usedDaily, 0);
+  assert.equal(status.lastUsed, 0);
+  assert.equal(status.outstandingLeases, 0);
+  const again = await keyManager.getAvailableKey();
+  assert.ok(again, 'refunded key should be served again without waiting for spacing');
+});
+
+test('releasing a lease used keeps counters and cannot be repeated', async () => {
+  await keyManager.registerKey('used_key', 'pro');
+  const grant = await keyManager.getAvailableKey();
+  const outcome = await keyManager.releaseLease(grant.leaseId, { used: true });
+  assert.equal(outcome.result, 'released');
+  assert.equal(outcome.refunded, false);
+  const [status] = await keyManager.getAllKeysStatus();
+  assert.equal(status.usedDaily, 1);
+  const repeat = await keyManager.releaseLease(grant.leaseId, { used: false });
+  assert.equal(repeat.result, 'already_settled');
+  const missing = await keyManager.releaseLease('no-such-lease', { used: false });
+  assert.equal(missing.result, 'not_found');
+});
+
+test('expired leases are not refunded', async () => {
+  await keyManager.registerKey('expiring_key', 'pro');
+  const previousTtl = process.env.KEY_LEASE_TTL_MS;
+  process.env.KEY_LEASE_TTL_MS = '1';
+  try {
+    const grant = await keyManager.getAvailableKey();
+    await wait(5);
+    const outcome = await keyManager.releaseLease(grant.leaseId, { used: false });
+    assert.equal(outcome.result, 'expired');
+    const [status] = await keyManager.getAllKeysStatus();
+    assert.equal(status.usedDaily, 1);
+  } finally {
+    if (previousTtl === undefined) {
+      delete process.env.KEY_LEASE_TTL_MS;
+    } else {
+      process.env.KEY_LEASE_TTL_MS = previousTtl;
+    }
+  }
+});
+
+test('normalizeOutcome maps HTTP statuses and named outcomes', () => {
+  assert.equal(keyManager.normalizeOutcome({ outcome: 'OK' }), 'ok');
+  assert.equal(keyManager.normalizeOutcome({ outcome: 'forbidden' }), 'unauthorized');
+  assert.equal(keyManager.normalizeOutcome({ httpStatus: 401 }), 'unauthorized');
+  assert.equal(keyManager.normalizeOutcome({ httpStatus: 429 }), 'rate_limited');
+  assert.equal(keyManager.normalizeOutcome({ httpStatus: 200, code: 'limit_exceeded' }), 'error');
+  assert.equal(keyManager.normalizeOutcome({ outcome: 'bogus' }), null);
+  assert.equal(keyManager.normalizeOutcome({}), null);
+});
+
+test('reportOutcome bans keys on auth failures and keeps counters', async () => {
+  await keyManager.registerKey('auth_key', 'ultimate');
+  await keyManager.reportOutcome('auth_key', { outcome: 'ok' });
+  const result = await keyManager.reportOutcome('auth_key', { outcome: 'unauthorized' });
+  assert.equal(result.status, 'banned');
+  const [status] = await keyManager.getAllKeysStatus();
+  assert.equal(status.successCount, 1);
+  assert.equal(status.errorCount, 1);
+  assert.equal(status.outcomeCounts.unauthorized, 1);
+  assert.equal(await keyManager.getAvailableKey(), null, 'banned keys are not served');
+  assert.equal(await keyManager.reportOutcome('missing_key', { outcome: 'ok' }), null);
+});
+
+test('reportOutcome cools down keys after a 429', async () => {
+  await keyManager.registerKey('throttled_key', 'ultimate');
+  const result = await keyManager.reportOutcome('throttled_key', { outcome: 'rate_limited' });
+  assert.equal(result.status, 'active');
+  assert.ok(result.cooldownUntil > Date.now());
+  assert.equal(await keyManager.getAvailableKey(), null, 'cooling keys are not served');
+  assert.deepEqual(await keyManager.getAvailableKeysSnapshot(), []);
+});
+
+test('circuit breaker opens on failures, backs off exponentially and probes once', async () => {
+  process.env.KEY_BREAKER_FAILURE_THRESHOLD = '2';
+  process.env.KEY_BREAKER_BASE_COOLDOWN_MS = '1000';
+  try {
+    await keyManager.registerKey('breaker_key', 'ultimate');
+    await keyManager.reportOutcome('breaker_key', { outcome: 'timeout' });
+    assert.ok(await keyManager.getAvailableKey(), 'one failure keeps the breaker closed');
+    const opened = await keyManager.reportOutcome('breaker_key', { outcome: 'error' });
+    assert.equal(opened.breaker.state, 'open');
+    assert.equal(opened.breaker.nextProbeAt - opened.breaker.openedAt, 1000);
+    await collection.updateOne({ subscriptionId: 'breaker_key' }, { $set: { lastUsed: 0 } });
+    assert.equal(await keyManager.getAvailableKey(), null, 'open breakers block grants');
+    const [limits] = await keyManager.getKeyLimits();
+    assert.equal(limits.breaker.state, 'open');
+    assert.ok(limits.breaker.nextProbeInMs > 0);
+
+    const probeAt = () => collection.updateOne({ subscriptionId: 'breaker_key' }, { $set: { breakerOpenUntil: Date.now() - 1, lastUsed: 0 } });
+    await probeAt();
+    assert.equal((await keyManager.reserveSlots(3)).slots.length, 0, 'batches never probe');
+    const probe = await keyManager.getAvailableKey();
+    assert.equal(probe.subscriptionId, 'breaker_key');
+    await collection.updateOne({ subscriptionId: 'breaker_key' }, { $set: { lastUsed: 0 } });
+    assert.equal(await keyManager.getAvailableKey(), null, 'only one probe at a time');
+    const [probing] = await keyManager.getAllKeysStatus();
+    assert.equal(probing.breaker.state, 'half_open');
+    assert.equal(probing.breaker.probeInFlight, true);
+    assert.equal(probing.breakerProbeAt, undefined, 'raw breaker fields are not listed');
+
+    await keyManager.releaseLease(probe.leaseId, { used: false });
+    const retry = await keyManager.getAvailableKey();
+    assert.ok(retry, 'an unused probe frees the next probe');
+    const reopened = await keyManager.reportOutcome('breaker_key', { outcome: 'timeout' });
+    assert.equal(reopened.breaker.state, 'open');
+    assert.equal(reopened.breaker.trips, 2);
+    assert.equal(reopened.breaker.nextProbeAt - reopened.breaker.openedAt, 2000, 'cooldowns double per trip');
+
+    await probeAt();
+    await keyManager.getAvailableKey();
+    const closed = await keyManager.reportOutcome('breaker_key', { outcome: 'ok' });
+    assert.deepEqual(
+      { state: closed.breaker.state, failures: closed.breaker.consecutiveFailures, trips: closed.breaker.trips },
+      { state: 'closed', failures: 0, trips: 0 }
+    );
+  } finally {
+    delete process.env.KEY_BREAKER_FAILURE_THRESHOLD;
+    delete process.env.KEY_BREAKER_BASE_COOLDOWN_MS;
+  }
+});
+
+test('reserveSlots spreads slots across keys with spacing and headroom', async () => {
+  await keyManager.registerKey('batch_ultimate', 'ultimate');
+  await keyManager.registerKey('batch_pro', 'pro');
+  const { requested, slots, retryAt } = await keyManager.reserveSlots(40);
+  assert.equal(requested, 40);
+  assert.equal(slots.length, 40);
+  assert.equal(retryAt, null);
+  const perKey = new Map();
+  for (const slot of slots) {
+    assert.ok(slot.leaseId);
+    const times = perKey.get(slot.subscriptionId) || [];
+    times.push(slot.notBefore);
+    perKey.set(slot.subscriptionId, times);
+  }
+  assert.equal(perKey.size, 2, 'both keys should contribute slots');
+  for (const [subscriptionId, times] of perKey) {
+    const interval = subscriptionId === 'batch_pro' ? 860 : 170;
+    for (let index = 1; index < times.length; index += 1) {
+      assert.equal(times[index] - times[index - 1], interval);
+    }
+  }
+  const status = await keyManager.getAllKeysStatus();
+  const total = status.reduce((sum, doc) => sum + doc.usedInWindow, 0);
+  assert.equal(total, 40);
+  assert.equal(await keyManager.getAvailableKey(), null, 'reserved schedule blocks immediate single grants');
+});
+
+test('reserveSlots returns fewer slots and a retry time when headroom runs out', async () => {
+  await keyManager.registerKey('batch_small', 'pro');
+  const { slots, retryAt } = await keyManager.reserveSlots(50);
+  assert.equal(slots.length, 35, 'pro keys allow 35 requests per 30 seconds');
+  assert.equal(retryAt, slots[0].notBefore + 30_000, 'headroom returns when the first slot slides out');
+  const last = slots[slots.length - 1];
+  const outcome = await keyManager.releaseLease(last.leaseId, { used: false });
+  assert.equal(outcome.refunded, true);
+  const [refunded] = await keyManager.getAllKeysStatus();
+  assert.equal(refunded.usedInWindow, 34);
+  assert.equal(refunded.lastUsed, slots[slots.length - 2].notBefore);
+});
+
+test('reserveSlots follows the selection strategy between keys free at the same time', async () => {
+  await keyManager.registerKey('batch_drained', 'pro');
+  await keyManager.registerKey('batch_fresh', 'pro');
+  const hour = 3_600_000;
+  const now = Date.now();
+  await collection.updateOne(
+    { subscriptionId: 'batch_drained' },
+    { $set: { dailyBuckets: { [now - (now % hour) - 2 * hour]: 90_000 }, lastUsed: now - 2 * hour } }
+  );
+  process.env.KEY_SELECTION_STRATEGY = 'most-daily-headroom';
+  try {
+    const { slots } = await keyManager.reserveSlots(1);
+    assert.deepEqual(slots.map((slot) => slot.subscriptionId), ['batch_fresh']);
+  } finally {
+    delete process.env.KEY_SELECTION_STRATEGY;
+  }
+});
+
+test('the Redis store reserves within the 30-second and daily limits and refunds slots', async () => {
+  process.env.KEY_STORE_PREFIX = 'test:store';
+  try {
+    await redisKeyStore.syncKeys([{ subscriptionId: 'redis_store', rateLimit30s: 3, dailyLimit: 5, avgRequestIntervalMs: 0, lastUsed: 0 }]);
+    const now = Date.now();
+    const options = { now, windowMs: 30_000, dayMs: 86_400_000, bucketMs: 3_600_000 };
+    const reserveConcurrently = async (at) => (await Promise.all(
+      Array.from({ length: 10 }, () => redisKeyStore.reserveOne(['redis_store'], { ...options, now: at }))
+    )).filter(Boolean);
+    const first = await reserveConcurrently(now);
+    assert.equal(first.length, 3, 'concurrent reservations stop at rateLimit30s');
+    assert.deepEqual(first.map((reserved) => reserved.dayCount).sort(), [1, 2, 3]);
+    assert.equal((await reserveConcurrently(now + 31_000)).length, 2, 'and at dailyLimit once the window slid');
+    assert.equal(await redisKeyStore.reserveMany('redis_store', 4, { ...options, now: now + 31_000 }), null);
+
+    const lease = { subscriptionId: 'redis_store', grantedAt: now + 31_000, previousLastUsed: now };
+    assert.equal(await redisKeyStore.refund(lease, options), true);
+    const usage = (await redisKeyStore.readUsage(['redis_store'])).get('redis_store');
+    assert.equal(Object.values(usage.dailyBuckets).reduce((sum, count) => sum + count, 0), 4);
+    assert.equal(usage.windowLog.filter((at) => at === now + 31_000).length, 1);
+    assert.equal(usage.lastUsed, now, 'the spacing slot is handed back');
+    const batch = await redisKeyStore.reserveMany('redis_store', 4, { ...options, now: now + 62_000 });
+    assert.deepEqual(batch.times, [now + 62_000], 'the refunded slot can be reserved again');
+
+    assert.deepEqual([...(await redisKeyStore.takeDirty()).keys()], ['redis_store']);
+    assert.equal((await redisKeyStore.takeDirty()).size, 0, 'taking the dirty keys clears them');
+  } finally {
+    delete process.env.KEY_STORE_PREFIX;
+  }
+});
+
+test('the Redis store flushes usage to MongoDB and keeps the exhausted status in line', async () => {
+  process.env.KEY_STORE_BACKEND = 'redis';
+  process.env.KEY_STORE_PREFIX = 'test:flush';
+  try {
+    await keyManager.savePlan(planManager.validatePlan({ name: 'tiny', rateLimit30s: 5, dailyLimit: 2, avgRequestIntervalMs: 1 }).plan);
+    await keyManager.registerKey('redis_key', 'tiny');
+    assert.ok(await keyManager.getAvailableKey());
+    await wait(5);
+    const second = await keyManager.getAvailableKey();
+    assert.equal(second.subscriptionId, 'redis_key');
+    await wait(5);
+    assert.equal(await keyManager.getAvailableKey(), null, 'the daily limit holds');
+    assert.equal(collection.docs[0].windowLog.length, 0, 'MongoDB is only written by the flush');
+
+    assert.equal(await keyManager.flushKeyUsage(), 1);
+    assert.equal(collection.docs[0].status, 'exhausted');
+    assert.equal(collection.docs[0].windowLog.length, 2);
+    assert.equal(await keyManager.flushKeyUsage(), 0, 'unchanged keys are not flushed again');
+
+    assert.equal((await keyManager.releaseLease(second.leaseId, { used: false })).refunded, true);
+    assert.equal(await keyManager.flushKeyUsage(), 1);
+    assert.equal(collection.docs[0].status, 'active', 'the refund reactivates the key');
+    assert.equal(collection.docs[0].windowLog.length, 1);
+  } finally {
+    delete process.env.KEY_STORE_BACKEND;
+    delete process.env.KEY_STORE_PREFIX;
+  }
+});
+
+test('the 30-second limit slides instead of resetting in fixed buckets', async () => {
+  await keyManager.registerKey('sliding_window', 'pro');
+  const now = Date.now();
+  await collection.updateOne(
+    { subscriptionId: 'sliding_window' },
+    { $set: { windowLog: new Array(35).fill(now - 29_000), lastUsed: now - 29_000 } }
+  );
+  assert.equal(await keyManager.getAvailableKey(), null, 'usage from 29 seconds ago still counts');
+  const [capped] = await keyManager.getAllKeysStatus();
+  assert.equal(capped.usedInWindow, 35);
+
+  await collection.updateOne({ subscriptionId: 'sliding_window' }, { $set: { windowLog: new Array(35).fill(now - 31_000) } });
+  const grant = await keyManager.getAvailableKey();
+  assert.equal(grant.subscriptionId, 'sliding_window');
+  const [status] = await keyManager.getAllKeysStatus();
+  assert.equal(status.usedInWindow, 1, 'slots older than 30 seconds slide out of the log');
+});
+
+test('daily quota slides hour by hour and reactivates exhausted keys at selection', async () => {
+  await keyManager.registerKey('sliding_daily', 'pro');
+  const hour = 3_600_000;
+  const currentBucket = Date.now() - (Date.now() % hour);
+  await collection.updateOne(
+    { subscriptionId: 'sliding_daily' },
+    { $set: { dailyBuckets: { [currentBucket - 23 * hour]: 100_000 } } }
+  );
+  assert.equal(await keyManager.getAvailableKey(), null);
+  const [exhausted] = await keyManager.getAllKeysStatus();
+  assert.equal(exhausted.status, 'exhausted');
+  assert.equal(exhausted.usedDaily, 100_000);
+
+  await collection.updateOne(
+    { subscriptionId: 'sliding_daily' },
+    { $set: { dailyBuckets: { [currentBucket - 25 * hour]: 100_000, [currentBucket]: 5 } } }
+  );
+  const grant = await keyManager.getAvailableKey();
+  assert.equal(grant.subscriptionId, 'sliding_daily');
+  const [status] = await keyManager.getAllKeysStatus();
+  assert.equal(status.status, 'active');
+  assert.equal(status.usedDaily, 6, 'buckets older than 24 hours no longer count');
+});
+
+test('manual statuses keep keys out of rotation until they expire', async () => {
+  await keyManager.registerKey('manual_paused', 'pro');
+  const hour = 3_600_000;
+  const currentBucket = Date.now() - (Date.now() % hour);
+  await collection.updateOne({ subscriptionId: 'manual_paused' }, { $set: { dailyBuckets: { [currentBucket]: 40 } } });
+  const { state } = keyManager.validateKeyState({ status: 'Paused', reason: 'billing review', expiresAt: Date.now() + 60_000 });
+  const paused = await keyManager.setKeyState('manual_paused', state, { changedBy: 'ops' });
+  assert.equal(paused.status, 'paused');
+  assert.equal(paused.statusChangedBy, 'ops');
+
+  assert.equal(await keyManager.getAvailableKey(), null, 'paused keys are never granted');
+  assert.equal((await keyManager.reserveSlots(2)).slots.length, 0);
+  await keyManager.registerKey('manual_paused', 'ultimate');
+  const [afterSync] = await keyManager.getAllKeysStatus();
+  assert.equal(afterSync.status, 'paused', 're-registering (as the .env watcher does) keeps the manual status');
+  assert.equal(afterSync.usedDaily, 40, 'counters are kept while paused');
+
+  assert.deepEqual(await keyManager.expireKeyStates(), { reactivated: 0, drained: 0 });
+  await collection.updateOne({ subscriptionId: 'manual_paused' }, { $set: { statusExpiresAt: Date.now() - 1 } });
+  assert.deepEqual(await keyManager.expireKeyStates(), { reactivated: 1, drained: 0 });
+  const grant = await keyManager.getAvailableKey();
+  assert.equal(grant.subscriptionId, 'manual_paused');
+
+  const banned = await keyManager.setKeyState('manual_paused', keyManager.validateKeyState({ status: 'banned' }).state);
+  assert.equal(banned.status, 'banned');
+  assert.equal(collection.docs[0].bannedReason, 'Banned manually');
+  await keyManager.setKeyState('manual_paused', keyManager.validateKeyState({ status: 'active' }).state);
+  assert.equal(collection.docs[0].bannedReason, undefined, 'unbanning clears the ban');
+  assert.equal(await keyManager.setKeyState('missing', state), null);
+  assert.match(keyManager.validateKeyState({ status: 'active', expiresAt: Date.now() + 1000 }).error, /expiresAt/);
+  assert.match(keyManager.validateKeyState({ status: 'paused', expiresAt: '2000-01-01' }).error, /future/);
+  assert.match(keyManager.validateKeyState({ status: 'retired' }).error, /status must be one of/);
+});
+
+test('draining keys pause once their leases settle and resets clear counters', async () => {
+  await keyManager.registerKey('manual_draining', 'pro');
+  const grant = await keyManager.getAvailableKey();
+  await keyManager.setKeyState('manual_draining', keyManager.validateKeyState({ status: 'draining' }).state);
+  assert.deepEqual(await keyManager.expireKeyStates(), { reactivated: 0, drained: 0 }, 'outstanding leases keep it draining');
+  const release = await keyManager.releaseLease(grant.leaseId, { used: false });
+  assert.equal(release.refunded, true, 'leases on draining keys still settle');
+  assert.deepEqual(await keyManager.expireKeyStates(), { reactivated: 0, drained: 1 });
+  const [drained] = await keyManager.getAllKeysStatus();
+  assert.equal(drained.status, 'paused');
+
+  const hour = 3_600_000;
+  const currentBucket = Date.now() - (Date.now() % hour);
+  await collection.updateOne(
+    { subscriptionId: 'manual_draining' },
+    { $set: { windowLog: [Date.now()], dailyBuckets: { [currentBucket]: 100_000 } } }
+  );
+  const reset = await keyManager.resetKeyUsage('manual_draining');
+  assert.equal(reset.status, 'paused', 'resets keep manual statuses');
+  const [cleared] = await keyManager.getAllKeysStatus();
+  assert.equal(cleared.usedInWindow, 0);
+  assert.equal(cleared.usedDaily, 0);
+
+  await collection.updateOne({ subscriptionId: 'manual_draining' }, { $set: { status: 'exhausted', dailyBuckets: { [currentBucket]: 100_000 } } });
+  assert.equal((await keyManager.resetKeyUsage('manual_draining')).status, 'active', 'resets reactivate exhausted keys');
+  assert.equal(await keyManager.resetKeyUsage('missing'), null);
+});
+
+test('selection strategies rank the snapshot and grants consistently', async () => {
+  await keyManager.registerKey('strategy_recent', 'ultimate');
+  await keyManager.registerKey('strategy_idle', 'ultimate');
+  const bucket = String(Date.now() - (Date.now() % 3_600_000));
+  await collection.updateOne({ subscriptionId: 'strategy_recent' }, { $set: { lastUsed: Date.now() - 1_000, dailyBuckets: { [bucket]: 10 } } });
+  await collection.updateOne({ subscriptionId: 'strategy_idle' }, { $set: { lastUsed: Date.now() - 60_000, dailyBuckets: { [bucket]: 400_000 } } });
+
+  const roundRobin = await keyManager.getAvailableKeysSnapshot({ strategy: 'round-robin' });
+  assert.deepEqual(roundRobin.map((key) => key.subscriptionId), ['strategy_idle', 'strategy_recent']);
+  const headroom = await keyManager.getAvailableKeysSnapshot({ strategy: 'most-daily-headroom' });
+  assert.deepEqual(headroom.map((key) => key.subscriptionId), ['strategy_recent', 'strategy_idle']);
+
+  const grant = await keyManager.getAvailableKey({ strategy: 'most-daily-headroom' });
+  assert.equal(grant.subscriptionId, 'strategy_recent');
+  await assert.rejects(() => keyManager.getAvailableKey({ strategy: 'fastest' }), /Unknown key selection strategy/);
+});
+
+test('pools restrict grants, batches and status to their keys', async () => {
+  await keyManager.registerKey('pool_default', 'ultimate');
+  await keyManager.registerKey('pool_enrichment', 'ultimate', { pool: 'enrichment', tags: { team: 'sales' } });
+
+  const grant = await keyManager.getAvailableKey({ pool: 'enrichment' });
+  assert.equal(grant.subscriptionId, 'pool_enrichment');
+  assert.equal(grant.pool, 'enrichment');
+  assert.equal(await keyManager.getAvailableKey({ pool: 'enrichment' }), null, 'other pools are never borrowed from');
+  assert.equal(await keyManager.getAvailableKey({ pool: 'missing' }), null);
+
+  const { slots } = await keyManager.reserveSlots(3, { pool: 'default' });
+  assert.ok(slots.every((slot) => slot.subscriptionId === 'pool_default'));
+
+  const status = await keyManager.getAllKeysStatus({ pool: 'enrichment' });
+  assert.equal(status.length, 1);
+  assert.deepEqual(status[0].tags, { team: 'sales' });
+
+  await keyManager.registerKey('pool_enrichment', 'pro');
+  const [updated] = await keyManager.getAllKeysStatus({ pool: 'enrichment' });
+  assert.equal(updated.plan, 'pro', 'omitted labels are left alone on update');
+  assert.deepEqual(updated.tags, { team: 'sales' });
+});
+
+test('validateKeyLabels normalises pools and rejects bad tags', () => {
+  assert.deepEqual(keyManager.validateKeyLabels({ pool: ' Enrichment ', tags: { Team: 'sales', tier: 2 } }).labels, {
+    pool: 'enrichment',
+    tags: { team: 'sales', tier: '2' }
+  });
+  assert.deepEqual(keyManager.validateKeyLabels({}).labels, {});
+  assert.equal(keyManager.validateKeyLabels({ pool: 'bad pool' }).labels, null);
+  assert.equal(keyManager.validateKeyLabels({ tags: ['sales'] }).labels, null);
+  assert.equal(keyManager.validateKeyLabels({ tags: { pool: 'x' } }).labels, null);
+});
+
+test('client tokens authenticate and quotas cap grants until refunded', async () => {
+  const { client } = clientManager.validateClient({ clientId: 'Crawler', quotaPerMinute: 3 });
+  const { token } = await clientManager.createClient(client);
+  assert.match(token, /^mtc_/);
+  assert.equal(await clientManager.createClient(client), null, 'client IDs are unique');
+  assert.equal((await clientManager.authenticate(token)).clientId, 'crawler');
+  assert.equal(await clientManager.authenticate('mtc_wrong'), null);
+  assert.equal(clientsCollection.docs[0].tokenHash, clientManager.hashToken(token), 'only the hash is stored');
+
+  const first = await clientManager.consumeQuota('crawler', 2);
+  assert.equal(first.granted, 2);
+  const second = await clientManager.consumeQuota('crawler', 2);
+  assert.equal(second.granted, 1, 'grants stop at the minute quota');
+  assert.ok(second.retryAt > Date.now());
+  assert.equal((await clientManager.consumeQuota('crawler', 1)).granted, 0);
+
+  await clientManager.refundQuota('crawler', { at: first.at, count: 1 });
+  assert.equal((await clientManager.consumeQuota('crawler', 1)).granted, 1, 'refunds free quota again');
+
+  const rotated = await clientManager.rotateToken('crawler');
+  assert.equal(await clientManager.authenticate(token), null, 'rotation revokes the old token');
+  assert.equal((await clientManager.authenticate(rotated)).clientId, 'crawler');
+  assert.equal(clientManager.validateClient({ clientId: 'x', allowedPools: ['bad pool'] }).client, null);
+  assert.equal(clientManager.validateClient({ quotaPerDay: 0 }, { partial: true }).client, null);
+});
+
+test('parallel grants for one client stop at its quota without losing charges', async () => {
+  const { client } = clientManager.validateClient({ clientId: 'burst', quotaPerMinute: 5 });
+  await clientManager.createClient(client);
+  const charges = await Promise.all(Array.from({ length: 12 }, () => clientManager.consumeQuota('burst', 1)));
+  assert.equal(charges.filter((charge) => charge.granted).length, 5);
+  assert.ok(charges.filter((charge) => !charge.granted).every((charge) => charge.retryAt > Date.now()),
+    'only a used-up quota rejects grants');
+
+  await Promise.all(charges.filter((charge) => charge.granted).slice(0, 2)
+    .map((charge) => clientManager.refundQuota('burst', { at: charge.at, count: 1 })));
+  const batches = await Promise.all([clientManager.consumeQuota('burst', 2), clientManager.consumeQuota('burst', 2)]);
+  assert.equal(batches[0].granted + batches[1].granted, 2, 'parallel refunds all count');
+  assert.equal((await clientManager.getUsage('burst')).grants.lastMinute, 5);
+
+  const { client: unlimited } = clientManager.validateClient({ clientId: 'firehose' });
+  await clientManager.createClient(unlimited);
+  const grants = await Promise.all(Array.from({ length: 20 }, () => clientManager.consumeQuota('firehose', 3)));
+  assert.ok(grants.every((grant) => grant.granted === 3 && grant.at === null && grant.retryAt === null));
+  assert.deepEqual(clientsCollection.docs.find((doc) => doc.clientId === 'firehose').minuteBuckets, {},
+    'clients without quotas are not charged');
+});
+
+test('roles gate routes and AUTH_TOKENS_JSON defines config clients', async () => {
+  const { requireRole } = require('../src/clientAuth');
+  process.env.AUTH_TOKENS_JSON = JSON.stringify([{ clientId: 'ops', role: 'admin', token: 'ops-secret' }]);
+  try {
+    const { client } = clientManager.validateClient({ clientId: 'dashboard', role: 'viewer' });
+    const { token } = await clientManager.createClient(client);
+    assert.equal(clientManager.validateClient({ clientId: 'x', role: 'owner' }).client, null);
+    assert.equal(await clientManager.createClient(clientManager.validateClient({ clientId: 'ops' }).client), null);
+
+    const call = async (middleware, headers) => {
+      const req = { method: 'GET', originalUrl: '/status', ip: '127.0.0.1', get: (name) => headers[name] };
+      const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json() { return this; }
+      };
+      let passed = false;
+      await middleware(req, res, () => { passed = true; });
+      return { passed, status: res.statusCode, client: req.client };
+    };
+    const viewer = await call(requireRole('viewer'), { 'x-api-key': token });
+    assert.equal(viewer.passed, true);
+    assert.equal(viewer.client.role, 'viewer');
+    assert.equal((await call(requireRole('admin'), { authorization: `Bearer ${token}` })).status, 403);
+    assert.equal((await call(requireRole('viewer'), {})).status, 401);
+    const admin = await call(requireRole('consumer'), { authorization: 'Bearer ops-secret' });
+    assert.equal(admin.passed, true, 'admins pass every role check');
+    assert.equal(admin.client.source, 'config');
+    const quota = await clientManager.consumeQuota('ops', 5);
+    assert.equal(quota.granted, 5, 'config clients have no quotas');
+    assert.equal(quota.retryAt, null);
+  } finally {
+    delete process.env.AUTH_TOKENS_JSON;
+  }
+});
+
+test('grants are attributed to clients and reported in their usage', async () => {
+  await keyManager.registerKey('client_default', 'ultimate');
+  await keyManager.registerKey('client_enrichment', 'ultimate', { pool: 'enrichment' });
+  const { client } = clientManager.validateClient({ clientId: 'enricher', allowedPools: ['enrichment'], quotaPerDay: 100 });
+  await clientManager.createClient(client);
+
+  const quota = await clientManager.consumeQuota('enricher', 1);
+  const grant = await keyManager.getAvailableKey({ pool: client.allowedPools, clientId: 'enricher' });
+  assert.equal(grant.subscriptionId, 'client_enrichment', 'allowed pools limit the keys considered');
+  const { slots } = await keyManager.reserveSlots(2, { pool: client.allowedPools, clientId: 'enricher' });
+  assert.ok(slots.every((slot) => slot.subscriptionId === 'client_enrichment'));
+  assert.equal((await keyManager.releaseLease(slots[0].leaseId, { used: false, clientId: 'someone_else' })).result, 'not_found',
+    'clients cannot release leases granted to others');
+  await keyManager.releaseLease(grant.leaseId, { used: true, clientId: 'enricher' });
+  assert.ok(leasesCollection.docs.every((lease) => lease.clientId === 'enricher'));
+  assert.equal(await keyManager.hasClientLease('enricher', 'client_enrichment'), true);
+  assert.equal(await keyManager.hasClientLease('enricher', 'client_default'), false, 'outcomes only for keys the client used');
+
+  const usage = await clientManager.getUsage('enricher');
+  assert.equal(usage.grants.lastDay, quota.granted);
+  assert.equal(usage.remaining.day, 99);
+  assert.equal(usage.remaining.minute, null, 'no minute quota means unlimited');
+  assert.deepEqual(usage.leases, { outstanding: 2, used: 1, unused: 0, expired: 0 });
+  assert.equal(await clientManager.getUsage('missing'), null);
+});
+
+test('usage history buckets grants, refunds, waits and exhaustions', async () => {
+  await keyManager.registerKey('history_key', 'ultimate');
+  await keyManager.registerKey('history_exhausted', 'pro');
+  const hour = 3_600_000;
+  await collection.updateOne(
+    { subscriptionId: 'history_exhausted' },
+    { $set: { dailyBuckets: { [Date.now() - (Date.now() % hour)]: 100_000 } } }
+  );
+  const grant = await keyManager.getAvailableKey();
+  assert.equal(grant.subscriptionId, 'history_key');
+  await keyManager.reserveSlots(2);
+  await keyManager.releaseLease(grant.leaseId, { used: false });
+  usageHistory.recordWaits(3);
+
+  const { query } = usageHistory.parseUsageQuery({ keyId: 'history_key', granularity: 'minute', from: Date.now() - 60_000 });
+  const usage = await usageHistory.queryUsage(query);
+  assert.deepEqual(usage.totals, { grants: 3, refunds: 1, waits: 0, exhaustions: 0, cacheHits: 0, netGrants: 2 });
+  assert.ok(usage.buckets.every((bucket) => bucket.bucketStart % 60_000 === 0));
+  const exhausted = await usageHistory.queryUsage({ ...query, keyId: 'history_exhausted' });
+  assert.equal(exhausted.totals.exhaustions, 1);
+  const all = await usageHistory.queryUsage({ ...query, keyId: null, granularity: 'day', from: Date.now() - (Date.now() % 86_400_000) });
+  assert.equal(all.totals.waits, 3, 'waits are only reported across every key');
+  assert.equal(all.totals.exhaustions, 1);
+
+  assert.match(usageHistory.parseUsageQuery({ granularity: 'week' }).error, /granularity/);
+  assert.match(usageHistory.parseUsageQuery({ from: 'yesterday' }).error, /timestamps/);
+  assert.match(usageHistory.parseUsageQuery({ from: 2, to: 1 }).error, /before/);
+  assert.match(usageHistory.parseUsageQuery({ granularity: 'minute', from: 0 }).error, /more than/);
+});
+
+test('metrics expose masked per-key usage, responses and cron jobs', async () => {
+  await keyManager.registerKey('metrics_key_c123', 'pro', { pool: 'enrichment' });
+  await keyManager.getAvailableKey();
+  await metrics.collectKeyMetrics();
+  metrics.recordKeyResponse('single', 'ok');
+  metrics.recordKeyResponse('single', 'wait');
+  metrics.setQueueJobCounts({ waiting: 4, active: 1 });
+  const end = metrics.startCronJob('lease_expiry');
+  end({ failed: true });
+
+  const text = await metrics.register.metrics();
+  const labels = 'key="****c123",plan="pro",pool="enrichment"';
+  assert.ok(text.includes(`mailtester_key_window_used{${labels}} 1\n`));
+  assert.ok(text.includes(`mailtester_key_window_remaining{${labels}} 34\n`));
+  assert.ok(text.includes(`mailtester_key_daily_remaining{${labels}} 99999\n`));
+  assert.ok(!text.includes('metrics_key_c123'), 'subscription IDs stay out of the metrics');
+  assert.match(text, /mailtester_key_responses_total\{mode="single",status="wait"\} 1\n/);
+  assert.match(text, /mailtester_key_queue_jobs\{state="waiting"\} 4\n/);
+  assert.match(text, /mailtester_cron_job_failures_total\{job="lease_expiry"\} 1\n/);
+  assert.match(text, /mailtester_cron_job_duration_seconds_count\{job="lease_expiry"\} 1\n/);
+  assert.match(text, /mailtester_lease_write_seconds_count [1-9]\d*\n/, 'lease inserts on the grant path are timed');
+
+  await keyManager.deleteKey('metrics_key_c123');
+  await metrics.collectKeyMetrics();
+  assert.ok(!(await metrics.register.metrics()).includes('****c123'), 'deleted keys drop out');
+});
+
+test('notifier signs, formats, deduplicates, rate-limits and retries webhooks', async () => {
+  const received = [];
+  let flakyHits = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      if (req.url === '/flaky' && (flakyHits += 1) === 1) {
+        res.writeHead(503).end();
+        return;
+      }
+      received.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.NOTIFY_WEBHOOKS_JSON = JSON.stringify([
+    { url: `${base}/generic`, secret: 'shh' },
+    { url: `${base}/slack`, format: 'slack', events: ['key_banned'] },
+    { url: `${base}/flaky`, events: ['key_removed'] }
+  ]);
+  process.env.NOTIFY_RATE_LIMIT_PER_MINUTE = '3';
+  process.env.NOTIFY_RETRY_BASE_MS = '10';
+  try {
+    const banned = await notifier.notify('key_banned', { subscriptionId: 'notify_key', reason: 'leaked' });
+    assert.deepEqual(banned, ['sent', 'sent']);
+    const generic = received.find((entry) => entry.path === '/generic');
+    const expected = crypto.createHmac('sha256', 'shh')
+      .update(`${generic.headers['x-mailtester-timestamp']}.${generic.body}`).digest('hex');
+    assert.equal(generic.headers['x-mailtester-signature'], `sha256=${expected}`);
+    assert.equal(JSON.parse(generic.body).message, 'Key notify_key was banned: leaked');
+    const slack = received.find((entry) => entry.path === '/slack');
+    assert.match(JSON.parse(slack.body).text, /\[key_banned\] Key notify_key was banned/);
+    assert.deepEqual(await notifier.notify('key_banned', { subscriptionId: 'notify_key', reason: 'again' }), [],
+      'repeats for the same key are deduplicated');
+
+    const pools = [
+      { pool: 'default', keys: 2, usableKeys: 1, dailyRemaining: 90, dailyLimit: 1_000 },
+      { pool: 'bulk', keys: 1, usableKeys: 1, dailyRemaining: 60_000, dailyLimit: 500_000 }
+    ];
+    assert.equal(await notifier.checkPoolCapacity(pools), 1, 'pools below 10% of their daily limit alert before running out');
+    assert.equal(JSON.parse(received.find((entry) => entry.path === '/generic' && entry.body.includes('pool_capacity_low')).body).details.threshold, 100);
+    assert.deepEqual(await notifier.checkQueueWait(1_000), [], 'short waits are not reported');
+    assert.deepEqual(await notifier.checkQueueWait(90_000), ['sent']);
+    assert.deepEqual(await notifier.notify('key_removed', { subscriptionId: 'notify_key', reason: 'gone' }), ['rate_limited', 'sent']);
+    assert.equal(flakyHits, 2, 'the failed delivery was retried');
+    assert.equal(received.filter((entry) => entry.path === '/generic').length, 3);
+  } finally {
+    delete process.env.NOTIFY_WEBHOOKS_JSON;
+    delete process.env.NOTIFY_RATE_LIMIT_PER_MINUTE;
+    delete process.env.NOTIFY_RETRY_BASE_MS;
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('notifier sends an event again when no target received it', async () => {
+  let up = false;
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => res.writeHead(up ? 204 : 503).end());
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.NOTIFY_WEBHOOKS_JSON = JSON.stringify([{ url: `http://127.0.0.1:${server.address().port}/down` }]);
+  process.env.NOTIFY_MAX_ATTEMPTS = '1';
+  process.env.NOTIFY_RATE_LIMIT_PER_MINUTE = '2';
+  try {
+    const details = { subscriptionId: 'lost_key', reason: 'leaked' };
+    assert.deepEqual(await notifier.notify('key_banned', details), ['failed']);
+    up = true;
+    assert.deepEqual(await notifier.notify('key_banned', details), ['sent'], 'a failed delivery is not deduplicated');
+    assert.deepEqual(await notifier.notify('key_banned', details), []);
+
+    const limited = { subscriptionId: 'limited_key', reason: 'leaked' };
+    assert.deepEqual(await notifier.notify('key_banned', limited), ['rate_limited']);
+    process.env.NOTIFY_RATE_LIMIT_PER_MINUTE = '3';
+    assert.deepEqual(await notifier.notify('key_banned', limited), ['sent'], 'a rate-limited event is not deduplicated');
+  } finally {
+    delete process.env.NOTIFY_WEBHOOKS_JSON;
+    delete process.env.NOTIFY_MAX_ATTEMPTS;
+    delete process.env.NOTIFY_RATE_LIMIT_PER_MINUTE;
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('getCapacity totals headroom, throughput and forecast by pool and plan', async () => {
+  await keyManager.registerKey('capacity_a', 'pro');
+  await keyManager.registerKey('capacity_b', 'pro');
+  await keyManager.registerKey('capacity_bulk', 'ultimate', { pool: 'bulk' });
+  const hour = 3_600_000;
+  const now = Date.now();
+  await collection.updateOne(
+    { subscriptionId: 'capacity_a' },
+    { $set: { dailyBuckets: { [now - (now % hour) - 10 * hour]: 98_000, [now - (now % hour)]: 1_000 }, lastUsed: now } }
+  );
+  await keyManager.setKeyState('capacity_b', { status: 'paused', reason: null, expiresAt: null });
+
+  const capacity = await keyManager.getCapacity({ now });
+  assert.equal(capacity.keys, 3);
+  assert.equal(capacity.usableKeys, 2, 'paused keys add no capacity');
+  assert.equal(capacity.dailyRemaining, 501_000);
+  assert.equal(capacity.dailyLimit, 600_000, 'paused keys add no daily limit');
+  assert.equal(capacity.windowRemaining, 35 + 170);
+  assert.equal(capacity.maxThroughputPerSecond, Math.round((1000 / 860 + 170 / 30) * 100) / 100, 'spacing, capped by the 30-second limit');
+  assert.ok(capacity.burnRatePerHour > 0);
+  assert.ok(capacity.dailyExhaustionAt > now);
+  assert.equal(capacity.earliestNextRequestAllowedAt, now, 'the unused bulk key is already free');
+
+  const [defaultPool] = capacity.byPool;
+  assert.equal(defaultPool.pool, 'default');
+  assert.equal(defaultPool.earliestNextRequestAllowedAt, now + 860);
+  assert.deepEqual(capacity.byPlan.map(({ plan, usableKeys }) => [plan, usableKeys]), [['pro', 1], ['ultimate', 1]]);
+  const bulk = await keyManager.getCapacity({ pool: 'bulk' });
+  assert.equal(bulk.dailyRemaining, 500_000);
+  assert.equal(bulk.dailyExhaustionAt, null, 'no burn means no projected exhaustion');
+});
+
+test('getWaitHint reports the limit that frees a key first', async () => {
+  assert.deepEqual(await keyManager.getWaitHint(), { waitMs: null, retryAt: null, reason: 'no_keys' });
+  await keyManager.registerKey('hint_key', 'pro');
+  await keyManager.getAvailableKey();
+  let hint = await keyManager.getWaitHint();
+  assert.equal(hint.reason, 'spacing');
+  assert.ok(hint.waitMs > 0 && hint.waitMs <= 860);
+
+  const now = Date.now();
+  await collection.updateOne({ subscriptionId: 'hint_key' }, { $set: { lastUsed: 0, windowLog: new Array(35).fill(now - 10_000) } });
+  hint = await keyManager.getWaitHint();
+  assert.equal(hint.reason, 'window');
+  assert.ok(hint.waitMs > 15_000 && hint.waitMs <= 20_000, 'waits for the 30-second window to roll over');
+
+  const hour = 3_600_000;
+  await collection.updateOne({ subscriptionId: 'hint_key' }, { $set: { dailyBuckets: { [now - (now % hour) - 23 * hour]: 100_000 } } });
+  hint = await keyManager.getWaitHint();
+  assert.equal(hint.reason, 'daily');
+  assert.equal(hint.retryAt, now - (now % hour) + 2 * hour, 'waits for the bucket to leave the sliding day');
+
+  await keyManager.setKeyState('hint_key', { status: 'paused', reason: null, expiresAt: null });
+  assert.equal((await keyManager.getWaitHint()).reason, 'no_keys');
+});
+
+test('verifyEmail retries throttled keys on another key and reports outcomes', async () => {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    calls.push(url.searchParams.get('key'));
+    if (calls.length === 1) {
+      res.writeHead(429).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ email: url.searchParams.get('email'), code: 'ko', message: 'Rejected', mx: 'mx.example.com' }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.MAILTESTER_BASE_URL = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    await keyManager.registerKey('verify_a', 'pro');
+    await keyManager.registerKey('verify_b', 'pro');
+    const verification = await mailtesterClient.verifyEmail('someone@example.com');
+    assert.equal(verification.status, 'ok');
+    assert.equal(verification.result, 'invalid');
+    assert.equal(verification.mx, 'mx.example.com');
+    assert.equal(verification.attempts, 2);
+    assert.notEqual(calls[0], calls[1], 'the retry used another key');
+    assert.equal(verification.subscriptionId, calls[1]);
+
+    const statuses = await keyManager.getAllKeysStatus();
+    const throttled = statuses.find((key) => key.subscriptionId === calls[0]);
+    assert.ok(throttled.cooldownUntil > Date.now(), 'the 429 cooled the first key down');
+    assert.equal(throttled.usedDaily, 0, 'the throttled slot was refunded');
+    assert.equal(statuses.find((key) => key.subscriptionId === calls[1]).lastOutcome, 'ok');
+
+    const waited = await mailtesterClient.verifyEmail('someone@example.com', { fresh: true });
+    assert.equal(waited.status, 'wait', 'both keys are cooling down or spaced out');
+    assert.equal(waited.attempts, 0);
+  } finally {
+    delete process.env.MAILTESTER_BASE_URL;
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('bulk jobs verify a list within their concurrency cap and stream the results', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const server = http.createServer((req, res) => {
+    const email = new URL(req.url, 'http://localhost').searchParams.get('email');
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight -= 1;
+      const rejected = email.startsWith('bad');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ email, code: rejected ? 'ko' : 'ok', message: rejected ? 'Rejected, "no mailbox"' : 'Accepted' }));
+    }, 20);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.MAILTESTER_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  try {
+    for (const id of ['bulk_a', 'bulk_b', 'bulk_c']) {
+      await keyManager.registerKey(id, 'ultimate');
+    }
+    const { client } = clientManager.validateClient({ clientId: 'lists' });
+    await clientManager.createClient(client);
+
+    const parsed = bulkJobs.parseEmailList('name,Email\nAnn,ann@example.com\nBob,"bad@example.com"\nNo,not-an-email\n\nCid,cid@example.com\n');
+    assert.deepEqual(parsed, { emails: ['ann@example.com', 'bad@example.com', 'cid@example.com'], rejected: 1 });
+    assert.equal(bulkJobs.parseEmailList(['nobody']).emails, null);
+    assert.equal(bulkJobs.parseConcurrency('500'), false);
+
+    const job = await bulkJobs.createJob({ clientId: 'lists', ...parsed, concurrency: 2 });
+    assert.equal((await bulkJobs.transitionJob(job.jobId, 'pause')).result, 'ok');
+    assert.equal((await bulkJobs.runJob(job.jobId, 1)).status, 'paused', 'paused jobs do not run');
+    assert.equal((await bulkJobs.transitionJob(job.jobId, 'pause')).result, 'conflict');
+    assert.equal((await bulkJobs.transitionJob(job.jobId, 'resume')).job.run, 2);
+    assert.equal((await bulkJobs.runJob(job.jobId, 1)).status, 'queued', 'runs from before the resume do nothing');
+
+    const done = await bulkJobs.runJob(job.jobId, 2);
+    assert.equal(done.status, 'completed');
+    assert.deepEqual(done.counts, { valid: 2, invalid: 1, catch_all: 0, unknown: 0, error: 0 });
+    assert.equal(bulkJobs.toPublicJob(done).progress, 1);
+    assert.ok(maxInFlight <= 2, 'no more verifications in flight than the cap');
+    assert.equal((await bulkJobs.transitionJob(job.jobId, 'cancel')).result, 'conflict');
+
+    const csv = [];
+    for await (const line of bulkJobs.iterateResultLines(job.jobId, 'csv')) {
+      csv.push(line);
+    }
+    assert.equal(csv.length, 4);
+    assert.equal(csv[0], 'email,result,code,message,mx,outcome,cached,attempts,verifiedAt\n');
+    assert.match(csv[2], /^bad@example\.com,invalid,ko,"Rejected, ""no mailbox""",,ok,false,1,\d+\n$/);
+    const { value } = await bulkJobs.iterateResultLines(job.jobId, 'jsonl').next();
+    const line = JSON.parse(value);
+    assert.equal(line.email, 'ann@example.com');
+    assert.equal(line.result, 'valid');
+
+    // A job left running by a restart carries on with its pending addresses.
+    const interrupted = await bulkJobs.createJob({ clientId: 'lists', emails: ['dee@example.com'] });
+    await jobsCollection.updateOne({ jobId: interrupted.jobId }, { $set: { status: 'running' } });
+    assert.equal((await bulkJobs.listResumableJobs()).length, 1);
+    assert.equal((await bulkJobs.runJob(interrupted.jobId, 1)).processed, 1);
+  } finally {
+    delete process.env.MAILTESTER_BASE_URL;
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('verification cache answers repeat addresses until their result TTL passes', async () => {
+  let calls = 0;
+  const server = http.createServer((req, res) => {
+    const email = new URL(req.url, 'http://localhost').searchParams.get('email');
+    calls += 1;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ email, code: email.startsWith('catch') ? 'mb' : 'ok', message: 'Accepted' }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.MAILTESTER_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.VERIFY_CACHE_CATCH_ALL_TTL_MS = '0';
+  const cacheHits = async () => (await metrics.register.getSingleMetric('mailtester_verify_cache_lookups_total').get())
+    .values.find((value) => value.labels.result === 'hit')?.value || 0;
+  try {
+    for (const id of ['cache_a', 'cache_b', 'cache_c', 'cache_d']) {
+      await keyManager.registerKey(id, 'ultimate');
+    }
+    const hitsBefore = await cacheHits();
+    const first = await mailtesterClient.verifyEmail('Someone@Example.com');
+    assert.equal(first.cached, false);
+    const repeat = await mailtesterClient.verifyEmail(' someone@example.com');
+    assert.equal(repeat.status, 'ok');
+    assert.equal(repeat.cached, true);
+    assert.equal(repeat.result, 'valid');
+    assert.equal(repeat.attempts, 0);
+    assert.equal(calls, 1, 'the repeat did not call MailTester');
+    assert.equal((await mailtesterClient.verifyEmail('someone@example.com', { fresh: true })).cached, false);
+    assert.equal(calls, 2);
+
+    await mailtesterClient.verifyEmail('catch@example.com');
+    await mailtesterClient.verifyEmail('catch@example.com');
+    assert.equal(calls, 4, 'a TTL of 0 keeps catch-all results out of the cache');
+
+    await verificationCacheCollection.updateOne({ email: 'someone@example.com' }, { $set: { expireAt: new Date(Date.now() - 1) } });
+    await wait(200);
+    assert.equal((await mailtesterClient.verifyEmail('someone@example.com')).cached, false, 'expired entries are misses');
+
+    assert.equal(await cacheHits() - hitsBefore, 1);
+    const { query } = usageHistory.parseUsageQuery({});
+    assert.equal((await usageHistory.queryUsage(query)).totals.cacheHits, 1);
+    assert.equal(verificationCache.parseFresh('TRUE'), true);
+    assert.equal(verificationCache.parseFresh(undefined), false);
+    assert.equal(verificationCache.parseFresh('maybe'), null);
+  } finally {
+    delete process.env.MAILTESTER_BASE_URL;
+    delete process.env.VERIFY_CACHE_CATCH_ALL_TTL_MS;
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('queue priorities order lanes and interleave callers by weight', async () => {
+  process.env.KEY_QUEUE_WEIGHTS_JSON = JSON.stringify({ sales: 2 });
+  const tickets = [];
+  const admit = async (request) => {
+    const ticket = await queueFairness.admit(request);
+    tickets.push(ticket);
+    return ticket.priority;
+  };
+  const admitMany = async (count, request) => {
+    const priorities = [];
+    for (let index = 0; index < count; index += 1) {
+      priorities.push(await admit(request));
+    }
+    return priorities;
+  };
+  try {
+    assert.equal(queueFairness.parseLane(undefined), 'normal');
+    assert.equal(queueFairness.parseLane('Interactive'), 'interactive');
+    assert.equal(queueFairness.parseLane('urgent'), false);
+
+    const crawler = await admitMany(3, { lane: 'normal', clientId: 'crawler' });
+    assert.deepEqual(crawler.map((priority) => priority - crawler[0]), [0, 1, 2]);
+    const sales = await admitMany(3, { lane: 'normal', clientId: 'sales' });
+    assert.deepEqual(sales.map((priority) => priority - crawler[0]), [0, 0, 1], 'weight 2 takes two turns per rank');
+    assert.ok(await admit({ lane: 'interactive', clientId: 'crawler' }) < crawler[0], 'interactive goes before normal');
+    assert.ok(await admit({ lane: 'bulk', clientId: 'sales' }) > crawler[2], 'bulk goes after normal');
+
+    await Promise.all(tickets.splice(0).map((ticket) => ticket.release()));
+    assert.equal(await admit({ clientId: 'crawler' }), crawler[0], 'an idle lane starts over');
+
+    process.env.KEY_QUEUE_FAIRNESS = 'none';
+    assert.equal(await admit({ clientId: 'crawler' }), crawler[0], 'without fairness a lane is first come, first served');
+    process.env.KEY_QUEUE_FAIRNESS = 'pool';
+    assert.equal(await admit({ clientId: 'a', pool: 'vip' }), crawler[0]);
+    assert.equal(await admit({ clientId: 'b', pool: 'vip' }), crawler[0] + 1, 'pool fairness groups every client of a pool');
+  } finally {
+    await Promise.all(tickets.map((ticket) => ticket.release()));
+    delete process.env.KEY_QUEUE_WEIGHTS_JSON;
+    delete process.env.KEY_QUEUE_FAIRNESS;
+  }
+});
+
+test('fair queueing serves old requests of a heavy caller while newcomers keep arriving', async () => {
+  // Stands in for BullMQ: lowest priority first, then first in.
+  const queued = [];
+  let arrivals = 0;
+  const enqueue = async (clientId) => {
+    queued.push({ clientId, ticket: await queueFairness.admit({ clientId }), arrival: arrivals++ });
+  };
+  const serveNext = async () => {
+    queued.sort((a, b) => a.ticket.priority - b.ticket.priority || a.arrival - b.arrival);
+    const next = queued.shift();
+    await queueFairness.markServed({ lane: 'normal', virtualStart: next.ticket.virtualStart });
+    await next.ticket.release();
+    return next.clientId;
+  };
+  try {
+    for (let index = 0; index < 5; index += 1) {
+      await enqueue('heavy');
+    }
+    const served = [];
+    while (served.filter((clientId) => clientId === 'heavy').length < 5) {
+      await enqueue('light');
+      served.push(await serveNext());
+      assert.ok(served.length <= 10, `heavy requests starve behind newcomers: ${served.join(', ')}`);
+    }
+    assert.deepEqual(served.slice(0, 4), ['heavy', 'light', 'heavy', 'light'], 'callers take turns');
+  } finally {
+    await Promise.all(queued.map(({ ticket }) => ticket.release()));
+  }
+});
+
+test('the key dispatcher serves queued waiters in order as soon as keys free up', async () => {
+  process.env.KEY_QUEUE_BACKOFF_MS = '5000';
+  try {
+    await keyManager.registerKey('dispatch_fast', 'ultimate');
+    const served = [];
+    const startedAt = Date.now();
+    const grants = await Promise.all([0, 1, 2, 3].map(async (index) => {
+      const key = await keyDispatcher.waitForKey({ clientId: `waiter_${index}` });
+      served.push(index);
+      return key;
+    }));
+    const elapsedMs = Date.now() - startedAt;
+    assert.deepEqual(served, [0, 1, 2, 3], 'waiters are served first come, first served');
+    assert.ok(grants.every((grant) => grant && grant.subscriptionId === 'dispatch_fast'));
+    assert.ok(elapsedMs >= 3 * 170 - 20 && elapsedMs < 1500, `served at the key's spacing, not the backoff (${elapsedMs}ms)`);
+
+    let cancelled = false;
+    const dropped = keyDispatcher.waitForKey({ clientId: 'gone' }, { isCancelled: async () => cancelled });
+    const next = keyDispatcher.waitForKey({ clientId: 'next' });
+    cancelled = true;
+    assert.equal(await dropped, null, 'cancelled waiters leave the line without a key');
+    assert.equal((await next).subscriptionId, 'dispatch_fast');
+
+    // A refunded lease wakes the waiter instead of the 860 ms spacing.
+    await keyManager.registerKey('dispatch_slow', 'pro', { pool: 'slow' });
+    const grant = await keyManager.getAvailableKey({ pool: 'slow' });
+    const waiting = keyDispatcher.waitForKey({ pool: 'slow' });
+    await wait(50);
+    const refundedAt = Date.now();
+    await keyManager.releaseLease(grant.leaseId, { used: false });
+    assert.equal((await waiting).subscriptionId, 'dispatch_slow');
+    assert.ok(Date.now() - refundedAt < 400, 'the refund wakes the waiter');
+
+    await keyManager.setKeyState('dispatch_slow', { status: 'paused', reason: null, expiresAt: null });
+    assert.equal(await keyDispatcher.waitForKey({ pool: 'slow' }, { deadline: Date.now() + 100 }), null, 'waiters give up at their deadline');
+  } finally {
+    keyDispatcher.stopDispatcher();
+    delete process.env.KEY_QUEUE_BACKOFF_MS;
+  }
+});
+
+test('queued requests leave the queue when their caller hangs up or times out', async () => {
+  await keyManager.registerKey('queued_key', 'ultimate');
+  const { client } = clientManager.validateClient({ clientId: 'waiter', quotaPerMinute: 1 });
+  const { token } = await clientManager.createClient(client);
+  const headers = { authorization: `Bearer ${token}` };
+
+  await withRoutes(async (base) => {
+    const url = `${base}/key/available/queued`;
+    const hangUp = async () => {
+      const controller = new AbortController();
+      const pending = fetch(url, { headers, signal: controller.signal }).catch(() => null);
+      await waitFor(() => keyQueueStub.jobs.length === 1);
+      const [job] = keyQueueStub.jobs;
+      return { job, abort: async () => { controller.abort(); await pending; } };
+    };
+
+    const waiting = await hangUp();
+    await waiting.abort();
+    await waitFor(() => keyQueueStub.jobs.length === 0);
+
+    process.env.KEY_QUEUE_REQUEST_TIMEOUT_MS = '50';
+    try {
+      const timedOut = await fetch(url, { headers });
+      assert.equal(timedOut.status, 429, 'the quota was refunded after the hang-up');
+      assert.equal((await timedOut.json()).status, 'wait');
+      await waitFor(() => keyQueueStub.jobs.length === 0);
+    } finally {
+      delete process.env.KEY_QUEUE_REQUEST_TIMEOUT_MS;
+    }
+
+    // A worker already serving the request is told to drop it; a key it
+    // granted before noticing goes back unused.
+    const served = await hangUp();
+    keyQueueStub.start(served.job);
+    await served.abort();
+    await waitFor(() => served.job.data.abandoned === true);
+    const key = await keyManager.getAvailableKey({ clientId: 'waiter' });
+    keyQueueStub.complete(served.job, key);
+    await waitFor(() => leasesCollection.docs.find((lease) => lease.leaseId === key.leaseId).status === 'unused');
+
+    const granted = fetch(url, { headers });
+    await waitFor(() => keyQueueStub.jobs.length === 1);
+    const next = await keyManager.getAvailableKey({ clientId: 'waiter' });
+    keyQueueStub.complete(keyQueueStub.jobs[0], next);
+    const response = await granted;
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).key.leaseId, next.leaseId);
+    assert.equal((await clientManager.consumeQuota('waiter', 1)).granted, 0, 'a key handed over keeps its quota');
+  });
+});
+
+test('admins cancel queued requests and drain the ones still waiting', async () => {
+  await keyManager.registerKey('drained_key', 'ultimate');
+  const clientHeaders = async (clientId, role) => {
+    const { client } = clientManager.validateClient({ clientId, role, quotaPerMinute: role ? undefined : 1 });
+    const { token } = await clientManager.createClient(client);
+    return { authorization: `Bearer ${token}`, 'content-type': 'application/json' };
+  };
+  const holder = await clientHeaders('holder');
+  const poller = await clientHeaders('poller');
+  const admin = await clientHeaders('operator', 'admin');
+
+  await withRoutes(async (base) => {
+    const cancel = (jobId) => fetch(`${base}/queue/jobs/${jobId}`, { method: 'DELETE', headers: admin });
+    const requestTicket = async () => (await fetch(`${base}/key/requests`, { method: 'POST', headers: poller, body: '{}' })).json();
+
+    const held = fetch(`${base}/key/available/queued`, { headers: holder });
+    await waitFor(() => keyQueueStub.jobs.length === 1);
+    const [waiting] = keyQueueStub.jobs;
+    assert.equal((await cancel(waiting.id)).status, 200);
+    const cancelled = await held;
+    assert.equal(cancelled.status, 503);
+    assert.equal((await cancelled.json()).status, 'cancelled');
+    assert.equal((await cancel(waiting.id)).status, 404);
+
+    // The refunded quota queues the next request; once a worker serves it,
+    // it can no longer be cancelled.
+    const served = fetch(`${base}/key/available/queued`, { headers: holder });
+    await waitFor(() => keyQueueStub.jobs.length === 1);
+    const [active] = keyQueueStub.jobs;
+    keyQueueStub.start(active);
+    assert.equal((await cancel(active.id)).status, 409);
+
+    const ticket = await requestTicket();
+    assert.equal((await cancel(ticket.ticketId)).status, 200);
+    const ticketStatus = await fetch(`${base}/key/requests/${ticket.ticketId}`, { headers: poller });
+    assert.equal((await ticketStatus.json()).status, 'cancelled');
+
+    const drained = await requestTicket();
+    assert.equal(drained.status, 'pending', 'the cancelled ticket refunded its quota');
+    const drain = await fetch(`${base}/queue/drain`, { method: 'POST', headers: admin });
+    assert.deepEqual(await drain.json(), { cancelled: 1 });
+    assert.deepEqual(keyQueueStub.jobs, [active], 'drain skips requests being served');
+    assert.equal((await keyTickets.getTicket(drained.ticketId)).status, 'cancelled');
+
+    const key = await keyManager.getAvailableKey({ clientId: 'holder' });
+    keyQueueStub.complete(active, key);
+    assert.equal((await (await served).json()).key.leaseId, key.leaseId);
+  });
+});
+
+test('queue listings page through plain and prioritized jobs in pick-up order', async () => {
+  const { client } = clientManager.validateClient({ clientId: 'watcher', role: 'viewer' });
+  const { token } = await clientManager.createClient(client);
+  const headers = { authorization: `Bearer ${token}` };
+  for (const [clientId, priority] of [['plain-1'], ['plain-2'], ['late', 300], ['early', 100], ['middle', 200]]) {
+    await keyQueueStub.add('key-request', { clientId }, { priority });
+  }
+
+  await withRoutes(async (base) => {
+    const listPage = async (offset) => {
+      const response = await fetch(`${base}/queue/jobs?limit=2&offset=${offset}`, { headers });
+      return response.json();
+    };
+    const pages = [await listPage(0), await listPage(2), await listPage(4)];
+    assert.ok(pages.every((page) => page.total === 5));
+    assert.deepEqual(pages.map((page) => page.jobs.map((job) => job.clientId)),
+      [['plain-1', 'plain-2'], ['early', 'middle'], ['late']]);
+    const stats = await (await fetch(`${base}/queue/stats`, { headers })).json();
+    assert.equal(stats.counts.waiting, 5);
+  });
+});
+
+test('key request tickets hand over their key once and give uncollected keys back', async () => {
+  await keyManager.registerKey('ticket_key', 'pro');
+  const { client } = clientManager.validateClient({ clientId: 'poller', quotaPerMinute: 1 });
+  await clientManager.createClient(client);
+  const quota = await clientManager.consumeQuota('poller', 1);
+  const ticket = await keyTickets.createTicket({ clientId: 'poller', priority: 'normal', quotaAt: quota.at });
+  assert.equal(keyTickets.toPublicTicket(ticket).status, 'pending');
+
+  const key = await keyManager.getAvailableKey({ clientId: 'poller' });
+  assert.equal(await keyTickets.recordGrant(ticket.ticketId, key), true);
+  const collected = keyTickets.toPublicTicket(await keyTickets.collectTicket(ticket.ticketId));
+  assert.equal(collected.status, 'granted');
+  assert.equal(collected.key.leaseId, key.leaseId);
+  assert.equal((await keyTickets.collectTicket(ticket.ticketId)).status, 'collected', 'later reads see the same grant');
+  assert.equal(await keyTickets.expireUncollectedTickets(Date.now() + 60_000), 0, 'collected tickets never expire');
+
+  // A grant nobody collects goes back to the key and the client's quota.
+  await keyManager.releaseLease(key.leaseId, { used: false });
+  const abandoned = await keyTickets.createTicket({ clientId: 'poller', priority: 'normal', quotaAt: quota.at });
+  const lateKey = await keyManager.getAvailableKey({ clientId: 'poller' });
+  await keyTickets.recordGrant(abandoned.ticketId, lateKey);
+  assert.equal(await keyTickets.expireUncollectedTickets(Date.now() + 60_000), 1);
+  assert.equal((await keyTickets.collectTicket(abandoned.ticketId)).status, 'expired');
+  assert.equal(leasesCollection.docs.find((lease) => lease.leaseId === lateKey.leaseId).status, 'unused');
+  assert.equal((await clientManager.consumeQuota('poller', 1)).granted, 1, 'the quota was refunded');
+
+  // Keys for tickets that are no longer pending are released straight away.
+  const straggler = await keyManager.getAvailableKey();
+  assert.equal(await keyTickets.recordGrant(abandoned.ticketId, straggler), false);
+  assert.equal(leasesCollection.docs.find((lease) => lease.leaseId === straggler.leaseId).status, 'unused');
+
+  const timedOut = await keyTickets.createTicket({ clientId: 'poller', priority: 'bulk', quotaAt: Date.now() });
+  await keyTickets.recordTimeout(timedOut.ticketId, { retryAt: Date.now() + 5000, reason: 'spacing' });
+  const hint = keyTickets.toPublicTicket(await keyTickets.getTicket(timedOut.ticketId));
+  assert.equal(hint.status, 'timeout');
+  assert.equal(hint.reason, 'spacing');
+  assert.ok(hint.waitMs > 0 && hint.waitMs <= 5000);
+
+  // Cancelling a pending ticket refunds its quota; settled tickets stay put.
+  const { client: canceller } = clientManager.validateClient({ clientId: 'canceller', quotaPerMinute: 1 });
+  await clientManager.createClient(canceller);
+  const charge = await clientManager.consumeQuota('canceller', 1);
+  const cancelled = await keyTickets.createTicket({ clientId: 'canceller', priority: 'normal', quotaAt: charge.at });
+  assert.equal(await keyTickets.cancelTicket(cancelled.ticketId), true);
+  assert.equal(keyTickets.toPublicTicket(await keyTickets.getTicket(cancelled.ticketId)).status, 'cancelled');
+  assert.equal((await clientManager.consumeQuota('canceller', 1)).granted, 1, 'the quota was refunded');
+  assert.equal(await keyTickets.cancelTicket(cancelled.ticketId), false);
+  assert.equal(await keyTickets.cancelTicket(timedOut.ticketId), false);
+});
+
+test('queue stats report wait percentiles for granted requests in the window', () => {
+  process.env.KEY_QUEUE_STATS_WINDOW_MS = '60000';
+  try {
+    const now = Date.now();
+    queueStats.recordWait('granted', 9000, now - 120_000);
+    for (let waitedMs = 10; waitedMs <= 1000; waitedMs += 10) {
+      queueStats.recordWait('granted', waitedMs, now - 1000);
+    }
+    queueStats.recordWait('timeout', 30_000, now - 500);
+    queueStats.recordWait('abandoned', 200, now);
+    const stats = queueStats.getWaitStats(now);
+    assert.equal(stats.windowMs, 60_000);
+    assert.deepEqual(stats.requests, { granted: 100, timeout: 1, abandoned: 1 });
+    assert.equal(stats.p50Ms, 500);
+    assert.equal(stats.p90Ms, 900);
+    assert.equal(stats.p99Ms, 990);
+    assert.equal(stats.maxMs, 1000, 'samples older than the window are dropped');
+
+    const later = queueStats.getWaitStats(now + 60_000);
+    assert.deepEqual(later.requests, { granted: 0, timeout: 0, abandoned: 0 });
+    assert.equal(later.p50Ms, null);
+  } finally {
+    delete process.env.KEY_QUEUE_STATS_WINDOW_MS;
+  }
+});